@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Precomputes the transmittance.dat, scattering.dat and irradiance.dat lookup
+// textures on the CPU, from an atmosphere parameter file (a JSON object with
+// some of the AtmosphereParameters fields, all other fields taking their
+// default value). The files are written in the format of src/texture-file.js,
+// with the parameters and the number of scattering orders in their metadata,
+// or in the legacy headerless format with --legacy (see scripts/convert.js to
+// convert them to fp16 and to compress them).
+//
+// Usage: npm run bake -- [parameters.json] [--output dir] [--orders n]
+//     [--legacy]
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { AtmosphereParameters } from '../src/atmosphere-parameters.js';
+import { CpuModel } from '../src/cpu-model.js';
+import { encodeTextureFile } from '../src/texture-file.js';
+
+const USAGE = 'Usage: npm run bake -- [parameters.json] [--output dir] ' +
+    '[--orders n] [--legacy]';
+
+// Returns the texture data as little endian 32 bits floats, as in the legacy
+// .dat files.
+function toLittleEndian(texture) {
+  const view = new DataView(new ArrayBuffer(texture.data.length * 4));
+  texture.data.forEach((value, i) => view.setFloat32(i * 4, value, true));
+  return new Uint8Array(view.buffer);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o', default: 'public/assets' },
+      orders: { type: 'string', short: 'n', default: '4' },
+      legacy: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help || positionals.length > 1) {
+    console.log(USAGE);
+    return;
+  }
+  const numScatteringOrders = Number(values.orders);
+  if (!Number.isInteger(numScatteringOrders) || numScatteringOrders < 1) {
+    throw new Error(`Invalid number of scattering orders: ${values.orders}`);
+  }
+  const parameters = positionals.length === 0 ? new AtmosphereParameters() :
+      new AtmosphereParameters(
+          JSON.parse(await readFile(positionals[0], 'utf8')));
+
+  const start = Date.now();
+  const model = new CpuModel(parameters);
+  model.init(numScatteringOrders, ({ stage, scatteringOrder, done, total }) => {
+    const percent = (100 * done / total).toFixed(1).padStart(5);
+    const elapsed = ((Date.now() - start) / 1000).toFixed(0);
+    process.stderr.write(`\r${percent}% order ${scatteringOrder}, ` +
+        `${stage} (${elapsed}s)`.padEnd(50));
+  });
+  process.stderr.write('\n');
+
+  await mkdir(values.output, { recursive: true });
+  const files = {
+    transmittance: model.transmittanceTexture,
+    scattering: model.scatteringTexture,
+    irradiance: model.irradianceTexture
+  };
+  for (const [name, texture] of Object.entries(files)) {
+    const path = join(values.output, `${name}.dat`);
+    await writeFile(path, values.legacy ? toLittleEndian(texture) :
+        await encodeTextureFile(texture, {
+          texture: name,
+          scatteringOrders: numScatteringOrders,
+          parameters: parameters.toJSON()
+        }));
+    console.log(`Wrote ${path} (${texture.width}x${texture.height}` +
+        `${texture.depth > 1 ? `x${texture.depth}` : ''})`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// Converts transmittance.dat, scattering.dat and irradiance.dat lookup texture
+// files (in the legacy headerless format, or in the format of
+// src/texture-file.js) to the format of src/texture-file.js, with the given
+// precision and compression, for faster downloads. The size of the legacy
+// files is computed from their name and from an atmosphere parameter file (as
+// in scripts/bake.js), which is also stored in the converted files.
+//
+// Usage: npm run convert -- file.dat... [--parameters parameters.json]
+//     [--output dir] [--precision fp16|fp32] [--compression gzip|deflate|none]
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { AtmosphereParameters } from '../src/atmosphere-parameters.js';
+import {
+  decodeLegacyTextureFile,
+  decodeTextureFile,
+  encodeTextureFile,
+  isTextureFile
+} from '../src/texture-file.js';
+
+const USAGE = 'Usage: npm run convert -- file.dat... ' +
+    '[--parameters parameters.json] [--output dir] [--precision fp16|fp32] ' +
+    '[--compression gzip|deflate|none]';
+
+// The size of the legacy texture files, for the given parameters.
+const LEGACY_SIZES = {
+  transmittance: (p) =>
+    [p.transmittanceTextureWidth, p.transmittanceTextureHeight, 1],
+  scattering: (p) =>
+    [p.scatteringTextureWidth, p.scatteringTextureHeight, p.scatteringTextureDepth],
+  irradiance: (p) =>
+    [p.irradianceTextureWidth, p.irradianceTextureHeight, 1]
+};
+
+// Returns the {width, height, depth, data} texture and the metadata of the
+// given legacy file.
+function readLegacyFile(path, buffer, parameters) {
+  const name = basename(path).replace(/\.[^.]*$/, '');
+  const getSize = LEGACY_SIZES[name];
+  if (!getSize) {
+    throw new Error(`Unknown legacy texture file: ${path} (expected ` +
+        `${Object.keys(LEGACY_SIZES).map((key) => `${key}.dat`).join(', ')})`);
+  }
+  const [width, height, depth] = getSize(parameters);
+  if (buffer.byteLength !== width * height * depth * 16) {
+    throw new Error(`Unexpected size for ${path}: ${buffer.byteLength} bytes ` +
+        `instead of ${width * height * depth * 16}`);
+  }
+  return {
+    texture: { width, height, depth, data: decodeLegacyTextureFile(buffer) },
+    metadata: { texture: name, parameters: parameters.toJSON() }
+  };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      parameters: { type: 'string', short: 'p' },
+      output: { type: 'string', short: 'o' },
+      precision: { type: 'string', default: 'fp16' },
+      compression: { type: 'string', short: 'c', default: 'gzip' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return;
+  }
+  const parameters = values.parameters === undefined ?
+      new AtmosphereParameters() :
+      new AtmosphereParameters(
+          JSON.parse(await readFile(values.parameters, 'utf8')));
+
+  for (const inputPath of positionals) {
+    const buffer = await readFile(inputPath);
+    const { texture, metadata } = isTextureFile(buffer) ?
+        await decodeTextureFile(buffer).then((file) => ({
+          texture: file,
+          metadata: file.metadata
+        })) :
+        readLegacyFile(inputPath, buffer, parameters);
+    const bytes = await encodeTextureFile(texture, metadata, {
+      precision: values.precision,
+      compression: values.compression
+    });
+    // The files are converted in place by default.
+    const outputDir = values.output ?? dirname(inputPath);
+    await mkdir(outputDir, { recursive: true });
+    const outputPath = join(outputDir, basename(inputPath));
+    await writeFile(outputPath, bytes);
+    console.log(`Wrote ${outputPath} (${values.precision}, ` +
+        `${values.compression}, ${buffer.byteLength} -> ${bytes.length} bytes)`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
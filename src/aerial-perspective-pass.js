@@ -0,0 +1,117 @@
+// Aerial perspective post processing pass, for the atmosphere of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js'
+import {
+  aerialPerspectiveVertexShader,
+  createAerialPerspectiveShader
+} from './shaders.js'
+import { TONE_MAPPINGS } from './tone-mapping.js'
+
+// An EffectComposer pass applying the aerial perspective of the atmosphere of
+// the given AtmosphereSky to the scene rendered by the previous passes, and
+// rendering the sky where there is no object. This is a cheaper alternative to
+// extendMaterialWithAtmosphere(), which works with any material, but which
+// does not light the objects (they should use lights matching the sun and the
+// sky).
+//
+// The read buffer must have a depthTexture (e.g. the composer must be created
+// with a render target with a DepthTexture), unless one is given in the
+// options, and must contain the scene radiance (linear colors). The sky mesh
+// itself must not be in the scene. The output is tone mapped with the sky
+// exposure, white point and tone mapping operator, but is in linear colors: it
+// must be followed by an OutputPass, with renderer.toneMapping set to
+// NoToneMapping. With the 'renderer' sky tone mapping, the output is instead
+// the exposed linear HDR radiance, which is tone mapped by the OutputPass with
+// the renderer toneMapping. The pass follows the luminance mode of the sky, in
+// which case the scene colors must be luminance values too, and its single
+// scattering fallback (see AtmosphereSky.setScatteringTexture()). Logarithmic
+// and reversed depth buffers are not supported.
+export class AerialPerspectivePass extends Pass {
+  constructor(sky, camera, { depthTexture = null } = {}) {
+    super();
+    this.sky = sky;
+    this.camera = camera;
+    this.depthTexture = depthTexture;
+
+    const skyUniforms = sky.uniforms;
+    this.material = new THREE.RawShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms: {
+        transmittance_texture: skyUniforms.transmittance_texture,
+        scattering_texture: skyUniforms.scattering_texture,
+        single_mie_scattering_texture: skyUniforms.single_mie_scattering_texture,
+        irradiance_texture: skyUniforms.irradiance_texture,
+        exposure: skyUniforms.exposure,
+        white_point: skyUniforms.white_point,
+        earth_center: skyUniforms.earth_center,
+        sun_direction: skyUniforms.sun_direction,
+        sun_size: skyUniforms.sun_size,
+        color_texture: { value: null },
+        depth_texture: { value: null },
+        inverse_projection_matrix: { value: new THREE.Matrix4() },
+        camera_world_matrix: { value: new THREE.Matrix4() },
+        camera: { value: new THREE.Vector3() },
+        sun_shadow_map: skyUniforms.sun_shadow_map,
+        sun_shadow_matrix: skyUniforms.sun_shadow_matrix
+      },
+      defines: {
+        ...(sky.material.defines.LIGHT_SHAFTS !== undefined ?
+          { LIGHT_SHAFTS: '' } : {}),
+        ...(sky.luminance ? { USE_LUMINANCE: '' } : {}),
+        ...(sky.singleScatteringFallback ?
+          { SINGLE_SCATTERING_FALLBACK: '' } : {})
+      },
+      vertexShader: aerialPerspectiveVertexShader,
+      fragmentShader: createAerialPerspectiveShader(sky.parameters),
+      depthTest: false,
+      depthWrite: false
+    });
+    this.fsQuad = new FullScreenQuad(this.material);
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    const depthTexture = this.depthTexture || readBuffer.depthTexture;
+    if (!depthTexture) {
+      throw new Error('AerialPerspectivePass needs a depth texture');
+    }
+    const uniforms = this.material.uniforms;
+    uniforms.color_texture.value = readBuffer.texture;
+    uniforms.depth_texture.value = depthTexture;
+    uniforms.inverse_projection_matrix.value.copy(
+      this.camera.projectionMatrixInverse);
+    uniforms.camera_world_matrix.value.copy(this.camera.matrixWorld);
+    uniforms.camera.value.setFromMatrixPosition(this.camera.matrixWorld);
+    const toneMapping = TONE_MAPPINGS[
+      this.sky.toneMapping == 'renderer' ? 'none' : this.sky.toneMapping];
+    if (this.material.defines.ATMOSPHERE_TONE_MAPPING !== toneMapping) {
+      this.material.defines.ATMOSPHERE_TONE_MAPPING = toneMapping;
+      this.material.needsUpdate = true;
+    }
+    if (('USE_LUMINANCE' in this.material.defines) != this.sky.luminance) {
+      if (this.sky.luminance) {
+        this.material.defines.USE_LUMINANCE = '';
+      } else {
+        delete this.material.defines.USE_LUMINANCE;
+      }
+      this.material.needsUpdate = true;
+    }
+    if (('SINGLE_SCATTERING_FALLBACK' in this.material.defines) &&
+        !this.sky.singleScatteringFallback) {
+      delete this.material.defines.SINGLE_SCATTERING_FALLBACK;
+      this.material.needsUpdate = true;
+    }
+
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    if (this.clear) {
+      renderer.clear();
+    }
+    this.fsQuad.render(renderer);
+  }
+
+  dispose() {
+    this.material.dispose();
+    this.fsQuad.dispose();
+  }
+}
@@ -0,0 +1,335 @@
+// Mouse, touch and pen controls of the view and sun directions of the demo of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+
+// The distance, in CSS pixels, a pointer can move before a long press is
+// canceled.
+const LONG_PRESS_TOLERANCE = 10;
+// The velocities are reset if the pointers are released more than this time
+// (in milliseconds) after their last move.
+const RELEASE_DELAY = 100;
+
+function clamp(x, min, max) {
+  return Math.max(min, Math.min(max, x));
+}
+
+// Controls the view and sun angles of the given 'state' object (with the
+// viewDistanceMeters, viewZenithAngleRadians, viewAzimuthAngleRadians,
+// sunZenithAngleRadians and sunAzimuthAngleRadians properties of the demos)
+// with pointer events on the given element:
+// - one finger (or mouse) drag: rotates the view around the origin,
+// - two finger pinch (or mouse wheel): changes the view distance,
+// - two finger drag, or long press and drag (or CTRL + mouse drag): moves the
+//   sun.
+// The view angles are in radians, as in the demos, and the view zenith angle
+// is clamped to [minViewZenithAngle, maxViewZenithAngle]. After a drag or a
+// pinch, the angles and the distance continue to change with the release
+// velocity, decreasing exponentially with a 'damping' rate (in 1/s, or
+// Infinity to disable this inertia), in update().
+//
+// A 'viewchange' event is dispatched when the view distance or angles change,
+// and a 'sunchange' event when the sun angles change (from pointer events, or
+// from update()).
+export class AtmosphereControls extends EventTarget {
+  constructor(domElement, state, {
+    rotateSpeed = 1 / 500,
+    zoomSpeed = 1.05,
+    minViewZenithAngle = 0,
+    maxViewZenithAngle = Math.PI / 2,
+    minSunZenithAngle = 0,
+    maxSunZenithAngle = Math.PI,
+    minViewDistanceMeters = 0,
+    maxViewDistanceMeters = Infinity,
+    damping = 5,
+    longPressDelay = 500
+  } = {}) {
+    super();
+    this.domElement = domElement;
+    this.state = state;
+    // The view and sun angle change per CSS pixel, in radians.
+    this.rotateSpeed = rotateSpeed;
+    // The view distance factor per mouse wheel step.
+    this.zoomSpeed = zoomSpeed;
+    this.minViewZenithAngle = minViewZenithAngle;
+    this.maxViewZenithAngle = maxViewZenithAngle;
+    this.minSunZenithAngle = minSunZenithAngle;
+    this.maxSunZenithAngle = maxSunZenithAngle;
+    this.minViewDistanceMeters = minViewDistanceMeters;
+    this.maxViewDistanceMeters = maxViewDistanceMeters;
+    this.damping = damping;
+    this.longPressDelay = longPressDelay;
+    this.enabled = true;
+
+    // The active pointers, by pointer id, with their current position.
+    this.pointers = new Map();
+    // 'view' or 'sun', while a single pointer is dragged.
+    this.mode = null;
+    this.longPressTimeout = null;
+    this.longPressStart = null;
+    // The previous centroid and spread of the pointers (for two pointers).
+    this.previousCentroid = null;
+    this.previousSpread = 0;
+    this.lastMoveTime = 0;
+    // The velocities, in radians (or log meters for the distance) per second.
+    this.velocity = {
+      viewZenith: 0,
+      viewAzimuth: 0,
+      sunZenith: 0,
+      sunAzimuth: 0,
+      logDistance: 0
+    };
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onContextMenu = (event) => event.preventDefault();
+    domElement.addEventListener('pointerdown', this.onPointerDown);
+    domElement.addEventListener('pointermove', this.onPointerMove);
+    domElement.addEventListener('pointerup', this.onPointerUp);
+    domElement.addEventListener('pointercancel', this.onPointerUp);
+    domElement.addEventListener('wheel', this.onWheel, { passive: false });
+    domElement.addEventListener('contextmenu', this.onContextMenu);
+    // Disable the browser touch gestures (scrolling, zooming) on the element.
+    this.touchAction = domElement.style.touchAction;
+    domElement.style.touchAction = 'none';
+  }
+
+  // Applies the inertia, if no pointer is active. Returns whether the view or
+  // the sun changed.
+  update(deltaSeconds) {
+    if (this.pointers.size > 0 || !this.enabled) {
+      return false;
+    }
+    const v = this.velocity;
+    const viewChanged = v.viewZenith !== 0 || v.viewAzimuth !== 0 ||
+      v.logDistance !== 0;
+    const sunChanged = v.sunZenith !== 0 || v.sunAzimuth !== 0;
+    if (viewChanged) {
+      this.rotateView(v.viewZenith * deltaSeconds, v.viewAzimuth * deltaSeconds);
+      this.zoom(Math.exp(v.logDistance * deltaSeconds));
+    }
+    if (sunChanged) {
+      this.rotateSun(v.sunZenith * deltaSeconds, v.sunAzimuth * deltaSeconds);
+    }
+    // Exponential decay, with velocities set to 0 when they become negligible.
+    const decay = Math.exp(-this.damping * deltaSeconds);
+    for (const key of Object.keys(v)) {
+      v[key] = Math.abs(v[key] * decay) < 1e-4 ? 0 : v[key] * decay;
+    }
+    this.dispatchChanges(viewChanged, sunChanged);
+    return viewChanged || sunChanged;
+  }
+
+  // Stops the current inertia (e.g. when the view is set otherwise).
+  stop() {
+    for (const key of Object.keys(this.velocity)) {
+      this.velocity[key] = 0;
+    }
+  }
+
+  rotateView(deltaZenith, deltaAzimuth) {
+    const state = this.state;
+    const zenith = clamp(state.viewZenithAngleRadians + deltaZenith,
+      this.minViewZenithAngle, this.maxViewZenithAngle);
+    if (zenith !== state.viewZenithAngleRadians + deltaZenith) {
+      this.velocity.viewZenith = 0;
+    }
+    state.viewZenithAngleRadians = zenith;
+    state.viewAzimuthAngleRadians += deltaAzimuth;
+  }
+
+  rotateSun(deltaZenith, deltaAzimuth) {
+    const state = this.state;
+    const zenith = clamp(state.sunZenithAngleRadians + deltaZenith,
+      this.minSunZenithAngle, this.maxSunZenithAngle);
+    if (zenith !== state.sunZenithAngleRadians + deltaZenith) {
+      this.velocity.sunZenith = 0;
+    }
+    state.sunZenithAngleRadians = zenith;
+    state.sunAzimuthAngleRadians += deltaAzimuth;
+  }
+
+  // Multiplies the view distance by the given factor.
+  zoom(factor) {
+    const state = this.state;
+    const distance = clamp(state.viewDistanceMeters * factor,
+      this.minViewDistanceMeters, this.maxViewDistanceMeters);
+    if (distance !== state.viewDistanceMeters * factor) {
+      this.velocity.logDistance = 0;
+    }
+    state.viewDistanceMeters = distance;
+  }
+
+  dispatchChanges(viewChanged, sunChanged) {
+    if (viewChanged) {
+      this.dispatchEvent(new Event('viewchange'));
+    }
+    if (sunChanged) {
+      this.dispatchEvent(new Event('sunchange'));
+    }
+  }
+
+  // Updates the velocity of the given key from the given change during
+  // 'deltaSeconds', smoothed over a few events.
+  setVelocity(key, delta, deltaSeconds) {
+    if (deltaSeconds > 0) {
+      this.velocity[key] = 0.5 * this.velocity[key] + 0.5 * delta / deltaSeconds;
+    }
+  }
+
+  getCentroid() {
+    let x = 0;
+    let y = 0;
+    for (const pointer of this.pointers.values()) {
+      x += pointer.x / this.pointers.size;
+      y += pointer.y / this.pointers.size;
+    }
+    return { x, y };
+  }
+
+  getSpread() {
+    const [p, q] = [...this.pointers.values()];
+    return Math.hypot(p.x - q.x, p.y - q.y);
+  }
+
+  // Resets the reference positions of the gesture, when a pointer is added
+  // or removed.
+  startGesture() {
+    this.previousCentroid = this.getCentroid();
+    this.previousSpread = this.pointers.size === 2 ? this.getSpread() : 0;
+    this.cancelLongPress();
+  }
+
+  cancelLongPress() {
+    if (this.longPressTimeout !== null) {
+      clearTimeout(this.longPressTimeout);
+      this.longPressTimeout = null;
+    }
+  }
+
+  onPointerDown(event) {
+    if (!this.enabled || this.pointers.size >= 2) {
+      return;
+    }
+    this.domElement.setPointerCapture(event.pointerId);
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    this.stop();
+    this.lastMoveTime = performance.now();
+    this.startGesture();
+    if (this.pointers.size === 1) {
+      this.mode = event.ctrlKey ? 'sun' : 'view';
+      // A long press without moving switches to the sun mode (CTRL is not
+      // available with touch and pen input).
+      if (event.pointerType !== 'mouse') {
+        this.longPressStart = { x: event.clientX, y: event.clientY };
+        this.longPressTimeout = setTimeout(() => {
+          this.longPressTimeout = null;
+          this.mode = 'sun';
+        }, this.longPressDelay);
+      }
+    }
+  }
+
+  onPointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) {
+      return;
+    }
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    if (this.longPressTimeout !== null &&
+        Math.hypot(pointer.x - this.longPressStart.x,
+          pointer.y - this.longPressStart.y) > LONG_PRESS_TOLERANCE) {
+      this.cancelLongPress();
+    }
+    const now = performance.now();
+    const deltaSeconds = (now - this.lastMoveTime) / 1000;
+    this.lastMoveTime = now;
+
+    const centroid = this.getCentroid();
+    const dx = centroid.x - this.previousCentroid.x;
+    const dy = centroid.y - this.previousCentroid.y;
+    this.previousCentroid = centroid;
+    let viewChanged = false;
+    let sunChanged = false;
+    if (this.pointers.size === 2) {
+      // Pinch to zoom (spreading the fingers moves the view closer), and move
+      // the sun with the pointers centroid.
+      const spread = this.getSpread();
+      if (spread > 0 && this.previousSpread > 0) {
+        const factor = this.previousSpread / spread;
+        this.zoom(factor);
+        this.setVelocity('logDistance', Math.log(factor), deltaSeconds);
+        viewChanged = factor !== 1;
+      }
+      this.previousSpread = spread;
+      this.moveSun(dx, dy, deltaSeconds);
+      sunChanged = dx !== 0 || dy !== 0;
+    } else if (this.mode === 'sun') {
+      this.moveSun(dx, dy, deltaSeconds);
+      sunChanged = dx !== 0 || dy !== 0;
+    } else if (this.longPressTimeout === null ||
+        event.pointerType === 'mouse') {
+      const deltaZenith = -dy * this.rotateSpeed;
+      const deltaAzimuth = -dx * this.rotateSpeed;
+      this.setVelocity('viewZenith', deltaZenith, deltaSeconds);
+      this.setVelocity('viewAzimuth', deltaAzimuth, deltaSeconds);
+      this.rotateView(deltaZenith, deltaAzimuth);
+      viewChanged = dx !== 0 || dy !== 0;
+    }
+    this.dispatchChanges(viewChanged, sunChanged);
+  }
+
+  moveSun(dx, dy, deltaSeconds) {
+    const deltaZenith = dy * this.rotateSpeed;
+    const deltaAzimuth = -dx * this.rotateSpeed;
+    this.setVelocity('sunZenith', deltaZenith, deltaSeconds);
+    this.setVelocity('sunAzimuth', deltaAzimuth, deltaSeconds);
+    this.rotateSun(deltaZenith, deltaAzimuth);
+  }
+
+  onPointerUp(event) {
+    if (!this.pointers.delete(event.pointerId)) {
+      return;
+    }
+    if (this.domElement.hasPointerCapture(event.pointerId)) {
+      this.domElement.releasePointerCapture(event.pointerId);
+    }
+    if (this.pointers.size > 0) {
+      // The remaining pointer rotates the view, from its current position.
+      this.mode = 'view';
+      this.startGesture();
+      this.stop();
+      return;
+    }
+    this.cancelLongPress();
+    this.mode = null;
+    if (performance.now() - this.lastMoveTime > RELEASE_DELAY ||
+        this.damping === Infinity) {
+      this.stop();
+    }
+  }
+
+  onWheel(event) {
+    if (!this.enabled) {
+      return;
+    }
+    event.preventDefault();
+    this.stop();
+    this.zoom(event.deltaY > 0 ? this.zoomSpeed : 1 / this.zoomSpeed);
+    this.dispatchChanges(true, false);
+  }
+
+  dispose() {
+    this.cancelLongPress();
+    const domElement = this.domElement;
+    domElement.removeEventListener('pointerdown', this.onPointerDown);
+    domElement.removeEventListener('pointermove', this.onPointerMove);
+    domElement.removeEventListener('pointerup', this.onPointerUp);
+    domElement.removeEventListener('pointercancel', this.onPointerUp);
+    domElement.removeEventListener('wheel', this.onWheel);
+    domElement.removeEventListener('contextmenu', this.onContextMenu);
+    domElement.style.touchAction = this.touchAction;
+  }
+}
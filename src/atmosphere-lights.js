@@ -0,0 +1,151 @@
+// three.js lights matching the sun and the sky of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+import { readAtmosphereTextureData } from './atmosphere-textures.js'
+import {
+  createAtmosphere,
+  getIrradiance,
+  getTransmittanceToSun
+} from './cpu-model.js'
+
+const _point = new THREE.Vector3();
+const _sunTransmittance = [0, 0, 0, 0];
+const _skyIrradiance = [0, 0, 0, 0];
+const _moonTransmittance = [0, 0, 0, 0];
+const _moonSkyIrradiance = [0, 0, 0, 0];
+const NO_LUMINANCE_CONVERSION = [1, 1, 1];
+
+// Same as GetMoonIrradianceFactor() in shaders.js.
+const MOON_ALBEDO = 0.12;
+function getMoonIrradianceFactor(sunDirection, moonDirection, moonSize) {
+  const phaseAngle =
+    Math.acos(Math.min(Math.max(-sunDirection.dot(moonDirection), -1), 1));
+  const phase = (Math.sin(phaseAngle) +
+    (Math.PI - phaseAngle) * Math.cos(phaseAngle)) / Math.PI;
+  return 2 / 3 * MOON_ALBEDO * moonSize.x * moonSize.x * phase;
+}
+
+// A DirectionalLight for the sun and a HemisphereLight for the sky, whose
+// colors and intensities are computed on the CPU from the transmittance and
+// irradiance textures of the given AtmosphereSky, for regular three.js
+// materials. The sun light is attenuated by the atmosphere (e.g. red at
+// sunset), and the hemisphere light gives the sky irradiance on horizontal
+// surfaces, and the light reflected by the ground on the opposite direction.
+//
+// update() must be called when the sun direction changes (or every frame), and
+// after a change of the luminance mode of the sky. The light values are in the
+// same unit as the sky radiance (or luminance), multiplied by
+// 'intensityScale'. The shadow camera of the sun light covers a
+// 'shadowRadius' sphere around the 'center' given to update().
+//
+// If the sky has a moon, a second DirectionalLight is added for the moon, and
+// the moonlit sky irradiance is added to the hemisphere light.
+export class AtmosphereLights extends THREE.Group {
+  constructor(sky, renderer, {
+    intensityScale = 1,
+    shadowRadius = 10,
+    castShadow = false
+  } = {}) {
+    super();
+    this.type = 'AtmosphereLights';
+    this.sky = sky;
+    this.atmosphere = createAtmosphere(sky.parameters);
+    this.transmittanceData =
+      readAtmosphereTextureData(renderer, sky.transmittanceTexture);
+    this.irradianceData =
+      readAtmosphereTextureData(renderer, sky.irradianceTexture);
+    this.intensityScale = intensityScale;
+    this.shadowRadius = shadowRadius;
+
+    this.sunLight = new THREE.DirectionalLight();
+    this.sunLight.castShadow = castShadow;
+    this.skyLight = new THREE.HemisphereLight();
+    this.skyLight.position.set(0, 0, 1);
+    this.add(this.sunLight, this.sunLight.target, this.skyLight);
+    this.moonLight = null;
+    if ('MOON' in sky.material.defines) {
+      this.moonLight = new THREE.DirectionalLight();
+      this.moonLight.castShadow = castShadow;
+      this.add(this.moonLight, this.moonLight.target);
+    }
+    this.update();
+  }
+
+  // Updates the lights for the current sun (and moon) direction of the sky,
+  // and for an observer at the given position (in world space).
+  update(center = new THREE.Vector3()) {
+    const atmosphere = this.atmosphere;
+    const sunDirection = this.sky.uniforms.sun_direction.value;
+    const p = _point.copy(center).sub(this.sky.uniforms.earth_center.value);
+    const r = Math.max(p.length(), atmosphere.bottomRadius);
+    const mu_s = p.dot(sunDirection) / p.length();
+
+    getTransmittanceToSun(
+      atmosphere, this.transmittanceData, r, mu_s, _sunTransmittance);
+    getIrradiance(atmosphere, this.irradianceData, r, mu_s, _skyIrradiance);
+    // Same conversions as GetSunAndSkyIlluminance() in shaders.js.
+    const luminance = this.sky.luminance;
+    const sunToLuminance = luminance ?
+      this.sky.parameters.sunSpectralRadianceToLuminance :
+      NO_LUMINANCE_CONVERSION;
+    const skyToLuminance = luminance ?
+      this.sky.parameters.skySpectralRadianceToLuminance :
+      NO_LUMINANCE_CONVERSION;
+    const sun = [0, 0, 0];
+    const ground = [0, 0, 0];
+    for (let i = 0; i < 3; ++i) {
+      sun[i] = atmosphere.solarIrradiance[i] * _sunTransmittance[i] *
+        sunToLuminance[i];
+      _skyIrradiance[i] *= skyToLuminance[i];
+      ground[i] = atmosphere.groundAlbedo[i] *
+        (sun[i] * Math.max(mu_s, 0) + _skyIrradiance[i]);
+    }
+    if (this.moonLight) {
+      const moonDirection = this.sky.uniforms.moon_direction.value;
+      const mu_m = p.dot(moonDirection) / p.length();
+      const factor = getMoonIrradianceFactor(
+        sunDirection, moonDirection, this.sky.uniforms.moon_size.value);
+      getTransmittanceToSun(
+        atmosphere, this.transmittanceData, r, mu_m, _moonTransmittance);
+      getIrradiance(atmosphere, this.irradianceData, r, mu_m, _moonSkyIrradiance);
+      const moon = [0, 0, 0];
+      for (let i = 0; i < 3; ++i) {
+        moon[i] = factor * atmosphere.solarIrradiance[i] *
+          _moonTransmittance[i] * sunToLuminance[i];
+        _moonSkyIrradiance[i] *= skyToLuminance[i];
+        _skyIrradiance[i] += factor * _moonSkyIrradiance[i];
+        ground[i] += atmosphere.groundAlbedo[i] *
+          (moon[i] * Math.max(mu_m, 0) + factor * _moonSkyIrradiance[i]);
+      }
+      this.moonLight.color.setRGB(moon[0], moon[1], moon[2]);
+      this.moonLight.intensity = this.intensityScale;
+      this.placeLight(this.moonLight, moonDirection, center);
+    }
+    this.sunLight.color.setRGB(sun[0], sun[1], sun[2]);
+    this.skyLight.color.setRGB(
+      _skyIrradiance[0], _skyIrradiance[1], _skyIrradiance[2]);
+    this.skyLight.groundColor.setRGB(ground[0], ground[1], ground[2]);
+    this.sunLight.intensity = this.intensityScale;
+    this.skyLight.intensity = this.intensityScale;
+
+    // The hemisphere light direction is the local zenith.
+    this.skyLight.position.copy(p).normalize();
+    this.placeLight(this.sunLight, sunDirection, center);
+    return this;
+  }
+
+  // Keeps the given light and its shadow camera aligned with the given
+  // direction, centered on the given position.
+  placeLight(light, direction, center) {
+    const radius = this.shadowRadius;
+    light.target.position.copy(center);
+    light.position.copy(direction).multiplyScalar(radius).add(center);
+    const shadowCamera = light.shadow.camera;
+    shadowCamera.left = shadowCamera.bottom = -radius;
+    shadowCamera.right = shadowCamera.top = radius;
+    shadowCamera.near = 0;
+    shadowCamera.far = 2 * radius;
+    shadowCamera.updateProjectionMatrix();
+  }
+}
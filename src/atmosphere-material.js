@@ -0,0 +1,228 @@
+// Lighting and aerial perspective of three.js materials with the atmosphere of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import {
+  createAtmosphereShader,
+  lightShaftsShader,
+  toneMappingShader
+} from './shaders.js'
+import { getToneMappingDefines } from './tone-mapping.js'
+
+const vertexParameters = /* glsl */ `
+  varying vec3 vAtmosphereWorldPosition;
+`
+
+// Same as worldpos_vertex, which only computes worldPosition when needed.
+const vertexWorldPosition = /* glsl */ `
+  vec4 atmosphere_world_position = vec4(transformed, 1.0);
+  #ifdef USE_BATCHING
+  atmosphere_world_position = batchingMatrix * atmosphere_world_position;
+  #endif
+  #ifdef USE_INSTANCING
+  atmosphere_world_position = instanceMatrix * atmosphere_world_position;
+  #endif
+  vAtmosphereWorldPosition = (modelMatrix * atmosphere_world_position).xyz;
+`
+
+const fragmentParameters = (parameters) => /* glsl */ `
+  ${createAtmosphereShader(parameters)}
+  uniform float exposure;
+  uniform vec3 white_point;
+  uniform vec3 earth_center;
+  uniform vec3 sun_direction;
+  varying vec3 vAtmosphereWorldPosition;
+  #ifdef USE_LUMINANCE
+  #define GetSkyRadianceToPoint GetSkyLuminanceToPoint
+  #endif
+  vec3 GetSkyRadianceToPoint(vec3 camera, vec3 point, float shadow_length,
+    vec3 sun_direction, out vec3 transmittance);
+  ${lightShaftsShader}
+  ${toneMappingShader}
+  // Same as GetSunAndSkyIrradiance, except that the sun irradiance is for a
+  // surface perpendicular to the sun direction (the three.js lights code
+  // applies the cosine factor itself).
+  vec3 GetAtmosphereSunAndSkyIrradiance(vec3 p, vec3 normal,
+    vec3 sun_direction, out vec3 sky_irradiance) {
+  float r = length(p);
+  float mu_s = dot(p, sun_direction) / r;
+  sky_irradiance = GetIrradiance(ATMOSPHERE, irradiance_texture, r, mu_s) *
+    (1.0 + dot(normal, p) / r) * 0.5;
+  vec3 sun_irradiance = ATMOSPHERE.solar_irradiance *
+    GetTransmittanceToSun(ATMOSPHERE, transmittance_texture, r, mu_s);
+  #ifdef USE_LUMINANCE
+  sky_irradiance *= SKY_SPECTRAL_RADIANCE_TO_LUMINANCE;
+  sun_irradiance *= SUN_SPECTRAL_RADIANCE_TO_LUMINANCE;
+  #endif
+  return sun_irradiance;
+  }
+`
+
+// The sun is added as a directional light (in view space, like the other
+// lights), and the sky irradiance as an ambient light. The sky is also used as
+// a uniform environment for the specular reflections, which is only correct
+// for rough materials.
+const fragmentLights = /* glsl */ `
+  #if defined(ATMOSPHERE_SUN_LIGHT) || defined(ATMOSPHERE_SKY_LIGHT)
+  vec3 atmosphere_sky_irradiance;
+  vec3 atmosphere_sun_irradiance = GetAtmosphereSunAndSkyIrradiance(
+    vAtmosphereWorldPosition - earth_center,
+    inverseTransformDirection(geometryNormal, viewMatrix), sun_direction,
+    atmosphere_sky_irradiance);
+  #endif
+  #if defined(RE_Direct) && defined(ATMOSPHERE_SUN_LIGHT)
+  directLight.color = atmosphere_sun_irradiance;
+  directLight.direction =
+    normalize((viewMatrix * vec4(sun_direction, 0.0)).xyz);
+  directLight.visible = true;
+  RE_Direct(directLight, geometryPosition, geometryNormal, geometryViewDir,
+    geometryClearcoatNormal, material, reflectedLight);
+  #endif
+  #if defined(RE_IndirectDiffuse) && defined(ATMOSPHERE_SKY_LIGHT)
+  irradiance += atmosphere_sky_irradiance;
+  #endif
+  #if defined(RE_IndirectSpecular) && defined(ATMOSPHERE_SKY_LIGHT)
+  radiance += atmosphere_sky_irradiance * RECIPROCAL_PI;
+  iblIrradiance += atmosphere_sky_irradiance;
+  #endif
+`
+
+const fragmentAerialPerspective = /* glsl */ `
+  #ifdef ATMOSPHERE_AERIAL_PERSPECTIVE
+  float atmosphere_shadow_length = 0.0;
+  #ifdef LIGHT_SHAFTS
+  atmosphere_shadow_length = GetShadowLength(cameraPosition,
+    normalize(vAtmosphereWorldPosition - cameraPosition),
+    distance(cameraPosition, vAtmosphereWorldPosition)) * smoothstep(
+      0.02, 0.04, dot(normalize(cameraPosition - earth_center), sun_direction));
+  #endif
+  vec3 atmosphere_transmittance;
+  vec3 atmosphere_in_scatter = GetSkyRadianceToPoint(
+    cameraPosition - earth_center, vAtmosphereWorldPosition - earth_center,
+    atmosphere_shadow_length, sun_direction, atmosphere_transmittance);
+  gl_FragColor.rgb =
+    gl_FragColor.rgb * atmosphere_transmittance + atmosphere_in_scatter;
+  #endif
+`
+
+// Same tone mapping as the AtmosphereSky shader, so that objects and sky
+// match.
+const fragmentToneMapping = /* glsl */ `
+  gl_FragColor.rgb = AtmosphereOutputEncoding(
+    AtmosphereToneMapping(gl_FragColor.rgb / white_point * exposure));
+`
+
+// Same exposure as the AtmosphereSky shader, followed by the three.js tone
+// mapping and output color space conversion (for the 'renderer' tone mapping).
+const fragmentRendererToneMapping = /* glsl */ `
+  gl_FragColor.rgb = gl_FragColor.rgb / white_point * exposure;
+  #include <tonemapping_fragment>
+`
+
+function replaceChunk(shader, chunk, replacement) {
+  const include = `#include <${chunk}>`;
+  if (!shader.includes(include)) {
+    throw new Error(`Unsupported material shader: no ${include}`);
+  }
+  return shader.replace(include, replacement);
+}
+
+// Modifies a MeshStandardMaterial or MeshPhysicalMaterial so that it is lit by
+// the sun and the sky of the given AtmosphereSky, and so that its color is
+// attenuated and in-scattered by the atmosphere between the object and the
+// camera (aerial perspective). The sky uniforms are shared with the material,
+// so that changing the sun direction, exposure, etc of the sky also updates the
+// material. Object positions must be in the sky length unit (see
+// AtmosphereSky). The material uses the tone mapping, the luminance mode and
+// the single scattering fallback of the sky, and must be recompiled (with
+// material.needsUpdate = true) when they change.
+//
+// The sun and sky lights and the aerial perspective can be disabled with
+// options, for instance if the sun is already represented with a three.js
+// DirectionalLight.
+export function extendMaterialWithAtmosphere(material, sky, {
+  sunLight = true,
+  skyLight = true,
+  aerialPerspective = true
+} = {}) {
+  if (!material.isMeshStandardMaterial) {
+    throw new Error(
+      'Only MeshStandardMaterial and MeshPhysicalMaterial can be extended');
+  }
+  const skyUniforms = sky.uniforms;
+  const parameters = sky.parameters;
+  material.defines = { ...material.defines };
+  if (sunLight) {
+    material.defines.ATMOSPHERE_SUN_LIGHT = '';
+  }
+  if (skyLight) {
+    material.defines.ATMOSPHERE_SKY_LIGHT = '';
+  }
+  if (aerialPerspective) {
+    material.defines.ATMOSPHERE_AERIAL_PERSPECTIVE = '';
+  }
+  const lightShafts = sky.material.defines.LIGHT_SHAFTS !== undefined;
+  if (lightShafts) {
+    material.defines.LIGHT_SHAFTS = '';
+  }
+
+  const onBeforeCompile = material.onBeforeCompile;
+  material.onBeforeCompile = (shader, renderer) => {
+    onBeforeCompile.call(material, shader, renderer);
+    for (const name of [
+      'transmittance_texture',
+      'scattering_texture',
+      'single_mie_scattering_texture',
+      'irradiance_texture',
+      'exposure',
+      'white_point',
+      'earth_center',
+      'sun_direction'
+    ]) {
+      shader.uniforms[name] = skyUniforms[name];
+    }
+    if (lightShafts) {
+      shader.uniforms.sun_shadow_map = skyUniforms.sun_shadow_map;
+      shader.uniforms.sun_shadow_matrix = skyUniforms.sun_shadow_matrix;
+    }
+    shader.vertexShader = replaceChunk(shader.vertexShader, 'common',
+      `#include <common>\n${vertexParameters}`);
+    shader.vertexShader = replaceChunk(shader.vertexShader, 'project_vertex',
+      `#include <project_vertex>\n${vertexWorldPosition}`);
+    let toneMappingDefines = sky.luminance ? '#define USE_LUMINANCE\n' : '';
+    if (sky.singleScatteringFallback) {
+      toneMappingDefines += '#define SINGLE_SCATTERING_FALLBACK\n';
+    }
+    if (sky.toneMapping != 'renderer') {
+      const defines =
+        getToneMappingDefines(sky.toneMapping, sky.outputColorSpace);
+      for (const name in defines) {
+        toneMappingDefines += `#define ${name} ${defines[name]}\n`;
+      }
+    }
+    shader.fragmentShader = replaceChunk(shader.fragmentShader, 'common',
+      `#include <common>\n${toneMappingDefines}${fragmentParameters(parameters)}`);
+    shader.fragmentShader = replaceChunk(shader.fragmentShader,
+      'lights_fragment_begin', `#include <lights_fragment_begin>\n${fragmentLights}`);
+    shader.fragmentShader = replaceChunk(shader.fragmentShader,
+      'opaque_fragment', `#include <opaque_fragment>\n${fragmentAerialPerspective}`);
+    if (sky.toneMapping == 'renderer') {
+      shader.fragmentShader = replaceChunk(shader.fragmentShader,
+        'tonemapping_fragment', fragmentRendererToneMapping);
+    } else {
+      shader.fragmentShader = replaceChunk(shader.fragmentShader,
+        'tonemapping_fragment', fragmentToneMapping);
+      shader.fragmentShader = replaceChunk(shader.fragmentShader,
+        'colorspace_fragment', '');
+    }
+  };
+  // The generated shader depends on the atmosphere parameters and on the sky
+  // tone mapping, luminance mode and scattering fallback, which must be part
+  // of the program cache key.
+  const customProgramCacheKey = material.customProgramCacheKey;
+  material.customProgramCacheKey = () =>
+    `${customProgramCacheKey.call(material)},${JSON.stringify(parameters)},` +
+    `${sky.toneMapping},${sky.outputColorSpace},${sky.luminance},` +
+    `${sky.singleScatteringFallback}`;
+  material.needsUpdate = true;
+  return material;
+}
@@ -0,0 +1,348 @@
+// JavaScript version of the AtmosphereParameters of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+//
+// All the values are in SI units (lengths in meters, scattering coefficients
+// in m^-1, solar irradiance in W.m^-2.nm^-1). They are converted to the shader
+// length unit (lengthUnitInMeters) when the shaders are generated.
+import {
+  RGB_WAVELENGTHS,
+  MAX_LUMINOUS_EFFICACY,
+  computeSpectralRadianceToLuminanceFactors,
+  interpolate
+} from './spectrum.js'
+
+// An atmosphere layer of width 'width', and whose density is defined as
+// 'expTerm' * exp('expScale' * h) + 'linearTerm' * h + 'constantTerm',
+// clamped to [0,1], and where h is the altitude.
+export class DensityProfileLayer {
+  constructor({
+    width = 0,
+    expTerm = 0,
+    expScale = 0,
+    linearTerm = 0,
+    constantTerm = 0
+  } = {}) {
+    this.width = width;
+    this.expTerm = expTerm;
+    this.expScale = expScale;
+    this.linearTerm = linearTerm;
+    this.constantTerm = constantTerm;
+  }
+
+  // A layer whose density decreases exponentially with the altitude, with the
+  // given scale height.
+  static exponential(scaleHeight) {
+    return new DensityProfileLayer({ expTerm: 1, expScale: -1 / scaleHeight });
+  }
+}
+
+// Values from the demo of the original implementation (see demo.cc), for the
+// wavelengths 680, 550 and 440 nm.
+const kRayleighScaleHeight = 8000;
+const kMieScaleHeight = 1200;
+const kOzoneLayerWidth = 25000;
+
+// Spectra from the demo of the original implementation, from 360 to 830 nm
+// every 10 nm (see AtmosphereParameters.spectral()).
+const kSolarIrradiance = [
+  1.11776, 1.14259, 1.01249, 1.14716, 1.72765, 1.73054, 1.6887, 1.61253,
+  1.91198, 2.03474, 2.02042, 2.02212, 1.93377, 1.95809, 1.91686, 1.8298,
+  1.8685, 1.8931, 1.85149, 1.8504, 1.8341, 1.8345, 1.8147, 1.78158, 1.7533,
+  1.6965, 1.68194, 1.64654, 1.6048, 1.52143, 1.55622, 1.5113, 1.474, 1.4482,
+  1.41018, 1.36775, 1.34188, 1.31429, 1.28303, 1.26758, 1.2367, 1.2082,
+  1.18737, 1.14683, 1.12362, 1.1058, 1.07124, 1.04992
+];
+const kOzoneCrossSection = [
+  1.18e-27, 2.182e-28, 2.818e-28, 6.636e-28, 1.527e-27, 2.763e-27, 5.52e-27,
+  8.451e-27, 1.582e-26, 2.316e-26, 3.669e-26, 4.924e-26, 7.752e-26, 9.016e-26,
+  1.48e-25, 1.602e-25, 2.139e-25, 2.755e-25, 3.091e-25, 3.5e-25, 4.266e-25,
+  4.672e-25, 4.398e-25, 4.701e-25, 5.019e-25, 4.305e-25, 3.74e-25, 3.215e-25,
+  2.662e-25, 2.238e-25, 1.852e-25, 1.473e-25, 1.209e-25, 9.423e-26, 7.455e-26,
+  6.566e-26, 5.105e-26, 4.15e-26, 4.228e-26, 3.237e-26, 2.451e-26, 2.801e-26,
+  2.534e-26, 1.624e-26, 1.465e-26, 2.078e-26, 1.383e-26, 7.105e-27
+];
+const kDobsonUnit = 2.687e20;
+const kMaxOzoneNumberDensity = 300 * kDobsonUnit / 15000;
+const kRayleigh = 1.24062e-6;
+const kMieAngstromBeta = 5.328e-3;
+const kMieSingleScatteringAlbedo = 0.9;
+const kGroundAlbedo = 0.1;
+
+function defaultValues() {
+  return {
+    wavelengths: [...RGB_WAVELENGTHS],
+    solarIrradiance: [1.474, 1.8504, 1.91198],
+    sunAngularRadius: 0.00935 / 2,
+    bottomRadius: 6360000,
+    topRadius: 6420000,
+    rayleighDensity: [DensityProfileLayer.exponential(kRayleighScaleHeight)],
+    rayleighScattering: [5.802e-6, 13.558e-6, 33.1e-6],
+    mieDensity: [DensityProfileLayer.exponential(kMieScaleHeight)],
+    mieScattering: [3.996e-6, 3.996e-6, 3.996e-6],
+    mieExtinction: [4.44e-6, 4.44e-6, 4.44e-6],
+    miePhaseFunctionG: 0.8,
+    // Density profile increasing linearly from 0 to 1 between 10 and 25 km,
+    // and decreasing linearly from 1 to 0 between 25 and 40 km.
+    absorptionDensity: [
+      new DensityProfileLayer({
+        width: kOzoneLayerWidth,
+        linearTerm: 1 / 15000,
+        constantTerm: -2 / 3
+      }),
+      new DensityProfileLayer({ linearTerm: -1 / 15000, constantTerm: 8 / 3 })
+    ],
+    absorptionExtinction: [6.5e-7, 1.881e-6, 8.5e-8],
+    groundAlbedo: [0.1, 0.1, 0.1],
+    muSMin: Math.cos(102 / 180 * Math.PI),
+    lengthUnitInMeters: 1000,
+    numPrecomputedWavelengths: 3,
+    skySpectralRadianceToLuminance: [114974.916437, 71305.954816, 65310.548555],
+    sunSpectralRadianceToLuminance: [98242.786222, 69954.398112, 66475.012354],
+
+    transmittanceTextureWidth: 256,
+    transmittanceTextureHeight: 64,
+    scatteringTextureRSize: 32,
+    scatteringTextureMuSize: 128,
+    scatteringTextureMuSSize: 32,
+    scatteringTextureNuSize: 8,
+    irradianceTextureWidth: 64,
+    irradianceTextureHeight: 16
+  };
+}
+
+// The values sampled at the 'wavelengths'.
+const SPECTRUM_KEYS = [
+  'solarIrradiance',
+  'rayleighScattering',
+  'mieScattering',
+  'mieExtinction',
+  'absorptionExtinction',
+  'groundAlbedo'
+];
+
+// The values for the red, green and blue channels.
+const LUMINANCE_FACTOR_KEYS = [
+  'skySpectralRadianceToLuminance',
+  'sunSpectralRadianceToLuminance'
+];
+
+const DENSITY_PROFILE_KEYS = [
+  'rayleighDensity',
+  'mieDensity',
+  'absorptionDensity'
+];
+
+const TEXTURE_SIZE_KEYS = [
+  'transmittanceTextureWidth',
+  'transmittanceTextureHeight',
+  'scatteringTextureRSize',
+  'scatteringTextureMuSize',
+  'scatteringTextureMuSSize',
+  'scatteringTextureNuSize',
+  'irradianceTextureWidth',
+  'irradianceTextureHeight'
+];
+
+// Returns the given spectrum sorted by increasing wavelengths, as expected by
+// interpolate().
+function sortSpectrum(wavelengths, values) {
+  const order = wavelengths.map((_, i) => i)
+    .sort((i, j) => wavelengths[i] - wavelengths[j]);
+  return [order.map((i) => wavelengths[i]), order.map((i) => values[i])];
+}
+
+// The physical parameters of the atmosphere, and the size of the precomputed
+// textures. Any value which is not specified takes the default value of the
+// original demo (i.e. the Earth atmosphere).
+//
+// The spectral values are sampled at the given 'wavelengths' (in nanometers,
+// in any order), which are by default the wavelengths of the red, green
+// and blue channels (see RGB_WAVELENGTHS). The shaders use the spectra
+// interpolated at these wavelengths.
+//
+// With 'numPrecomputedWavelengths' larger than 3, the scattering and
+// irradiance textures are precomputed for this number of wavelengths (rounded
+// up to a multiple of 3) between 360 and 830 nm, in groups of 3, and are
+// converted to linear sRGB luminance values with the CIE color matching
+// functions, as in the original implementation. The spectra should then have
+// more than 3 samples (see AtmosphereParameters.spectral()), and the sky must
+// be rendered in luminance mode.
+//
+// If the spectra are specified with 'wavelengths', the luminance conversion
+// factors which are not specified are computed from the solar spectrum.
+export class AtmosphereParameters {
+  constructor(values = {}) {
+    const defaults = defaultValues();
+    for (const key of Object.keys(values)) {
+      if (!(key in defaults)) {
+        throw new Error(`Unknown atmosphere parameter: ${key}`);
+      }
+    }
+    Object.assign(this, defaults, values);
+    this.wavelengths = Array.from(this.wavelengths);
+    for (const key of [...SPECTRUM_KEYS, ...LUMINANCE_FACTOR_KEYS]) {
+      this[key] = Array.from(this[key]);
+    }
+    for (const key of DENSITY_PROFILE_KEYS) {
+      // As in the original implementation, a density profile has 2 layers,
+      // and a single layer profile is completed with a zero width layer.
+      const layers = this[key].map((layer) => new DensityProfileLayer(layer));
+      this[key] = layers.length === 1 ? [new DensityProfileLayer(), layers[0]] : layers;
+    }
+    this.validate();
+
+    // Same as in the Model constructor of the original implementation. With
+    // precomputed luminance the textures contain luminance values divided by
+    // MAX_LUMINOUS_EFFICACY (to avoid too large values in half float
+    // textures).
+    if ('wavelengths' in values) {
+      const solarSpectrum =
+        sortSpectrum(this.wavelengths, this.solarIrradiance);
+      if (!('skySpectralRadianceToLuminance' in values)) {
+        this.skySpectralRadianceToLuminance = this.precomputedLuminance ?
+          new Array(3).fill(MAX_LUMINOUS_EFFICACY) :
+          computeSpectralRadianceToLuminanceFactors(...solarSpectrum, -3);
+      }
+      if (!('sunSpectralRadianceToLuminance' in values)) {
+        this.sunSpectralRadianceToLuminance =
+          computeSpectralRadianceToLuminanceFactors(...solarSpectrum, 0);
+      }
+    }
+  }
+
+  // The Earth atmosphere of the demo of the original implementation, with
+  // spectra sampled every 10 nm from 360 to 830 nm (instead of only at
+  // RGB_WAVELENGTHS), for instance to use more than 3 precomputed wavelengths.
+  // The given values override the default ones.
+  static spectral(values = {}) {
+    const spectra = {
+      wavelengths: [],
+      solarIrradiance: [],
+      rayleighScattering: [],
+      mieScattering: [],
+      mieExtinction: [],
+      absorptionExtinction: [],
+      groundAlbedo: []
+    };
+    // The Mie Angstrom exponent of the original demo is 0, i.e. the Mie
+    // extinction does not depend on the wavelength.
+    const mie = kMieAngstromBeta / kMieScaleHeight;
+    for (let i = 0; i < kSolarIrradiance.length; ++i) {
+      const wavelength = 360 + 10 * i;
+      // In micrometers.
+      const lambda = wavelength * 1e-3;
+      spectra.wavelengths.push(wavelength);
+      spectra.solarIrradiance.push(kSolarIrradiance[i]);
+      spectra.rayleighScattering.push(kRayleigh * Math.pow(lambda, -4));
+      spectra.mieScattering.push(mie * kMieSingleScatteringAlbedo);
+      spectra.mieExtinction.push(mie);
+      spectra.absorptionExtinction.push(
+        kMaxOzoneNumberDensity * kOzoneCrossSection[i]);
+      spectra.groundAlbedo.push(kGroundAlbedo);
+    }
+    return new AtmosphereParameters({ ...spectra, ...values });
+  }
+
+  // Whether the precomputed textures contain luminance values instead of
+  // spectral radiance values (see numPrecomputedWavelengths).
+  get precomputedLuminance() {
+    return this.numPrecomputedWavelengths > 3;
+  }
+
+  // Returns the spectral values interpolated at the 3 given wavelengths, as
+  // {solarIrradiance, rayleighScattering, ...} arrays of 3 values.
+  getSpectra(lambdas = RGB_WAVELENGTHS) {
+    const spectra = {};
+    for (const key of SPECTRUM_KEYS) {
+      const [wavelengths, values] = sortSpectrum(this.wavelengths, this[key]);
+      spectra[key] = lambdas.map(
+        (lambda) => interpolate(wavelengths, values, lambda));
+    }
+    return spectra;
+  }
+
+  get scatteringTextureWidth() {
+    return this.scatteringTextureNuSize * this.scatteringTextureMuSSize;
+  }
+
+  get scatteringTextureHeight() {
+    return this.scatteringTextureMuSize;
+  }
+
+  get scatteringTextureDepth() {
+    return this.scatteringTextureRSize;
+  }
+
+  validate() {
+    const check = (condition, message) => {
+      if (!condition) {
+        throw new Error(`Invalid atmosphere parameters: ${message}`);
+      }
+    };
+    const isNumber = (x) => typeof x === 'number' && Number.isFinite(x);
+
+    check(this.wavelengths.length >= 3 &&
+      this.wavelengths.every((x) => isNumber(x) && x > 0) &&
+      new Set(this.wavelengths).size === this.wavelengths.length,
+      'wavelengths must be at least 3 distinct positive numbers');
+    for (const key of SPECTRUM_KEYS) {
+      check(this[key].length === this.wavelengths.length,
+        `${key} must have one value per wavelength`);
+      check(this[key].every((x) => isNumber(x) && x >= 0),
+        `${key} values must be non negative numbers`);
+    }
+    for (const key of LUMINANCE_FACTOR_KEYS) {
+      check(this[key].length === 3, `${key} must have 3 values`);
+      check(this[key].every((x) => isNumber(x) && x >= 0),
+        `${key} values must be non negative numbers`);
+    }
+    check(Number.isInteger(this.numPrecomputedWavelengths) &&
+      this.numPrecomputedWavelengths >= 3,
+      'numPrecomputedWavelengths must be an integer larger than or equal to 3');
+    check(!this.precomputedLuminance || this.wavelengths.length > 3,
+      'numPrecomputedWavelengths larger than 3 requires spectra with more ' +
+      'than 3 wavelengths');
+    for (const key of DENSITY_PROFILE_KEYS) {
+      check(this[key].length === 2, `${key} must have 1 or 2 layers`);
+      for (const layer of this[key]) {
+        check(Object.values(layer).every(isNumber),
+          `${key} layers must only contain numbers`);
+        check(layer.width >= 0, `${key} layer widths must be non negative`);
+      }
+    }
+    for (const key of TEXTURE_SIZE_KEYS) {
+      check(Number.isInteger(this[key]) && this[key] > 0,
+        `${key} must be a positive integer`);
+    }
+    check(this.scatteringTextureMuSize % 2 === 0,
+      'scatteringTextureMuSize must be even');
+
+    check(isNumber(this.bottomRadius) && this.bottomRadius > 0,
+      'bottomRadius must be positive');
+    check(isNumber(this.topRadius) && this.topRadius > this.bottomRadius,
+      'topRadius must be larger than bottomRadius');
+    check(isNumber(this.sunAngularRadius) && this.sunAngularRadius > 0 &&
+      this.sunAngularRadius < Math.PI / 2,
+      'sunAngularRadius must be between 0 and PI / 2');
+    check(isNumber(this.miePhaseFunctionG) && Math.abs(this.miePhaseFunctionG) < 1,
+      'miePhaseFunctionG must be between -1 and 1');
+    check(this.mieExtinction.every((x, i) => x >= this.mieScattering[i]),
+      'mieExtinction must be larger than or equal to mieScattering');
+    check(this.groundAlbedo.every((x) => x <= 1),
+      'groundAlbedo values must be between 0 and 1');
+    check(isNumber(this.muSMin) && this.muSMin >= -1 && this.muSMin <= 1,
+      'muSMin must be between -1 and 1');
+    check(isNumber(this.lengthUnitInMeters) && this.lengthUnitInMeters > 0,
+      'lengthUnitInMeters must be positive');
+    return this;
+  }
+
+  toJSON() {
+    const json = {};
+    for (const key of Object.keys(defaultValues())) {
+      json[key] = this[key];
+    }
+    return json;
+  }
+}
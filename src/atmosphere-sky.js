@@ -0,0 +1,487 @@
+// Sky, ground and aerial perspective of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// as a three.js object
+// See shaders.js for license
+import * as THREE from 'three'
+import { vertexShader, createFragmentShader } from './shaders.js'
+import { Model } from './model.js'
+import { AtmosphereParameters } from './atmosphere-parameters.js'
+import { createStarTexture } from './stars.js'
+import { BRIGHT_STARS } from './bright-stars.js'
+import { SunShadowMap } from './sun-shadow-map.js'
+import {
+  checkToneMapping,
+  getRendererToneMapping,
+  getToneMappingDefines
+} from './tone-mapping.js'
+
+// A full screen quad rendering the sky, the ground and the sun, as seen from
+// the camera used to render it (any PerspectiveCamera). The scene units are
+// the parameters.lengthUnitInMeters unit (i.e. kilometers by default), and the
+// z axis points up.
+//
+// The precomputed textures are either given in the options (see
+// loadAtmosphereTextures()), or precomputed with a Model if a renderer is given
+// instead. If only the scattering texture is missing (e.g. while it is
+// loading), the sky uses the single scattering integrated with the
+// transmittance texture instead, which is slower and darker (there is no
+// multiple scattering), until it is given with setScatteringTexture(). The
+// sky is drawn before the other objects, without depth test, and
+// should therefore be added to the scene of the objects it is behind of.
+//
+// With 'radianceOutput' the sky outputs linear radiance values instead of tone
+// mapped colors (the exposure and white point are then ignored), and without
+// 'sunDisk' the sun itself is not drawn (e.g. for environment maps, where the
+// sun is better represented with a light).
+//
+// With 'luminance' the sky computes luminance values, in cd.m^-2, instead of
+// spectral radiance values (see USE_LUMINANCE in shaders.js), which can be
+// changed at runtime with setLuminance(). The luminance values being about 1e5
+// times larger, the exposure uniform is the exposure given to setExposure()
+// times LUMINANCE_EXPOSURE_SCALE in this mode, so that the image stays
+// comparable in both modes. Photometric values can thus be output with the
+// 'none' tone mapping, a linear output color space and an exposure of
+// 1 / LUMINANCE_EXPOSURE_SCALE. With more than 3 precomputed wavelengths (see
+// AtmosphereParameters), the textures contain luminance values, and the
+// luminance mode is required (and is the default).
+//
+// Otherwise the exposed radiance (radiance / white point * exposure) is tone
+// mapped with 'toneMapping' (see TONE_MAPPINGS) and encoded in
+// 'outputColorSpace'. With the 'renderer' tone mapping, the tone mapping and
+// output color space of the renderer are used instead, like three.js materials
+// do: the renderer toneMapping, toneMappingExposure and outputColorSpace when
+// rendering to the canvas, and linear HDR values otherwise (e.g. for an
+// EffectComposer with an OutputPass).
+//
+// With 'moon' the sky is also lit by the moon (see setMoonDirection()), whose
+// light is scattered with the same lookup textures as the sun light, scaled by
+// the ratio between the moon and the solar irradiances, which depends on the
+// moon phase. The moon disk is drawn too (unless 'sunDisk' is false), with its
+// phase. Without the sun, the moonlit sky is about a million times darker than
+// the daylight sky, and needs a correspondingly larger exposure.
+//
+// With 'stars' (true for the BRIGHT_STARS catalogue, or a catalogue in the same
+// format) the stars are drawn behind the atmosphere, attenuated by its
+// transmittance, with their physical irradiance (times the star brightness).
+// They therefore fade in when the sky radiance drops, at dusk, if the exposure
+// is increased accordingly. Likewise, a Milky Way map can be drawn with
+// 'milkyWayTexture' (see MILKY_WAY in shaders.js). Both are rotated with
+// setSiderealTime().
+//
+// With 'clouds' a ray marched cloud layer is drawn in front of the sky and of
+// the ground, lit by the sun light transmitted by the atmosphere, by the sky
+// irradiance and by the moon, with aerial perspective (see setClouds() and
+// setCloudsEnabled()).
+//
+// With a 'shadowMap' (a SunShadowMap of the scene) the light shafts are
+// computed from the shadows of the scene objects, instead of those of the demo
+// sphere. The shadow map must be updated by the caller, when the sun direction
+// or the scene changes.
+export const LUMINANCE_EXPOSURE_SCALE = 1e-5;
+
+function checkLuminance(parameters, luminance) {
+  if (parameters.precomputedLuminance && !luminance) {
+    throw new Error('Radiance rendering is not supported with more than 3 ' +
+      'precomputed wavelengths');
+  }
+}
+
+// The precomputed luminance textures can't be replaced with the single
+// scattering at 3 wavelengths.
+function checkSingleScatteringFallback(parameters) {
+  if (parameters.precomputedLuminance) {
+    throw new Error('The single scattering fallback is not supported with ' +
+      'more than 3 precomputed wavelengths');
+  }
+}
+
+export class AtmosphereSky extends THREE.Mesh {
+  constructor({
+    parameters = new AtmosphereParameters(),
+    renderer = null,
+    transmittanceTexture = null,
+    scatteringTexture = null,
+    irradianceTexture = null,
+    numScatteringOrders = 4,
+    demoSphere = false,
+    sunDisk = true,
+    radianceOutput = false,
+    luminance = parameters.precomputedLuminance,
+    moon = false,
+    moonAngularRadius = 0.00452,
+    stars = false,
+    milkyWayTexture = null,
+    clouds = false,
+    shadowMap = null,
+    toneMapping = 'exponential',
+    outputColorSpace = THREE.SRGBColorSpace
+  } = {}) {
+    let model = null;
+    const singleScatteringFallback =
+      transmittanceTexture && irradianceTexture && !scatteringTexture;
+    if (singleScatteringFallback) {
+      checkSingleScatteringFallback(parameters);
+      scatteringTexture = new THREE.Data3DTexture(); // unused
+    } else if (!transmittanceTexture || !irradianceTexture) {
+      if (!renderer) {
+        throw new Error(
+          'AtmosphereSky needs either the precomputed textures or a renderer');
+      }
+      model = new Model(renderer, parameters);
+      model.init(numScatteringOrders);
+      ({ transmittanceTexture, scatteringTexture, irradianceTexture } = model);
+    }
+
+    checkToneMapping(toneMapping, outputColorSpace);
+    checkLuminance(parameters, luminance);
+    if (shadowMap && !(shadowMap instanceof SunShadowMap)) {
+      throw new Error('shadowMap must be a SunShadowMap');
+    }
+    let starTexture = null;
+    if (stars) {
+      starTexture = createStarTexture(stars === true ? BRIGHT_STARS : stars);
+    }
+
+    const material = new THREE.RawShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms: {
+        transmittance_texture: { value: transmittanceTexture },
+        scattering_texture: { value: scatteringTexture },
+        single_mie_scattering_texture: { value: new THREE.Data3DTexture() }, // unused
+        irradiance_texture: { value: irradianceTexture },
+        camera: { value: new THREE.Vector3() },
+        white_point: { value: new THREE.Vector3(1, 1, 1) },
+        exposure: { value: 10 },
+        tone_mapping_exposure: { value: 1 },
+        earth_center: {
+          value: new THREE.Vector3(
+            0, 0, -parameters.bottomRadius / parameters.lengthUnitInMeters)
+        },
+        sun_direction: { value: new THREE.Vector3(0, 0, 1) },
+        sun_size: {
+          value: new THREE.Vector2(
+            Math.tan(parameters.sunAngularRadius),
+            Math.cos(parameters.sunAngularRadius))
+        },
+        moon_direction: { value: new THREE.Vector3(0, 0, -1) },
+        moon_size: {
+          value: new THREE.Vector2(
+            Math.tan(moonAngularRadius), Math.cos(moonAngularRadius))
+        },
+        star_rotation: { value: new THREE.Matrix3() },
+        star_texture: { value: starTexture },
+        star_brightness: { value: 1 },
+        milky_way_texture: { value: milkyWayTexture },
+        milky_way_brightness: { value: 1e-8 },
+        cloud_altitude: {
+          value: new THREE.Vector2(1500, 4000)
+            .divideScalar(parameters.lengthUnitInMeters)
+        },
+        cloud_coverage: { value: 0.5 },
+        cloud_density: { value: 0.02 * parameters.lengthUnitInMeters },
+        cloud_noise_scale: { value: 4000 / parameters.lengthUnitInMeters },
+        cloud_offset: { value: new THREE.Vector3() },
+        cloud_max_distance: { value: 100000 / parameters.lengthUnitInMeters },
+        sun_shadow_map: { value: shadowMap ? shadowMap.depthTexture : null },
+        sun_shadow_matrix: { value: shadowMap ? shadowMap.matrix : new THREE.Matrix4() }
+      },
+      defines: {
+        ...(demoSphere ? { DEMO_SPHERE: '' } : {}),
+        ...(sunDisk ? {} : { NO_SUN_DISK: '' }),
+        ...(radianceOutput ? { RADIANCE_OUTPUT: '' } : {}),
+        ...(luminance ? { USE_LUMINANCE: '' } : {}),
+        ...(moon ? { MOON: '' } : {}),
+        ...(starTexture ? { STARS: '' } : {}),
+        ...(milkyWayTexture ? { MILKY_WAY: '' } : {}),
+        ...(clouds ? { CLOUDS: '' } : {}),
+        ...(shadowMap ? { LIGHT_SHAFTS: '' } : {}),
+        ...(singleScatteringFallback ? { SINGLE_SCATTERING_FALLBACK: '' } : {})
+      },
+      vertexShader,
+      fragmentShader: createFragmentShader(parameters),
+      depthTest: false,
+      depthWrite: false
+    });
+
+    super(new THREE.PlaneGeometry(2, 2), material);
+    this.type = 'AtmosphereSky';
+    this.frustumCulled = false;
+    this.renderOrder = -1;
+    this.parameters = parameters;
+    this.model = model;
+    this.setToneMapping(toneMapping, outputColorSpace);
+    // Scales the default exposure in the luminance mode.
+    this.setExposure(10);
+  }
+
+  get uniforms() {
+    return this.material.uniforms;
+  }
+
+  get transmittanceTexture() {
+    return this.uniforms.transmittance_texture.value;
+  }
+
+  get scatteringTexture() {
+    return this.uniforms.scattering_texture.value;
+  }
+
+  get irradianceTexture() {
+    return this.uniforms.irradiance_texture.value;
+  }
+
+  get luminance() {
+    return 'USE_LUMINANCE' in this.material.defines;
+  }
+
+  // Whether the cloud layer is drawn (see setCloudsEnabled()).
+  get cloudsEnabled() {
+    return 'CLOUDS' in this.material.defines;
+  }
+
+  // Whether the scattering texture is missing (see setScatteringTexture()).
+  get singleScatteringFallback() {
+    return 'SINGLE_SCATTERING_FALLBACK' in this.material.defines;
+  }
+
+  // The ratio between the exposure uniform and the exposure (see setExposure()).
+  get exposureScale() {
+    return this.luminance ? LUMINANCE_EXPOSURE_SCALE : 1;
+  }
+
+  get exposure() {
+    return this.uniforms.exposure.value / this.exposureScale;
+  }
+
+  // Sets the direction of the sun, as a unit vector pointing to the sun (it is
+  // normalized if necessary).
+  setSunDirection(direction) {
+    this.uniforms.sun_direction.value.copy(direction).normalize();
+    return this;
+  }
+
+  // Sets the direction of the sun from its angle with the z axis, and its angle
+  // with the x axis in the xy plane, in radians.
+  setSunAngles(zenithAngle, azimuthAngle) {
+    this.uniforms.sun_direction.value.set(
+      Math.sin(zenithAngle) * Math.cos(azimuthAngle),
+      Math.sin(zenithAngle) * Math.sin(azimuthAngle),
+      Math.cos(zenithAngle));
+    return this;
+  }
+
+  // Sets the direction of the moon, as a unit vector pointing to the moon (it
+  // is normalized if necessary). The moon phase is deduced from the sun and
+  // moon directions.
+  setMoonDirection(direction) {
+    this.uniforms.moon_direction.value.copy(direction).normalize();
+    return this;
+  }
+
+  // Sets the direction of the moon from its angle with the z axis, and its
+  // angle with the x axis in the xy plane, in radians.
+  setMoonAngles(zenithAngle, azimuthAngle) {
+    this.uniforms.moon_direction.value.set(
+      Math.sin(zenithAngle) * Math.cos(azimuthAngle),
+      Math.sin(zenithAngle) * Math.sin(azimuthAngle),
+      Math.cos(zenithAngle));
+    return this;
+  }
+
+  // Sets the orientation of the stars and of the Milky Way from the local
+  // sidereal time (see getLocalSiderealTime()) and the observer latitude, in
+  // radians, assuming that the x, y and z axes point to the east, the north and
+  // the zenith.
+  setSiderealTime(localSiderealTime, latitude) {
+    const cosT = Math.cos(localSiderealTime);
+    const sinT = Math.sin(localSiderealTime);
+    const cosL = Math.cos(latitude);
+    const sinL = Math.sin(latitude);
+    this.uniforms.star_rotation.value.set(
+      -sinT, cosT, 0,
+      -sinL * cosT, -sinL * sinT, cosL,
+      cosL * cosT, cosL * sinT, sinL);
+    return this;
+  }
+
+  // Sets the factor applied to the star irradiances, and the one applied to the
+  // Milky Way texture values to get its radiance, relative to the solar
+  // irradiance.
+  setStarBrightness(brightness,
+      milkyWayBrightness = this.uniforms.milky_way_brightness.value) {
+    this.uniforms.star_brightness.value = brightness;
+    this.uniforms.milky_way_brightness.value = milkyWayBrightness;
+    return this;
+  }
+
+  // Sets the cloud layer parameters (the unspecified ones are unchanged), in
+  // scene units: the bottom and top 'altitude' of the layer (a THREE.Vector2),
+  // the fraction of the sky covered by clouds ('coverage', between 0 and 1),
+  // the extinction coefficient inside the clouds ('density', in inverse scene
+  // units), the size of the largest cloud features ('noiseScale') and the
+  // distance up to which clouds are drawn ('maxDistance').
+  setClouds({ altitude, coverage, density, noiseScale, maxDistance } = {}) {
+    const uniforms = this.uniforms;
+    if (altitude !== undefined) {
+      if (!(altitude.x >= 0 && altitude.y > altitude.x)) {
+        throw new Error(`Invalid cloud altitude: ${altitude.x}, ${altitude.y}`);
+      }
+      uniforms.cloud_altitude.value.copy(altitude);
+    }
+    if (coverage !== undefined) {
+      if (!(coverage >= 0 && coverage <= 1)) {
+        throw new Error(`Invalid cloud coverage: ${coverage}`);
+      }
+      uniforms.cloud_coverage.value = coverage;
+    }
+    if (density !== undefined) {
+      if (!(density >= 0)) {
+        throw new Error(`Invalid cloud density: ${density}`);
+      }
+      uniforms.cloud_density.value = density;
+    }
+    if (noiseScale !== undefined) {
+      if (!(noiseScale > 0)) {
+        throw new Error(`Invalid cloud noise scale: ${noiseScale}`);
+      }
+      uniforms.cloud_noise_scale.value = noiseScale;
+    }
+    if (maxDistance !== undefined) {
+      uniforms.cloud_max_distance.value = maxDistance;
+    }
+    return this;
+  }
+
+  // Shows or hides the cloud layer (recompiling the sky shader). The
+  // SkyEnvironment of this sky follows it in its next update().
+  setCloudsEnabled(enabled) {
+    if (enabled == this.cloudsEnabled) {
+      return this;
+    }
+    if (enabled) {
+      this.material.defines.CLOUDS = '';
+    } else {
+      delete this.material.defines.CLOUDS;
+    }
+    this.material.needsUpdate = true;
+    return this;
+  }
+
+  // Sets the translation of the cloud density noise, in scene units (e.g. to
+  // move the clouds with the wind).
+  setCloudOffset(offset) {
+    this.uniforms.cloud_offset.value.copy(offset);
+    return this;
+  }
+
+  // Sets the positive factor applied to the radiance before tone mapping (or to
+  // the luminance, times LUMINANCE_EXPOSURE_SCALE).
+  setExposure(exposure) {
+    if (!(exposure > 0)) {
+      throw new Error(`Invalid exposure: ${exposure}`);
+    }
+    this.uniforms.exposure.value = exposure * this.exposureScale;
+    return this;
+  }
+
+  // Sets the scattering texture, if it was missing in the constructor (e.g.
+  // when it finishes loading), to switch from the single scattering fallback to
+  // the full multiple scattering. The materials extended with this sky (see
+  // extendMaterialWithAtmosphere()) must then be recompiled, with
+  // material.needsUpdate = true.
+  setScatteringTexture(scatteringTexture) {
+    if (!this.singleScatteringFallback) {
+      throw new Error('The scattering texture can only be set once, if it ' +
+        'was missing in the constructor');
+    }
+    this.uniforms.scattering_texture.value.dispose();
+    this.uniforms.scattering_texture.value = scatteringTexture;
+    delete this.material.defines.SINGLE_SCATTERING_FALLBACK;
+    this.material.needsUpdate = true;
+    return this;
+  }
+
+  // Switches between the radiance and luminance modes, keeping the same
+  // exposure. The materials extended with this sky (see
+  // extendMaterialWithAtmosphere()) must then be recompiled, with
+  // material.needsUpdate = true, and the AtmosphereLights updated.
+  setLuminance(luminance) {
+    if (luminance == this.luminance) {
+      return this;
+    }
+    checkLuminance(this.parameters, luminance);
+    const exposure = this.exposure;
+    if (luminance) {
+      this.material.defines.USE_LUMINANCE = '';
+    } else {
+      delete this.material.defines.USE_LUMINANCE;
+    }
+    this.material.needsUpdate = true;
+    return this.setExposure(exposure);
+  }
+
+  // Sets the tone mapping operator (a TONE_MAPPINGS key, or 'renderer') and the
+  // output color space (THREE.SRGBColorSpace, THREE.LinearSRGBColorSpace or
+  // 'display-p3', ignored with the 'renderer' tone mapping). The materials
+  // extended with this sky (see extendMaterialWithAtmosphere()) must then be
+  // recompiled, with material.needsUpdate = true.
+  setToneMapping(toneMapping, outputColorSpace = this.outputColorSpace) {
+    checkToneMapping(toneMapping, outputColorSpace);
+    this.toneMapping = toneMapping;
+    this.outputColorSpace = outputColorSpace;
+    if (toneMapping != 'renderer') {
+      this.updateToneMappingDefines(toneMapping, outputColorSpace);
+      this.uniforms.tone_mapping_exposure.value = 1;
+    }
+    return this;
+  }
+
+  updateToneMappingDefines(toneMapping, outputColorSpace) {
+    const defines = this.material.defines;
+    const toneMappingDefines =
+      getToneMappingDefines(toneMapping, outputColorSpace);
+    for (const name in toneMappingDefines) {
+      if (defines[name] !== toneMappingDefines[name]) {
+        defines[name] = toneMappingDefines[name];
+        this.material.needsUpdate = true;
+      }
+    }
+  }
+
+  // Sets the radiance which is mapped to white, per color channel.
+  setWhitePoint(whitePoint) {
+    this.uniforms.white_point.value.copy(whitePoint);
+    return this;
+  }
+
+  // Sets the position of the planet center, in scene units.
+  setEarthCenter(earthCenter) {
+    this.uniforms.earth_center.value.copy(earthCenter);
+    return this;
+  }
+
+  onBeforeRender(renderer, scene, camera) {
+    this.uniforms.camera.value.setFromMatrixPosition(camera.matrixWorld);
+    if (this.toneMapping == 'renderer') {
+      const { toneMapping, outputColorSpace } = getRendererToneMapping(renderer);
+      this.updateToneMappingDefines(toneMapping, outputColorSpace);
+      this.uniforms.tone_mapping_exposure.value =
+        renderer.getRenderTarget() === null ? renderer.toneMappingExposure : 1;
+    }
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+    this.uniforms.single_mie_scattering_texture.value.dispose();
+    if (this.singleScatteringFallback) {
+      this.uniforms.scattering_texture.value.dispose();
+    }
+    if (this.uniforms.star_texture.value) {
+      this.uniforms.star_texture.value.dispose();
+    }
+    if (this.model) {
+      this.model.dispose();
+    }
+  }
+}
@@ -0,0 +1,307 @@
+// Loading of the precomputed transmittance, scattering and irradiance textures
+// See shaders.js for license
+import * as THREE from 'three'
+import { AtmosphereParameters } from './atmosphere-parameters.js'
+import {
+  decodeLegacyTextureFile,
+  decodeTextureFile,
+  isTextureFile
+} from './texture-file.js'
+
+function createTexture(TextureClass, data, size, internalFormat) {
+  const texture = new TextureClass(data, ...size);
+  texture.magFilter = texture.minFilter = THREE.LinearFilter;
+  // Half float data can't be uploaded to a 32 bits float texture.
+  const halfFloat = data instanceof Uint16Array;
+  texture.internalFormat = halfFloat ? 'RGBA16F' : internalFormat;
+  texture.type = halfFloat ? THREE.HalfFloatType : THREE.FloatType;
+  texture.needsUpdate = true; // three.js unsets this for data textures since r136
+  return texture;
+}
+
+function createTransmittanceTexture(renderer, data, p) {
+  return createTexture(THREE.DataTexture, data,
+    [p.transmittanceTextureWidth, p.transmittanceTextureHeight],
+    renderer.extensions.has('OES_texture_float_linear') ? 'RGBA32F' : 'RGBA16F');
+}
+
+function createScatteringTexture(data, p) {
+  return createTexture(THREE.Data3DTexture, data,
+    [p.scatteringTextureWidth, p.scatteringTextureHeight, p.scatteringTextureDepth],
+    'RGBA16F');
+}
+
+function createIrradianceTexture(data, p) {
+  return createTexture(THREE.DataTexture, data,
+    [p.irradianceTextureWidth, p.irradianceTextureHeight],
+    'RGBA16F');
+}
+
+// Creates the textures from RGBA texel data, in Float32Arrays or in
+// Uint16Arrays of half floats, in the layout of the transmittance.dat,
+// scattering.dat and irradiance.dat files.
+export function createAtmosphereTextures(renderer,
+    transmittanceData, scatteringData, irradianceData,
+    parameters = new AtmosphereParameters()) {
+  return {
+    transmittanceTexture:
+      createTransmittanceTexture(renderer, transmittanceData, parameters),
+    scatteringTexture: createScatteringTexture(scatteringData, parameters),
+    irradianceTexture: createIrradianceTexture(irradianceData, parameters)
+  };
+}
+
+// The expected size (width, height, depth) of the texture files, for the
+// given parameters.
+const TEXTURE_SIZES = {
+  'transmittance.dat': (p) =>
+    [p.transmittanceTextureWidth, p.transmittanceTextureHeight, 1],
+  'scattering.dat': (p) =>
+    [p.scatteringTextureWidth, p.scatteringTextureHeight, p.scatteringTextureDepth],
+  'irradiance.dat': (p) =>
+    [p.irradianceTextureWidth, p.irradianceTextureHeight, 1]
+};
+
+// Returns a {decode, dispose} object, decoding texture files (see
+// texture-file.js) in a web worker if possible, to not block the main thread
+// with the decompression, checksum and byte order conversion. The file buffers
+// are transferred to the worker, which is terminated by dispose().
+function createTextureFileDecoder() {
+  if (typeof Worker === 'undefined') {
+    return { decode: decodeTextureFile, dispose: () => {} };
+  }
+  const worker = new Worker(
+    new URL('./texture-file-worker.js', import.meta.url), { type: 'module' });
+  // The {resolve, reject} functions of the pending decode() calls, by id.
+  const pending = new Map();
+  let nextId = 0;
+  worker.addEventListener('message', ({ data }) => {
+    const request = pending.get(data.id);
+    if (request) {
+      pending.delete(data.id);
+      data.error ?
+        request.reject(new Error(data.error)) : request.resolve(data.file);
+    }
+  });
+  worker.addEventListener('error', (event) => {
+    for (const { reject } of pending.values()) {
+      reject(new Error(`texture file worker failed (${event.message})`));
+    }
+    pending.clear();
+  });
+  const decode = (buffer) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, buffer }, [buffer]);
+  });
+  return { decode, dispose: () => worker.terminate() };
+}
+
+// Fetches the given URL as an ArrayBuffer, by reading the response body as a
+// stream, and calls onProgress(loaded, total) after each received chunk. The
+// total size is null if it is unknown (including when the response has a
+// content encoding, since the Content-Length is then the encoded size).
+async function fetchWithProgress(url, onProgress) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Failed to load ${url}: ${res.status} ${res.statusText}`);
+  }
+  const contentLength = Number(res.headers.get('Content-Length'));
+  const total = contentLength > 0 && !res.headers.get('Content-Encoding') ?
+    contentLength : null;
+  if (!res.body) {
+    const buffer = await res.arrayBuffer();
+    onProgress(buffer.byteLength, buffer.byteLength);
+    return buffer;
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  onProgress(loaded, total);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(loaded, total);
+  }
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes.buffer;
+}
+
+// Returns the texel data of a loaded file, after checking that it has the
+// size expected from the given parameters.
+function getTextureData(name, { url, buffer, file }, parameters) {
+  const [width, height, depth] = TEXTURE_SIZES[name](parameters);
+  if (!file) {
+    // The dev server answers missing files with index.html.
+    if (buffer.byteLength !== width * height * depth * 16) {
+      throw new Error(`Unexpected size for ${url}: ${buffer.byteLength} bytes`);
+    }
+    return decodeLegacyTextureFile(buffer);
+  }
+  const texture = file.metadata.texture;
+  if (texture && `${texture}.dat` !== name) {
+    throw new Error(`Unexpected texture in ${url}: ${texture}`);
+  }
+  if (file.channels !== 'RGBA' || file.width !== width ||
+      file.height !== height || file.depth !== depth) {
+    throw new Error(`Unexpected texture format for ${url}: ` +
+      `${file.width}x${file.height}x${file.depth} ${file.channels} ` +
+      `texels instead of ${width}x${height}x${depth} RGBA`);
+  }
+  return file.data;
+}
+
+// Returns the parameters stored in the given loaded files, or the given
+// parameters if there are none. Throws an error if the files were computed
+// with different parameters.
+function getTextureParameters(files, parameters, baseUrl) {
+  const bakedParameters = new Set(files
+    .filter(({ file }) => file && file.metadata.parameters)
+    .map(({ file }) => JSON.stringify(file.metadata.parameters)));
+  if (bakedParameters.size > 1) {
+    throw new Error('The atmosphere textures in ' +
+      `${baseUrl} were computed with different parameters`);
+  }
+  return bakedParameters.size === 1 ?
+    new AtmosphereParameters(JSON.parse([...bakedParameters][0])) : parameters;
+}
+
+// Loads the transmittance.dat, scattering.dat and irradiance.dat files from
+// the given base URL, in the format of texture-file.js (possibly with fp16
+// and compressed texel data, decoded in a web worker) or in the legacy
+// headerless format. Returns the textures and the parameters used to compute
+// them, as a {transmittanceTexture, scatteringTexture, irradianceTexture,
+// parameters} object. The parameters stored in the files take precedence over
+// the given ones, which are only used for legacy files. Throws an error if a
+// file can't be loaded, is invalid, or does not have the size expected from
+// the parameters.
+//
+// The files are fetched in parallel, and 'onProgress' is called each time
+// some bytes are received, with a {loaded, total, files} object: the number of
+// bytes received so far, and the total number of bytes to load (or null if it
+// is not known yet), for all the files together and for each one (in 'files',
+// an array of {url, loaded, total} objects). 'onPartialLoad' is called with a
+// {transmittanceTexture, irradianceTexture, parameters} object as soon as
+// these textures are loaded, before the scattering texture (which is much
+// larger), for instance to start rendering an AtmosphereSky without its
+// scattering texture, and to set it when the returned promise resolves (see
+// AtmosphereSky.setScatteringTexture()).
+export async function loadAtmosphereTextures(renderer, baseUrl,
+    parameters = new AtmosphereParameters(), {
+      onProgress = null,
+      onPartialLoad = null
+    } = {}) {
+  // Ensure the base URL ends with a slash
+  const normalizedBaseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+
+  const progress = Object.keys(TEXTURE_SIZES).map((name) => ({
+    url: `${normalizedBaseUrl}${name}`,
+    loaded: 0,
+    total: null
+  }));
+  const reportProgress = () => {
+    if (onProgress) {
+      const sum = (key) => progress.reduce((total, file) => total + file[key], 0);
+      onProgress({
+        loaded: sum('loaded'),
+        total: progress.every(({ total }) => total !== null) ? sum('total') : null,
+        files: progress.map((file) => ({ ...file }))
+      });
+    }
+  };
+
+  const decoder = createTextureFileDecoder();
+  const loadFile = async (fileProgress) => {
+    const url = fileProgress.url;
+    const buffer = await fetchWithProgress(url, (loaded, total) => {
+      fileProgress.loaded = loaded;
+      fileProgress.total = total;
+      reportProgress();
+    });
+    if (!isTextureFile(buffer)) {
+      return { url, buffer };
+    }
+    try {
+      return { url, file: await decoder.decode(buffer) };
+    } catch (error) {
+      throw new Error(`Failed to load ${url}: ${error.message}`);
+    }
+  };
+  const [transmittanceFile, scatteringFile, irradianceFile] =
+    progress.map(loadFile);
+  // Avoid unhandled rejections while waiting for the other files.
+  scatteringFile.catch(() => {});
+
+  try {
+    const firstFiles = await Promise.all([transmittanceFile, irradianceFile]);
+    parameters = getTextureParameters(firstFiles, parameters, normalizedBaseUrl);
+    const transmittanceTexture = createTransmittanceTexture(renderer,
+      getTextureData('transmittance.dat', firstFiles[0], parameters), parameters);
+    const irradianceTexture = createIrradianceTexture(
+      getTextureData('irradiance.dat', firstFiles[1], parameters), parameters);
+    if (onPartialLoad) {
+      onPartialLoad({ transmittanceTexture, irradianceTexture, parameters });
+    }
+
+    const scattering = await scatteringFile;
+    const scatteringParameters =
+      scattering.file && scattering.file.metadata.parameters;
+    if (scatteringParameters &&
+        JSON.stringify(scatteringParameters) !== JSON.stringify(parameters)) {
+      throw new Error(`${scattering.url} was computed with different ` +
+        'parameters than the other atmosphere textures');
+    }
+    const scatteringTexture = createScatteringTexture(
+      getTextureData('scattering.dat', scattering, parameters), parameters);
+    return {
+      transmittanceTexture,
+      scatteringTexture,
+      irradianceTexture,
+      parameters
+    };
+  } finally {
+    // Without waiting for the other files, if one failed.
+    Promise.allSettled([transmittanceFile, scatteringFile, irradianceFile])
+      .then(() => decoder.dispose());
+  }
+}
+
+// Returns the texel data of a 2D atmosphere texture (loaded or precomputed on
+// the GPU), as a {width, height, depth, data} object usable with the CPU
+// lookup functions of cpu-model.js.
+export function readAtmosphereTextureData(renderer, texture) {
+  if (texture.image && texture.image.data) {
+    const { width, height, data } = texture.image;
+    return {
+      width,
+      height,
+      depth: 1,
+      data: data instanceof Uint16Array ?
+        Float32Array.from(data, THREE.DataUtils.fromHalfFloat) : Float32Array.from(data)
+    };
+  }
+  const renderTarget = texture.renderTarget;
+  if (!renderTarget || renderTarget.isWebGL3DRenderTarget) {
+    throw new Error('Unsupported texture: expected a 2D data or render target texture');
+  }
+  const { width, height } = renderTarget;
+  const halfFloat = texture.type === THREE.HalfFloatType;
+  const buffer = halfFloat ?
+    new Uint16Array(width * height * 4) : new Float32Array(width * height * 4);
+  renderer.readRenderTargetPixels(renderTarget, 0, 0, width, height, buffer);
+  return {
+    width,
+    height,
+    depth: 1,
+    data: halfFloat ? Float32Array.from(buffer, THREE.DataUtils.fromHalfFloat) : buffer
+  };
+}
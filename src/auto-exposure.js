@@ -0,0 +1,234 @@
+// Automatic exposure of the sky of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+import {
+  computeVertexShader,
+  logLuminanceShader,
+  reduceLuminanceShader
+} from './shaders.js'
+
+const METERING_MODES = {
+  average: 0,
+  center: 1,
+  spot: 2
+};
+
+function createRenderTarget(size) {
+  return new THREE.WebGLRenderTarget(size, size, {
+    type: THREE.FloatType,
+    minFilter: THREE.NearestFilter,
+    magFilter: THREE.NearestFilter,
+    depthBuffer: false
+  });
+}
+
+// Sets the exposure of the given AtmosphereSky from the luminance of its
+// radiance, as seen from a camera. The radiance is rendered in a small
+// 'size' x 'size' image (size must be a power of 2), and its log luminance
+// is averaged on the GPU, with the weights of the metering mode:
+// - 'average': all the pixels have the same weight,
+// - 'center': the pixels near the image center have a larger weight,
+// - 'spot': only the pixels in a disk of diameter 'spotSize' (relative to the
+//   image size) at the image center are used.
+// The result is read back asynchronously, without stalling the GPU, and gives
+// a target exposure of keyValue / luminance, clamped to [2^minEV, 2^maxEV] (in
+// the luminance mode of the sky, the exposure and the clamps are in the same
+// units as the exposure given to setExposure(), i.e. relative to the radiance
+// mode).
+// The exposure converges to it exponentially, with different speeds (in EV
+// per second, roughly) when the scene gets brighter and darker, as the eye
+// adapts faster to bright light than to darkness.
+//
+// Only the sky mesh (including the ground and the demo sphere) is measured,
+// not the other scene objects.
+export class AutoExposure {
+  constructor(renderer, sky, {
+    size = 64,
+    meteringMode = 'average',
+    spotSize = 0.1,
+    keyValue = 0.25,
+    minEV = -10,
+    maxEV = 20,
+    brightAdaptationSpeed = 3,
+    darkAdaptationSpeed = 1
+  } = {}) {
+    if (!(size >= 1 && Number.isInteger(Math.log2(size)))) {
+      throw new Error(`Invalid auto exposure size: ${size}`);
+    }
+    if (!(minEV <= maxEV)) {
+      throw new Error(`Invalid auto exposure EV range: ${minEV}, ${maxEV}`);
+    }
+    this.renderer = renderer;
+    this.sky = sky;
+    this.spotSize = spotSize;
+    this.keyValue = keyValue;
+    this.minEV = minEV;
+    this.maxEV = maxEV;
+    this.brightAdaptationSpeed = brightAdaptationSpeed;
+    this.darkAdaptationSpeed = darkAdaptationSpeed;
+
+    // A copy of the sky mesh, sharing its uniforms, but which outputs the
+    // radiance instead of tone mapped colors.
+    this.radianceMaterial = new THREE.RawShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms: sky.uniforms,
+      vertexShader: sky.material.vertexShader,
+      fragmentShader: sky.material.fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.radianceMesh = new THREE.Mesh(sky.geometry, this.radianceMaterial);
+    this.radianceMesh.frustumCulled = false;
+    this.radianceScene = new THREE.Scene();
+    this.radianceScene.add(this.radianceMesh);
+    this.radianceRenderTarget = createRenderTarget(size);
+
+    this.logLuminanceMaterial = new THREE.RawShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms: {
+        radiance_texture: { value: this.radianceRenderTarget.texture },
+        spot_size: { value: spotSize }
+      },
+      vertexShader: computeVertexShader,
+      fragmentShader: logLuminanceShader,
+      depthTest: false,
+      depthWrite: false,
+      blending: THREE.NoBlending
+    });
+    this.reduceMaterial = new THREE.RawShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms: { input_texture: { value: null } },
+      vertexShader: computeVertexShader,
+      fragmentShader: reduceLuminanceShader,
+      depthTest: false,
+      depthWrite: false,
+      blending: THREE.NoBlending
+    });
+    // The reduction chain, from size x size to 1 x 1.
+    this.renderTargets = [];
+    for (let s = size; s >= 1; s /= 2) {
+      this.renderTargets.push(createRenderTarget(s));
+    }
+
+    this.quadScene = new THREE.Scene();
+    this.quadCamera = new THREE.Camera();
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    this.quad.frustumCulled = false;
+    this.quadScene.add(this.quad);
+
+    this.buffer = new Float32Array(4);
+    this.pendingReadback = false;
+    this.targetEV = null;
+    this.currentEV = null;
+    this.setMeteringMode(meteringMode);
+  }
+
+  // The current exposure, or null before the first measurement.
+  get exposure() {
+    return this.currentEV === null ? null : Math.pow(2, this.currentEV);
+  }
+
+  setMeteringMode(meteringMode) {
+    if (METERING_MODES[meteringMode] === undefined) {
+      throw new Error(`Unsupported metering mode: ${meteringMode}`);
+    }
+    this.meteringMode = meteringMode;
+    this.logLuminanceMaterial.defines.METERING_MODE =
+      METERING_MODES[meteringMode];
+    this.logLuminanceMaterial.needsUpdate = true;
+    return this;
+  }
+
+  // Jumps to the next measured exposure, without adaptation (e.g. after a
+  // camera cut).
+  reset() {
+    this.currentEV = null;
+    return this;
+  }
+
+  // Measures the sky luminance as seen from the given camera (if the previous
+  // measurement has been read back), adapts the exposure towards the last
+  // measured one, for the given elapsed time (in seconds) since the last call,
+  // and sets it in the sky. Returns the current exposure (or null before the
+  // first measurement).
+  update(camera, deltaSeconds) {
+    if (!this.pendingReadback) {
+      this.measure(camera);
+    }
+    if (this.targetEV === null) {
+      return null;
+    }
+    if (this.currentEV === null) {
+      this.currentEV = this.targetEV;
+    } else {
+      // A larger target exposure means that the scene got darker.
+      const speed = this.targetEV > this.currentEV ?
+        this.darkAdaptationSpeed : this.brightAdaptationSpeed;
+      const t = 1 - Math.exp(-Math.max(deltaSeconds, 0) * speed);
+      this.currentEV += (this.targetEV - this.currentEV) * t;
+    }
+    this.sky.setExposure(Math.pow(2, this.currentEV));
+    return this.exposure;
+  }
+
+  measure(camera) {
+    const renderer = this.renderer;
+    const defines = { ...this.sky.material.defines, RADIANCE_OUTPUT: '' };
+    if (JSON.stringify(defines) !=
+        JSON.stringify(this.radianceMaterial.defines)) {
+      this.radianceMaterial.defines = defines;
+      this.radianceMaterial.needsUpdate = true;
+    }
+    this.logLuminanceMaterial.uniforms.spot_size.value = this.spotSize;
+
+    const previousRenderTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(this.radianceRenderTarget);
+    this.sky.uniforms.camera.value.setFromMatrixPosition(camera.matrixWorld);
+    renderer.render(this.radianceScene, camera);
+    this.drawQuad(this.logLuminanceMaterial, this.renderTargets[0]);
+    for (let i = 1; i < this.renderTargets.length; ++i) {
+      this.reduceMaterial.uniforms.input_texture.value =
+        this.renderTargets[i - 1].texture;
+      this.drawQuad(this.reduceMaterial, this.renderTargets[i]);
+    }
+    renderer.setRenderTarget(previousRenderTarget);
+
+    const result = this.renderTargets[this.renderTargets.length - 1];
+    // The luminance mode of the sky when the measurement was made.
+    const exposureScale = this.sky.exposureScale;
+    this.pendingReadback = true;
+    renderer.readRenderTargetPixelsAsync(result, 0, 0, 1, 1, this.buffer)
+      .then(() => {
+        const [weightedLogLuminance, weight] = this.buffer;
+        // No measured pixels (e.g. with a spot outside a tiny image).
+        if (weight > 0) {
+          const logLuminance = weightedLogLuminance / weight;
+          const ev = Math.log2(this.keyValue / exposureScale) -
+            logLuminance / Math.LN2;
+          this.targetEV = Math.min(Math.max(ev, this.minEV), this.maxEV);
+        }
+      })
+      .catch((error) => console.error('Auto exposure readback failed:', error))
+      .finally(() => {
+        this.pendingReadback = false;
+      });
+  }
+
+  drawQuad(material, renderTarget) {
+    this.quad.material = material;
+    this.renderer.setRenderTarget(renderTarget);
+    this.renderer.render(this.quadScene, this.quadCamera);
+  }
+
+  dispose() {
+    this.radianceMaterial.dispose();
+    this.radianceRenderTarget.dispose();
+    this.logLuminanceMaterial.dispose();
+    this.reduceMaterial.dispose();
+    for (const renderTarget of this.renderTargets) {
+      renderTarget.dispose();
+    }
+    this.quad.geometry.dispose();
+  }
+}
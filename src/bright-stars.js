@@ -0,0 +1,156 @@
+// The brightest stars of the Yale Bright Star Catalogue (5th revised edition,
+// http://tdc-www.harvard.edu/catalogs/bsc5.html), down to about magnitude 3,
+// with a few fainter ones completing well known asterisms. Each star is given
+// by its J2000 right ascension and declination, in degrees, its visual
+// magnitude and its B-V color index.
+export const BRIGHT_STARS = [
+  [101.287, -16.716, -1.46, 0.00], // Sirius
+  [95.988, -52.696, -0.74, 0.15], // Canopus
+  [219.902, -60.834, -0.27, 0.71], // Rigil Kentaurus
+  [213.915, 19.183, -0.05, 1.23], // Arcturus
+  [279.235, 38.784, 0.03, 0.00], // Vega
+  [79.172, 45.998, 0.08, 0.80], // Capella
+  [78.635, -8.202, 0.13, -0.03], // Rigel
+  [114.825, 5.225, 0.34, 0.42], // Procyon
+  [24.428, -57.237, 0.46, -0.16], // Achernar
+  [88.793, 7.407, 0.50, 1.85], // Betelgeuse
+  [210.956, -60.373, 0.61, -0.23], // Hadar
+  [297.696, 8.868, 0.77, 0.22], // Altair
+  [186.650, -63.099, 0.77, -0.24], // Acrux
+  [68.980, 16.509, 0.85, 1.54], // Aldebaran
+  [247.352, -26.432, 0.96, 1.83], // Antares
+  [201.298, -11.161, 0.97, -0.23], // Spica
+  [116.329, 28.026, 1.14, 1.00], // Pollux
+  [344.413, -29.622, 1.16, 0.09], // Fomalhaut
+  [310.358, 45.280, 1.25, 0.09], // Deneb
+  [191.930, -59.689, 1.25, -0.23], // Mimosa
+  [152.093, 11.967, 1.35, -0.11], // Regulus
+  [104.656, -28.972, 1.50, -0.21], // Adhara
+  [113.650, 31.888, 1.58, 0.03], // Castor
+  [187.791, -57.113, 1.63, 1.59], // Gacrux
+  [263.402, -37.104, 1.63, -0.22], // Shaula
+  [81.283, 6.350, 1.64, -0.22], // Bellatrix
+  [81.573, 28.608, 1.65, -0.13], // Elnath
+  [138.300, -69.717, 1.68, 0.07], // Miaplacidus
+  [84.053, -1.202, 1.69, -0.18], // Alnilam
+  [332.058, -46.961, 1.74, -0.13], // Alnair
+  [85.190, -1.943, 1.74, -0.21], // Alnitak
+  [193.507, 55.960, 1.77, -0.02], // Alioth
+  [165.932, 61.751, 1.79, 1.07], // Dubhe
+  [51.081, 49.861, 1.79, 0.48], // Mirfak
+  [122.383, -47.337, 1.83, -0.22], // Regor
+  [107.098, -26.393, 1.84, 0.68], // Wezen
+  [276.043, -34.385, 1.85, -0.03], // Kaus Australis
+  [125.628, -59.509, 1.86, 1.28], // Avior
+  [264.330, -42.998, 1.86, 0.40], // Sargas
+  [206.885, 49.313, 1.86, -0.19], // Alkaid
+  [89.882, 44.947, 1.90, 0.03], // Menkalinan
+  [252.166, -69.028, 1.91, 1.44], // Atria
+  [99.428, 16.399, 1.93, 0.00], // Alhena
+  [306.412, -56.735, 1.94, -0.20], // Peacock
+  [131.176, -54.708, 1.96, 0.04], // Delta Velorum
+  [37.955, 89.264, 1.98, 0.60], // Polaris
+  [95.675, -17.956, 1.98, -0.23], // Mirzam
+  [141.897, -8.659, 1.98, 1.44], // Alphard
+  [31.793, 23.462, 2.00, 1.15], // Hamal
+  [10.898, -17.987, 2.04, 1.02], // Diphda
+  [283.816, -26.297, 2.05, -0.22], // Nunki
+  [211.671, -36.370, 2.06, 1.01], // Menkent
+  [86.939, -9.670, 2.07, -0.17], // Saiph
+  [2.097, 29.091, 2.07, -0.11], // Alpheratz
+  [17.433, 35.621, 2.07, 1.58], // Mirach
+  [340.667, -46.884, 2.07, 1.60], // Tiaki
+  [154.993, 19.841, 2.08, 1.15], // Algieba
+  [263.734, 12.560, 2.08, 0.15], // Rasalhague
+  [222.676, 74.156, 2.08, 1.47], // Kochab
+  [47.042, 40.956, 2.09, -0.05], // Algol
+  [30.975, 42.330, 2.10, 1.37], // Almach
+  [177.265, 14.572, 2.14, 0.09], // Denebola
+  [190.379, -48.960, 2.17, -0.01], // Muhlifain
+  [136.999, -43.432, 2.21, 1.66], // Suhail
+  [139.273, -59.275, 2.21, 0.18], // Aspidiske
+  [233.672, 26.715, 2.22, -0.02], // Alphecca
+  [200.981, 54.925, 2.23, 0.02], // Mizar
+  [305.557, 40.257, 2.23, 0.67], // Sadr
+  [83.002, -0.299, 2.23, -0.22], // Mintaka
+  [10.127, 56.537, 2.24, 1.17], // Schedar
+  [269.152, 51.489, 2.24, 1.52], // Eltanin
+  [120.896, -40.003, 2.25, -0.27], // Naos
+  [2.295, 59.150, 2.28, 0.34], // Caph
+  [240.083, -22.622, 2.29, -0.12], // Dschubba
+  [252.541, -34.293, 2.29, 1.15], // Larawag
+  [204.972, -53.466, 2.30, -0.22], // Epsilon Centauri
+  [220.482, -47.388, 2.30, -0.20], // Alpha Lupi
+  [218.877, -42.158, 2.33, -0.19], // Eta Centauri
+  [165.460, 56.383, 2.37, -0.02], // Merak
+  [221.247, 27.074, 2.37, 0.97], // Izar
+  [326.047, 9.875, 2.39, 1.53], // Enif
+  [265.622, -39.030, 2.39, -0.22], // Girtab
+  [6.571, -42.306, 2.40, 1.09], // Ankaa
+  [345.944, 28.083, 2.42, 1.67], // Scheat
+  [257.595, -15.725, 2.43, 0.06], // Sabik
+  [178.457, 53.695, 2.44, 0.00], // Phecda
+  [319.645, 62.586, 2.45, 0.22], // Alderamin
+  [111.024, -29.303, 2.45, -0.08], // Aludra
+  [140.528, -55.011, 2.47, -0.18], // Markeb
+  [14.177, 60.717, 2.47, -0.15], // Gamma Cassiopeiae
+  [311.553, 33.970, 2.48, 1.03], // Aljanah
+  [346.190, 15.205, 2.49, -0.04], // Markab
+  [182.090, -50.722, 2.52, -0.13], // Delta Centauri
+  [45.570, 4.090, 2.54, 1.64], // Menkar
+  [208.885, -47.288, 2.55, -0.22], // Zeta Centauri
+  [249.290, -10.567, 2.56, 0.02], // Zeta Ophiuchi
+  [168.527, 20.524, 2.56, 0.12], // Zosma
+  [83.182, -17.822, 2.58, 0.21], // Arneb
+  [183.952, -17.542, 2.59, -0.11], // Gienah
+  [285.653, -29.880, 2.60, 0.08], // Ascella
+  [229.252, -9.383, 2.61, -0.11], // Zubeneschamali
+  [241.359, -19.806, 2.62, -0.07], // Acrab
+  [236.067, 6.426, 2.63, 1.17], // Unukalhai
+  [28.660, 20.808, 2.64, 0.13], // Sheratan
+  [84.912, -34.074, 2.65, -0.12], // Phact
+  [188.597, -23.397, 2.65, 0.89], // Kraz
+  [208.671, 18.398, 2.68, 0.58], // Muphrid
+  [21.454, 60.235, 2.68, 0.13], // Ruchbah
+  [275.248, -29.828, 2.70, 1.38], // Kaus Media
+  [262.691, -37.296, 2.70, -0.22], // Lesath
+  [109.286, -37.098, 2.70, 1.62], // Pi Puppis
+  [296.565, 10.613, 2.72, 1.52], // Tarazed
+  [190.415, -1.449, 2.74, 0.36], // Porrima
+  [222.720, -16.042, 2.75, 0.15], // Zubenelgenubi
+  [160.739, -64.394, 2.76, -0.22], // Theta Carinae
+  [247.555, 21.490, 2.78, 0.94], // Kornephoros
+  [262.608, 52.301, 2.79, 0.98], // Rastaban
+  [76.963, -5.086, 2.79, 0.13], // Cursa
+  [183.786, -58.749, 2.79, -0.23], // Delta Crucis
+  [6.438, -77.254, 2.80, 0.62], // Beta Hydri
+  [276.993, -25.422, 2.81, 1.04], // Kaus Borealis
+  [250.322, 31.603, 2.81, 0.65], // Zeta Herculis
+  [248.971, -28.216, 2.82, -0.25], // Tau Scorpii
+  [3.309, 15.184, 2.83, -0.23], // Algenib
+  [195.544, 10.959, 2.83, 0.94], // Vindemiatrix
+  [82.061, -20.759, 2.84, 0.82], // Nihal
+  [238.786, -63.431, 2.85, 0.29], // Beta Trianguli Australis
+  [261.325, -55.530, 2.85, 1.46], // Beta Arae
+  [29.692, -61.570, 2.86, 0.28], // Alpha Hydri
+  [334.625, -60.260, 2.86, 1.39], // Alpha Tucanae
+  [56.871, 24.105, 2.87, -0.09], // Alcyone
+  [326.760, -16.127, 2.87, 0.29], // Deneb Algedi
+  [296.244, 45.131, 2.87, -0.03], // Fawaris
+  [95.740, 22.514, 2.88, 1.64], // Tejat
+  [245.297, -25.593, 2.89, 0.13], // Alniyat
+  [194.007, 38.318, 2.90, -0.12], // Cor Caroli
+  [322.890, -5.571, 2.91, 0.83], // Sadalsuud
+  [262.960, -49.876, 2.95, -0.17], // Alpha Arae
+  [187.466, -16.516, 2.95, -0.05], // Algorab
+  [331.446, -0.320, 2.96, 0.98], // Sadalmelik
+  [146.463, 23.774, 2.98, 0.81], // Algenubi
+  [286.352, 13.863, 2.99, 0.01], // Okab
+  [292.680, 27.960, 3.05, 1.13], // Albireo
+  [230.182, 71.834, 3.05, 0.05], // Pherkad
+  [100.983, 25.131, 3.06, 1.40], // Mebsuta
+  [258.662, 14.390, 3.08, 1.44], // Rasalgethi
+  [284.736, 32.689, 3.24, -0.05], // Sulafat
+  [183.857, 57.032, 3.31, 0.08], // Megrez
+  [282.520, 33.363, 3.52, 0.00] // Sheliak
+];
@@ -0,0 +1,958 @@
+// Pure JavaScript port of the precomputation functions of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+//
+// The functions below are line by line transcriptions of the GLSL functions
+// with the same name (in PascalCase) in shaders.js, with spectral values stored
+// in 3 element arrays and with 'out' arrays to avoid allocations in the inner
+// loops. The textures are {width, height, depth, data} objects, where data is
+// a Float32Array containing RGBA texels, in the layout expected by
+// Demo.loadTextures() (x first, then y, then z).
+import { AtmosphereParameters } from './atmosphere-parameters.js'
+import { RGB_WAVELENGTHS, getPrecomputedWavelengths } from './spectrum.js'
+
+const PI = Math.PI;
+
+// Returns the atmosphere parameters in the shader length unit, with the spectra
+// at the 3 given wavelengths, as in the ATMOSPHERE constant generated in
+// shaders.js.
+export function createAtmosphere(parameters, lambdas = RGB_WAVELENGTHS) {
+  const unit = parameters.lengthUnitInMeters;
+  const scale = (v) => v.map((x) => x * unit);
+  const spectra = parameters.getSpectra(lambdas);
+  const profile = (layers) => layers.map((layer) => ({
+    width: layer.width / unit,
+    expTerm: layer.expTerm,
+    expScale: layer.expScale * unit,
+    linearTerm: layer.linearTerm * unit,
+    constantTerm: layer.constantTerm
+  }));
+  return {
+    solarIrradiance: spectra.solarIrradiance,
+    sunAngularRadius: parameters.sunAngularRadius,
+    bottomRadius: parameters.bottomRadius / unit,
+    topRadius: parameters.topRadius / unit,
+    rayleighDensity: profile(parameters.rayleighDensity),
+    rayleighScattering: scale(spectra.rayleighScattering),
+    mieDensity: profile(parameters.mieDensity),
+    mieScattering: scale(spectra.mieScattering),
+    mieExtinction: scale(spectra.mieExtinction),
+    miePhaseFunctionG: parameters.miePhaseFunctionG,
+    absorptionDensity: profile(parameters.absorptionDensity),
+    absorptionExtinction: scale(spectra.absorptionExtinction),
+    groundAlbedo: spectra.groundAlbedo,
+    muSMin: parameters.muSMin,
+    transmittanceTextureWidth: parameters.transmittanceTextureWidth,
+    transmittanceTextureHeight: parameters.transmittanceTextureHeight,
+    scatteringTextureRSize: parameters.scatteringTextureRSize,
+    scatteringTextureMuSize: parameters.scatteringTextureMuSize,
+    scatteringTextureMuSSize: parameters.scatteringTextureMuSSize,
+    scatteringTextureNuSize: parameters.scatteringTextureNuSize,
+    irradianceTextureWidth: parameters.irradianceTextureWidth,
+    irradianceTextureHeight: parameters.irradianceTextureHeight
+  };
+}
+
+export function createTexture(width, height, depth = 1) {
+  return { width, height, depth, data: new Float32Array(width * height * depth * 4) };
+}
+
+// Texture lookups with the same behavior as the LINEAR filter and the
+// CLAMP_TO_EDGE wrap mode of WebGL.
+
+function texelIndex(size, x) {
+  return Math.min(Math.max(x, 0), size - 1);
+}
+
+export function texture2D(texture, u, v, out) {
+  const x = u * texture.width - 0.5;
+  const y = v * texture.height - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const i0 = texelIndex(texture.width, x0);
+  const i1 = texelIndex(texture.width, x0 + 1);
+  const j0 = texelIndex(texture.height, y0) * texture.width;
+  const j1 = texelIndex(texture.height, y0 + 1) * texture.width;
+  const data = texture.data;
+  const a = (j0 + i0) * 4;
+  const b = (j0 + i1) * 4;
+  const c = (j1 + i0) * 4;
+  const d = (j1 + i1) * 4;
+  for (let k = 0; k < 4; ++k) {
+    out[k] = (data[a + k] * (1 - fx) + data[b + k] * fx) * (1 - fy) +
+        (data[c + k] * (1 - fx) + data[d + k] * fx) * fy;
+  }
+  return out;
+}
+
+export function texture3D(texture, u, v, w, out) {
+  const x = u * texture.width - 0.5;
+  const y = v * texture.height - 0.5;
+  const z = w * texture.depth - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const z0 = Math.floor(z);
+  const fx = x - x0;
+  const fy = y - y0;
+  const fz = z - z0;
+  const i0 = texelIndex(texture.width, x0);
+  const i1 = texelIndex(texture.width, x0 + 1);
+  const j0 = texelIndex(texture.height, y0) * texture.width;
+  const j1 = texelIndex(texture.height, y0 + 1) * texture.width;
+  const layerSize = texture.width * texture.height;
+  const k0 = texelIndex(texture.depth, z0) * layerSize;
+  const k1 = texelIndex(texture.depth, z0 + 1) * layerSize;
+  const data = texture.data;
+  const a = (k0 + j0 + i0) * 4;
+  const b = (k0 + j0 + i1) * 4;
+  const c = (k0 + j1 + i0) * 4;
+  const d = (k0 + j1 + i1) * 4;
+  const e = (k1 + j0 + i0) * 4;
+  const f = (k1 + j0 + i1) * 4;
+  const g = (k1 + j1 + i0) * 4;
+  const h = (k1 + j1 + i1) * 4;
+  for (let k = 0; k < 4; ++k) {
+    const layer0 = (data[a + k] * (1 - fx) + data[b + k] * fx) * (1 - fy) +
+        (data[c + k] * (1 - fx) + data[d + k] * fx) * fy;
+    const layer1 = (data[e + k] * (1 - fx) + data[f + k] * fx) * (1 - fy) +
+        (data[g + k] * (1 - fx) + data[h + k] * fx) * fy;
+    out[k] = layer0 * (1 - fz) + layer1 * fz;
+  }
+  return out;
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+export function clampCosine(mu) {
+  return Math.min(Math.max(mu, -1), 1);
+}
+
+function clampDistance(d) {
+  return Math.max(d, 0);
+}
+
+function clampRadius(atmosphere, r) {
+  return Math.min(Math.max(r, atmosphere.bottomRadius), atmosphere.topRadius);
+}
+
+function safeSqrt(a) {
+  return Math.sqrt(Math.max(a, 0));
+}
+
+export function distanceToTopAtmosphereBoundary(atmosphere, r, mu) {
+  const discriminant = r * r * (mu * mu - 1) +
+      atmosphere.topRadius * atmosphere.topRadius;
+  return clampDistance(-r * mu + safeSqrt(discriminant));
+}
+
+export function distanceToBottomAtmosphereBoundary(atmosphere, r, mu) {
+  const discriminant = r * r * (mu * mu - 1) +
+      atmosphere.bottomRadius * atmosphere.bottomRadius;
+  return clampDistance(-r * mu - safeSqrt(discriminant));
+}
+
+export function rayIntersectsGround(atmosphere, r, mu) {
+  return mu < 0 && r * r * (mu * mu - 1) +
+      atmosphere.bottomRadius * atmosphere.bottomRadius >= 0;
+}
+
+function getLayerDensity(layer, altitude) {
+  const density = layer.expTerm * Math.exp(layer.expScale * altitude) +
+      layer.linearTerm * altitude + layer.constantTerm;
+  return Math.min(Math.max(density, 0), 1);
+}
+
+export function getProfileDensity(profile, altitude) {
+  return altitude < profile[0].width ?
+      getLayerDensity(profile[0], altitude) :
+      getLayerDensity(profile[1], altitude);
+}
+
+function computeOpticalLengthToTopAtmosphereBoundary(
+    atmosphere, profile, r, mu) {
+  const SAMPLE_COUNT = 500;
+  const dx = distanceToTopAtmosphereBoundary(atmosphere, r, mu) / SAMPLE_COUNT;
+  let result = 0;
+  for (let i = 0; i <= SAMPLE_COUNT; ++i) {
+    const d_i = i * dx;
+    const r_i = Math.sqrt(d_i * d_i + 2 * r * mu * d_i + r * r);
+    const y_i = getProfileDensity(profile, r_i - atmosphere.bottomRadius);
+    const weight_i = i === 0 || i === SAMPLE_COUNT ? 0.5 : 1;
+    result += y_i * weight_i * dx;
+  }
+  return result;
+}
+
+export function computeTransmittanceToTopAtmosphereBoundary(
+    atmosphere, r, mu, out) {
+  const rayleigh = computeOpticalLengthToTopAtmosphereBoundary(
+      atmosphere, atmosphere.rayleighDensity, r, mu);
+  const mie = computeOpticalLengthToTopAtmosphereBoundary(
+      atmosphere, atmosphere.mieDensity, r, mu);
+  const absorption = computeOpticalLengthToTopAtmosphereBoundary(
+      atmosphere, atmosphere.absorptionDensity, r, mu);
+  for (let i = 0; i < 3; ++i) {
+    out[i] = Math.exp(-(
+        atmosphere.rayleighScattering[i] * rayleigh +
+        atmosphere.mieExtinction[i] * mie +
+        atmosphere.absorptionExtinction[i] * absorption));
+  }
+  return out;
+}
+
+function getTextureCoordFromUnitRange(x, textureSize) {
+  return 0.5 / textureSize + x * (1 - 1 / textureSize);
+}
+
+function getUnitRangeFromTextureCoord(u, textureSize) {
+  return (u - 0.5 / textureSize) / (1 - 1 / textureSize);
+}
+
+function getTransmittanceTextureUvFromRMu(atmosphere, r, mu, out) {
+  const H = Math.sqrt(atmosphere.topRadius * atmosphere.topRadius -
+      atmosphere.bottomRadius * atmosphere.bottomRadius);
+  const rho =
+      safeSqrt(r * r - atmosphere.bottomRadius * atmosphere.bottomRadius);
+  const d = distanceToTopAtmosphereBoundary(atmosphere, r, mu);
+  const d_min = atmosphere.topRadius - r;
+  const d_max = rho + H;
+  const x_mu = (d - d_min) / (d_max - d_min);
+  const x_r = rho / H;
+  out[0] = getTextureCoordFromUnitRange(
+      x_mu, atmosphere.transmittanceTextureWidth);
+  out[1] = getTextureCoordFromUnitRange(
+      x_r, atmosphere.transmittanceTextureHeight);
+  return out;
+}
+
+function getRMuFromTransmittanceTextureUv(atmosphere, u, v, out) {
+  const x_mu =
+      getUnitRangeFromTextureCoord(u, atmosphere.transmittanceTextureWidth);
+  const x_r =
+      getUnitRangeFromTextureCoord(v, atmosphere.transmittanceTextureHeight);
+  const H = Math.sqrt(atmosphere.topRadius * atmosphere.topRadius -
+      atmosphere.bottomRadius * atmosphere.bottomRadius);
+  const rho = H * x_r;
+  const r = Math.sqrt(
+      rho * rho + atmosphere.bottomRadius * atmosphere.bottomRadius);
+  const d_min = atmosphere.topRadius - r;
+  const d_max = rho + H;
+  const d = d_min + x_mu * (d_max - d_min);
+  const mu = d === 0 ? 1 : (H * H - rho * rho - d * d) / (2 * r * d);
+  out.r = r;
+  out.mu = clampCosine(mu);
+  return out;
+}
+
+const transmittanceTextureRMu = { r: 0, mu: 0 };
+
+function computeTransmittanceToTopAtmosphereBoundaryTexture(
+    atmosphere, x, y, out) {
+  const { r, mu } = getRMuFromTransmittanceTextureUv(atmosphere,
+      x / atmosphere.transmittanceTextureWidth,
+      y / atmosphere.transmittanceTextureHeight, transmittanceTextureRMu);
+  return computeTransmittanceToTopAtmosphereBoundary(atmosphere, r, mu, out);
+}
+
+const transmittanceUv = [0, 0];
+
+export function getTransmittanceToTopAtmosphereBoundary(
+    atmosphere, transmittanceTexture, r, mu, out) {
+  const uv = getTransmittanceTextureUvFromRMu(
+      atmosphere, r, mu, transmittanceUv);
+  return texture2D(transmittanceTexture, uv[0], uv[1], out);
+}
+
+const transmittanceA = [0, 0, 0, 0];
+const transmittanceB = [0, 0, 0, 0];
+
+// Returns min(a / b, 1), with the min(NaN, 1) = 1 convention of most GPUs.
+function clampedRatio(a, b) {
+  return b > 0 ? Math.min(a / b, 1) : (a > 0 ? 1 : 0);
+}
+
+export function getTransmittance(atmosphere, transmittanceTexture,
+    r, mu, d, rayRMuIntersectsGround, out) {
+  const r_d = clampRadius(atmosphere, Math.sqrt(d * d + 2 * r * mu * d + r * r));
+  const mu_d = clampCosine((r * mu + d) / r_d);
+  if (rayRMuIntersectsGround) {
+    getTransmittanceToTopAtmosphereBoundary(
+        atmosphere, transmittanceTexture, r_d, -mu_d, transmittanceA);
+    getTransmittanceToTopAtmosphereBoundary(
+        atmosphere, transmittanceTexture, r, -mu, transmittanceB);
+  } else {
+    getTransmittanceToTopAtmosphereBoundary(
+        atmosphere, transmittanceTexture, r, mu, transmittanceA);
+    getTransmittanceToTopAtmosphereBoundary(
+        atmosphere, transmittanceTexture, r_d, mu_d, transmittanceB);
+  }
+  for (let i = 0; i < 3; ++i) {
+    out[i] = clampedRatio(transmittanceA[i], transmittanceB[i]);
+  }
+  return out;
+}
+
+export function getTransmittanceToSun(atmosphere, transmittanceTexture,
+    r, mu_s, out) {
+  const sin_theta_h = atmosphere.bottomRadius / r;
+  const cos_theta_h = -Math.sqrt(Math.max(1 - sin_theta_h * sin_theta_h, 0));
+  getTransmittanceToTopAtmosphereBoundary(
+      atmosphere, transmittanceTexture, r, mu_s, out);
+  const visibility = smoothstep(-sin_theta_h * atmosphere.sunAngularRadius,
+      sin_theta_h * atmosphere.sunAngularRadius, mu_s - cos_theta_h);
+  for (let i = 0; i < 3; ++i) {
+    out[i] *= visibility;
+  }
+  return out;
+}
+
+const integrandTransmittance = [0, 0, 0, 0];
+const integrandTransmittanceToSun = [0, 0, 0, 0];
+
+function computeSingleScatteringIntegrand(atmosphere, transmittanceTexture,
+    r, mu, mu_s, nu, d, rayRMuIntersectsGround, rayleigh, mie) {
+  const r_d = clampRadius(atmosphere, Math.sqrt(d * d + 2 * r * mu * d + r * r));
+  const mu_s_d = clampCosine((r * mu_s + d * nu) / r_d);
+  getTransmittance(atmosphere, transmittanceTexture, r, mu, d,
+      rayRMuIntersectsGround, integrandTransmittance);
+  getTransmittanceToSun(atmosphere, transmittanceTexture, r_d, mu_s_d,
+      integrandTransmittanceToSun);
+  const rayleighDensity = getProfileDensity(
+      atmosphere.rayleighDensity, r_d - atmosphere.bottomRadius);
+  const mieDensity = getProfileDensity(
+      atmosphere.mieDensity, r_d - atmosphere.bottomRadius);
+  for (let i = 0; i < 3; ++i) {
+    const transmittance =
+        integrandTransmittance[i] * integrandTransmittanceToSun[i];
+    rayleigh[i] = transmittance * rayleighDensity;
+    mie[i] = transmittance * mieDensity;
+  }
+}
+
+function distanceToNearestAtmosphereBoundary(atmosphere, r, mu,
+    rayRMuIntersectsGround) {
+  if (rayRMuIntersectsGround) {
+    return distanceToBottomAtmosphereBoundary(atmosphere, r, mu);
+  } else {
+    return distanceToTopAtmosphereBoundary(atmosphere, r, mu);
+  }
+}
+
+const singleScatteringRayleigh = [0, 0, 0];
+const singleScatteringMie = [0, 0, 0];
+
+export function computeSingleScattering(atmosphere, transmittanceTexture,
+    r, mu, mu_s, nu, rayRMuIntersectsGround, rayleigh, mie) {
+  const SAMPLE_COUNT = 50;
+  const dx = distanceToNearestAtmosphereBoundary(atmosphere, r, mu,
+      rayRMuIntersectsGround) / SAMPLE_COUNT;
+  const rayleigh_sum = [0, 0, 0];
+  const mie_sum = [0, 0, 0];
+  for (let i = 0; i <= SAMPLE_COUNT; ++i) {
+    const d_i = i * dx;
+    computeSingleScatteringIntegrand(atmosphere, transmittanceTexture,
+        r, mu, mu_s, nu, d_i, rayRMuIntersectsGround,
+        singleScatteringRayleigh, singleScatteringMie);
+    const weight_i = (i === 0 || i === SAMPLE_COUNT) ? 0.5 : 1;
+    for (let k = 0; k < 3; ++k) {
+      rayleigh_sum[k] += singleScatteringRayleigh[k] * weight_i;
+      mie_sum[k] += singleScatteringMie[k] * weight_i;
+    }
+  }
+  for (let k = 0; k < 3; ++k) {
+    rayleigh[k] = rayleigh_sum[k] * dx * atmosphere.solarIrradiance[k] *
+        atmosphere.rayleighScattering[k];
+    mie[k] = mie_sum[k] * dx * atmosphere.solarIrradiance[k] *
+        atmosphere.mieScattering[k];
+  }
+}
+
+export function rayleighPhaseFunction(nu) {
+  const k = 3 / (16 * PI);
+  return k * (1 + nu * nu);
+}
+
+export function miePhaseFunction(g, nu) {
+  const k = 3 / (8 * PI) * (1 - g * g) / (2 + g * g);
+  return k * (1 + nu * nu) / Math.pow(1 + g * g - 2 * g * nu, 1.5);
+}
+
+function getScatteringTextureUvwzFromRMuMuSNu(atmosphere,
+    r, mu, mu_s, nu, rayRMuIntersectsGround, out) {
+  const H = Math.sqrt(atmosphere.topRadius * atmosphere.topRadius -
+      atmosphere.bottomRadius * atmosphere.bottomRadius);
+  const rho =
+      safeSqrt(r * r - atmosphere.bottomRadius * atmosphere.bottomRadius);
+  const u_r =
+      getTextureCoordFromUnitRange(rho / H, atmosphere.scatteringTextureRSize);
+  const r_mu = r * mu;
+  const discriminant =
+      r_mu * r_mu - r * r + atmosphere.bottomRadius * atmosphere.bottomRadius;
+  let u_mu;
+  if (rayRMuIntersectsGround) {
+    const d = -r_mu - safeSqrt(discriminant);
+    const d_min = r - atmosphere.bottomRadius;
+    const d_max = rho;
+    u_mu = 0.5 - 0.5 * getTextureCoordFromUnitRange(d_max === d_min ? 0 :
+        (d - d_min) / (d_max - d_min), atmosphere.scatteringTextureMuSize / 2);
+  } else {
+    const d = -r_mu + safeSqrt(discriminant + H * H);
+    const d_min = atmosphere.topRadius - r;
+    const d_max = rho + H;
+    u_mu = 0.5 + 0.5 * getTextureCoordFromUnitRange(
+        (d - d_min) / (d_max - d_min), atmosphere.scatteringTextureMuSize / 2);
+  }
+  const d = distanceToTopAtmosphereBoundary(
+      atmosphere, atmosphere.bottomRadius, mu_s);
+  const d_min = atmosphere.topRadius - atmosphere.bottomRadius;
+  const d_max = H;
+  const a = (d - d_min) / (d_max - d_min);
+  const D = distanceToTopAtmosphereBoundary(
+      atmosphere, atmosphere.bottomRadius, atmosphere.muSMin);
+  const A = (D - d_min) / (d_max - d_min);
+  const u_mu_s = getTextureCoordFromUnitRange(
+      Math.max(1 - a / A, 0) / (1 + a), atmosphere.scatteringTextureMuSSize);
+  const u_nu = (nu + 1) / 2;
+  out[0] = u_nu;
+  out[1] = u_mu_s;
+  out[2] = u_mu;
+  out[3] = u_r;
+  return out;
+}
+
+function getRMuMuSNuFromScatteringTextureUvwz(atmosphere, uvwz, out) {
+  const H = Math.sqrt(atmosphere.topRadius * atmosphere.topRadius -
+      atmosphere.bottomRadius * atmosphere.bottomRadius);
+  const rho = H * getUnitRangeFromTextureCoord(
+      uvwz[3], atmosphere.scatteringTextureRSize);
+  const r = Math.sqrt(
+      rho * rho + atmosphere.bottomRadius * atmosphere.bottomRadius);
+  let mu;
+  let rayRMuIntersectsGround;
+  if (uvwz[2] < 0.5) {
+    const d_min = r - atmosphere.bottomRadius;
+    const d_max = rho;
+    const d = d_min + (d_max - d_min) * getUnitRangeFromTextureCoord(
+        1 - 2 * uvwz[2], atmosphere.scatteringTextureMuSize / 2);
+    mu = d === 0 ? -1 : clampCosine(-(rho * rho + d * d) / (2 * r * d));
+    rayRMuIntersectsGround = true;
+  } else {
+    const d_min = atmosphere.topRadius - r;
+    const d_max = rho + H;
+    const d = d_min + (d_max - d_min) * getUnitRangeFromTextureCoord(
+        2 * uvwz[2] - 1, atmosphere.scatteringTextureMuSize / 2);
+    mu = d === 0 ? 1 :
+        clampCosine((H * H - rho * rho - d * d) / (2 * r * d));
+    rayRMuIntersectsGround = false;
+  }
+  const x_mu_s = getUnitRangeFromTextureCoord(
+      uvwz[1], atmosphere.scatteringTextureMuSSize);
+  const d_min = atmosphere.topRadius - atmosphere.bottomRadius;
+  const d_max = H;
+  const D = distanceToTopAtmosphereBoundary(
+      atmosphere, atmosphere.bottomRadius, atmosphere.muSMin);
+  const A = (D - d_min) / (d_max - d_min);
+  const a = (A - x_mu_s * A) / (1 + x_mu_s * A);
+  const d = d_min + Math.min(a, A) * (d_max - d_min);
+  const mu_s = d === 0 ? 1 :
+      clampCosine((H * H - d * d) / (2 * atmosphere.bottomRadius * d));
+  const nu = clampCosine(uvwz[0] * 2 - 1);
+  out.r = r;
+  out.mu = mu;
+  out.mu_s = mu_s;
+  out.nu = nu;
+  out.rayRMuIntersectsGround = rayRMuIntersectsGround;
+  return out;
+}
+
+const fragCoordUvwz = [0, 0, 0, 0];
+
+// Returns the r, mu, mu_s, nu and ray_r_mu_intersects_ground values of the
+// scattering texture texel whose center is at (x, y, z).
+function getRMuMuSNuFromScatteringTextureFragCoord(atmosphere, x, y, z, out) {
+  const frag_coord_nu = Math.floor(x / atmosphere.scatteringTextureMuSSize);
+  const frag_coord_mu_s = x % atmosphere.scatteringTextureMuSSize;
+  fragCoordUvwz[0] = frag_coord_nu / (atmosphere.scatteringTextureNuSize - 1);
+  fragCoordUvwz[1] = frag_coord_mu_s / atmosphere.scatteringTextureMuSSize;
+  fragCoordUvwz[2] = y / atmosphere.scatteringTextureMuSize;
+  fragCoordUvwz[3] = z / atmosphere.scatteringTextureRSize;
+  getRMuMuSNuFromScatteringTextureUvwz(atmosphere, fragCoordUvwz, out);
+  const { mu, mu_s } = out;
+  out.nu = Math.min(Math.max(out.nu,
+      mu * mu_s - Math.sqrt((1 - mu * mu) * (1 - mu_s * mu_s))),
+      mu * mu_s + Math.sqrt((1 - mu * mu) * (1 - mu_s * mu_s)));
+  return out;
+}
+
+const scatteringUvwz = [0, 0, 0, 0];
+const scatteringTexel0 = [0, 0, 0, 0];
+const scatteringTexel1 = [0, 0, 0, 0];
+
+export function getScattering(atmosphere, scatteringTexture,
+    r, mu, mu_s, nu, rayRMuIntersectsGround, out) {
+  const uvwz = getScatteringTextureUvwzFromRMuMuSNu(
+      atmosphere, r, mu, mu_s, nu, rayRMuIntersectsGround, scatteringUvwz);
+  const nuSize = atmosphere.scatteringTextureNuSize;
+  const tex_coord_x = uvwz[0] * (nuSize - 1);
+  const tex_x = Math.floor(tex_coord_x);
+  const lerp = tex_coord_x - tex_x;
+  texture3D(scatteringTexture, (tex_x + uvwz[1]) / nuSize, uvwz[2], uvwz[3],
+      scatteringTexel0);
+  texture3D(scatteringTexture, (tex_x + 1 + uvwz[1]) / nuSize, uvwz[2],
+      uvwz[3], scatteringTexel1);
+  for (let i = 0; i < 4; ++i) {
+    out[i] = scatteringTexel0[i] * (1 - lerp) + scatteringTexel1[i] * lerp;
+  }
+  return out;
+}
+
+const singleRayleighScattering = [0, 0, 0, 0];
+const singleMieScattering = [0, 0, 0, 0];
+
+function getScatteringOfOrder(atmosphere, singleRayleighScatteringTexture,
+    singleMieScatteringTexture, multipleScatteringTexture,
+    r, mu, mu_s, nu, rayRMuIntersectsGround, scatteringOrder, out) {
+  if (scatteringOrder === 1) {
+    getScattering(atmosphere, singleRayleighScatteringTexture, r, mu, mu_s, nu,
+        rayRMuIntersectsGround, singleRayleighScattering);
+    getScattering(atmosphere, singleMieScatteringTexture, r, mu, mu_s, nu,
+        rayRMuIntersectsGround, singleMieScattering);
+    const rayleighPhase = rayleighPhaseFunction(nu);
+    const miePhase = miePhaseFunction(atmosphere.miePhaseFunctionG, nu);
+    for (let i = 0; i < 3; ++i) {
+      out[i] = singleRayleighScattering[i] * rayleighPhase +
+          singleMieScattering[i] * miePhase;
+    }
+    return out;
+  } else {
+    return getScattering(atmosphere, multipleScatteringTexture,
+        r, mu, mu_s, nu, rayRMuIntersectsGround, out);
+  }
+}
+
+const densityTransmittanceToGround = [0, 0, 0];
+const densityIncidentRadiance = [0, 0, 0, 0];
+const densityGroundIrradiance = [0, 0, 0, 0];
+
+export function computeScatteringDensity(atmosphere, transmittanceTexture,
+    singleRayleighScatteringTexture, singleMieScatteringTexture,
+    multipleScatteringTexture, irradianceTexture,
+    r, mu, mu_s, nu, scatteringOrder, out) {
+  const omega = [Math.sqrt(1 - mu * mu), 0, mu];
+  const sun_dir_x = omega[0] === 0 ? 0 : (nu - mu * mu_s) / omega[0];
+  const sun_dir_y =
+      Math.sqrt(Math.max(1 - sun_dir_x * sun_dir_x - mu_s * mu_s, 0));
+  const omega_s = [sun_dir_x, sun_dir_y, mu_s];
+  const SAMPLE_COUNT = 16;
+  const dphi = PI / SAMPLE_COUNT;
+  const dtheta = PI / SAMPLE_COUNT;
+  const rayleighDensity = getProfileDensity(
+      atmosphere.rayleighDensity, r - atmosphere.bottomRadius);
+  const mieDensity = getProfileDensity(
+      atmosphere.mieDensity, r - atmosphere.bottomRadius);
+  const rayleigh_mie = [0, 0, 0];
+  for (let l = 0; l < SAMPLE_COUNT; ++l) {
+    const theta = (l + 0.5) * dtheta;
+    const cos_theta = Math.cos(theta);
+    const sin_theta = Math.sin(theta);
+    const rayRThetaIntersectsGround =
+        rayIntersectsGround(atmosphere, r, cos_theta);
+    let distance_to_ground = 0;
+    if (rayRThetaIntersectsGround) {
+      distance_to_ground =
+          distanceToBottomAtmosphereBoundary(atmosphere, r, cos_theta);
+      getTransmittance(atmosphere, transmittanceTexture, r, cos_theta,
+          distance_to_ground, true /* ray_intersects_ground */,
+          densityTransmittanceToGround);
+    }
+    for (let m = 0; m < 2 * SAMPLE_COUNT; ++m) {
+      const phi = (m + 0.5) * dphi;
+      const omega_i_x = Math.cos(phi) * sin_theta;
+      const omega_i_y = Math.sin(phi) * sin_theta;
+      const omega_i_z = cos_theta;
+      const domega_i = dtheta * dphi * Math.sin(theta);
+      const nu1 = omega_s[0] * omega_i_x + omega_s[1] * omega_i_y +
+          omega_s[2] * omega_i_z;
+      getScatteringOfOrder(atmosphere, singleRayleighScatteringTexture,
+          singleMieScatteringTexture, multipleScatteringTexture,
+          r, omega_i_z, mu_s, nu1, rayRThetaIntersectsGround,
+          scatteringOrder - 1, densityIncidentRadiance);
+      // The ground contribution is 0 if the ray does not intersect the ground
+      // (transmittance_to_ground and ground_albedo are 0 in this case).
+      if (rayRThetaIntersectsGround) {
+        const normal_x = omega_i_x * distance_to_ground;
+        const normal_y = omega_i_y * distance_to_ground;
+        const normal_z = r + omega_i_z * distance_to_ground;
+        const normal_length = Math.sqrt(
+            normal_x * normal_x + normal_y * normal_y + normal_z * normal_z);
+        getIrradiance(atmosphere, irradianceTexture, atmosphere.bottomRadius,
+            (normal_x * omega_s[0] + normal_y * omega_s[1] +
+                normal_z * omega_s[2]) / normal_length,
+            densityGroundIrradiance);
+        for (let i = 0; i < 3; ++i) {
+          densityIncidentRadiance[i] += densityTransmittanceToGround[i] *
+              atmosphere.groundAlbedo[i] * (1 / PI) *
+              densityGroundIrradiance[i];
+        }
+      }
+      const nu2 = omega[0] * omega_i_x + omega[2] * omega_i_z;
+      const rayleighPhase = rayleighPhaseFunction(nu2);
+      const miePhase = miePhaseFunction(atmosphere.miePhaseFunctionG, nu2);
+      for (let i = 0; i < 3; ++i) {
+        rayleigh_mie[i] += densityIncidentRadiance[i] * (
+            atmosphere.rayleighScattering[i] * rayleighDensity * rayleighPhase +
+            atmosphere.mieScattering[i] * mieDensity * miePhase) * domega_i;
+      }
+    }
+  }
+  out[0] = rayleigh_mie[0];
+  out[1] = rayleigh_mie[1];
+  out[2] = rayleigh_mie[2];
+  return out;
+}
+
+const multipleScatteringDensity = [0, 0, 0, 0];
+const multipleScatteringTransmittance = [0, 0, 0];
+
+export function computeMultipleScattering(atmosphere, transmittanceTexture,
+    scatteringDensityTexture, r, mu, mu_s, nu, rayRMuIntersectsGround, out) {
+  const SAMPLE_COUNT = 50;
+  const dx = distanceToNearestAtmosphereBoundary(
+      atmosphere, r, mu, rayRMuIntersectsGround) / SAMPLE_COUNT;
+  const rayleigh_mie_sum = [0, 0, 0];
+  for (let i = 0; i <= SAMPLE_COUNT; ++i) {
+    const d_i = i * dx;
+    const r_i = clampRadius(
+        atmosphere, Math.sqrt(d_i * d_i + 2 * r * mu * d_i + r * r));
+    const mu_i = clampCosine((r * mu + d_i) / r_i);
+    const mu_s_i = clampCosine((r * mu_s + d_i * nu) / r_i);
+    getScattering(atmosphere, scatteringDensityTexture, r_i, mu_i, mu_s_i, nu,
+        rayRMuIntersectsGround, multipleScatteringDensity);
+    getTransmittance(atmosphere, transmittanceTexture, r, mu, d_i,
+        rayRMuIntersectsGround, multipleScatteringTransmittance);
+    const weight_i = (i === 0 || i === SAMPLE_COUNT) ? 0.5 : 1;
+    for (let k = 0; k < 3; ++k) {
+      rayleigh_mie_sum[k] += multipleScatteringDensity[k] *
+          multipleScatteringTransmittance[k] * dx * weight_i;
+    }
+  }
+  out[0] = rayleigh_mie_sum[0];
+  out[1] = rayleigh_mie_sum[1];
+  out[2] = rayleigh_mie_sum[2];
+  return out;
+}
+
+export function computeDirectIrradiance(atmosphere, transmittanceTexture,
+    r, mu_s, out) {
+  const alpha_s = atmosphere.sunAngularRadius;
+  const average_cosine_factor =
+      mu_s < -alpha_s ? 0 : (mu_s > alpha_s ? mu_s :
+          (mu_s + alpha_s) * (mu_s + alpha_s) / (4 * alpha_s));
+  getTransmittanceToTopAtmosphereBoundary(
+      atmosphere, transmittanceTexture, r, mu_s, out);
+  for (let i = 0; i < 3; ++i) {
+    out[i] *= atmosphere.solarIrradiance[i] * average_cosine_factor;
+  }
+  return out;
+}
+
+const indirectIrradianceScattering = [0, 0, 0, 0];
+
+export function computeIndirectIrradiance(atmosphere,
+    singleRayleighScatteringTexture, singleMieScatteringTexture,
+    multipleScatteringTexture, r, mu_s, scatteringOrder, out) {
+  const SAMPLE_COUNT = 32;
+  const dphi = PI / SAMPLE_COUNT;
+  const dtheta = PI / SAMPLE_COUNT;
+  const result = [0, 0, 0];
+  const omega_s = [Math.sqrt(1 - mu_s * mu_s), 0, mu_s];
+  for (let j = 0; j < SAMPLE_COUNT / 2; ++j) {
+    const theta = (j + 0.5) * dtheta;
+    for (let i = 0; i < 2 * SAMPLE_COUNT; ++i) {
+      const phi = (i + 0.5) * dphi;
+      const omega_x = Math.cos(phi) * Math.sin(theta);
+      const omega_z = Math.cos(theta);
+      const domega = dtheta * dphi * Math.sin(theta);
+      const nu = omega_x * omega_s[0] + omega_z * omega_s[2];
+      getScatteringOfOrder(atmosphere, singleRayleighScatteringTexture,
+          singleMieScatteringTexture, multipleScatteringTexture,
+          r, omega_z, mu_s, nu, false /* ray_r_theta_intersects_ground */,
+          scatteringOrder, indirectIrradianceScattering);
+      for (let k = 0; k < 3; ++k) {
+        result[k] += indirectIrradianceScattering[k] * omega_z * domega;
+      }
+    }
+  }
+  out[0] = result[0];
+  out[1] = result[1];
+  out[2] = result[2];
+  return out;
+}
+
+function getIrradianceTextureUvFromRMuS(atmosphere, r, mu_s, out) {
+  const x_r = (r - atmosphere.bottomRadius) /
+      (atmosphere.topRadius - atmosphere.bottomRadius);
+  const x_mu_s = mu_s * 0.5 + 0.5;
+  out[0] = getTextureCoordFromUnitRange(
+      x_mu_s, atmosphere.irradianceTextureWidth);
+  out[1] = getTextureCoordFromUnitRange(
+      x_r, atmosphere.irradianceTextureHeight);
+  return out;
+}
+
+function getRMuSFromIrradianceTextureUv(atmosphere, u, v, out) {
+  const x_mu_s =
+      getUnitRangeFromTextureCoord(u, atmosphere.irradianceTextureWidth);
+  const x_r =
+      getUnitRangeFromTextureCoord(v, atmosphere.irradianceTextureHeight);
+  out.r = atmosphere.bottomRadius +
+      x_r * (atmosphere.topRadius - atmosphere.bottomRadius);
+  out.mu_s = clampCosine(2 * x_mu_s - 1);
+  return out;
+}
+
+const irradianceUv = [0, 0];
+
+export function getIrradiance(atmosphere, irradianceTexture, r, mu_s, out) {
+  const uv = getIrradianceTextureUvFromRMuS(atmosphere, r, mu_s, irradianceUv);
+  return texture2D(irradianceTexture, uv[0], uv[1], out);
+}
+
+// Precomputes the transmittance, scattering and irradiance textures on the CPU.
+// This is the CPU equivalent of the Model class (see model.js), producing the
+// same textures as the ones loaded by Demo.loadTextures() (or luminance
+// textures, with more than 3 precomputed wavelengths).
+export class CpuModel {
+  constructor(parameters = new AtmosphereParameters()) {
+    this.parameters = parameters;
+    this.atmosphere = createAtmosphere(parameters);
+    this.transmittanceTexture = createTexture(
+        parameters.transmittanceTextureWidth,
+        parameters.transmittanceTextureHeight);
+    this.scatteringTexture = createTexture(
+        parameters.scatteringTextureWidth, parameters.scatteringTextureHeight,
+        parameters.scatteringTextureDepth);
+    this.irradianceTexture = createTexture(
+        parameters.irradianceTextureWidth, parameters.irradianceTextureHeight);
+  }
+
+  // Precomputes the textures with the given number of scattering orders.
+  // onProgress, if provided, is called with a {stage, scatteringOrder, done,
+  // total} object after each texture layer.
+  init(numScatteringOrders = 4, onProgress = () => {}) {
+    const parameters = this.parameters;
+    const deltaIrradiance = createTexture(
+        parameters.irradianceTextureWidth, parameters.irradianceTextureHeight);
+    const createScatteringTexture = () => createTexture(
+        parameters.scatteringTextureWidth, parameters.scatteringTextureHeight,
+        parameters.scatteringTextureDepth);
+    const deltaRayleighScattering = createScatteringTexture();
+    const deltaMieScattering = createScatteringTexture();
+    const deltaScatteringDensity = createScatteringTexture();
+    // As in Model, delta_multiple_scattering_texture and
+    // delta_rayleigh_scattering_texture can share the same texture.
+    const deltaMultipleScattering = deltaRayleighScattering;
+
+    const groups =
+        getPrecomputedWavelengths(parameters.numPrecomputedWavelengths);
+    this.progress = {
+      stage: '',
+      scatteringOrder: 1,
+      done: 0,
+      total: groups.length * (2 + parameters.scatteringTextureDepth +
+          (numScatteringOrders - 1) *
+          (2 * parameters.scatteringTextureDepth + 1)) +
+          (groups.length > 1 ? 1 : 0)
+    };
+    this.onProgress = onProgress;
+    groups.forEach(({ lambdas, luminanceFromRadiance }, i) => {
+      this.precompute(deltaIrradiance, deltaRayleighScattering,
+          deltaMieScattering, deltaScatteringDensity, deltaMultipleScattering,
+          lambdas, luminanceFromRadiance, i > 0 /* blend */,
+          numScatteringOrders);
+    });
+    if (groups.length > 1) {
+      // As in Model, recompute the transmittance at RGB_WAVELENGTHS.
+      const rgb = [0, 0, 0, 0];
+      forEachTexel(this.transmittanceTexture, (x, y) => {
+        return computeTransmittanceToTopAtmosphereBoundaryTexture(
+            this.atmosphere, x, y, rgb);
+      });
+      this.reportProgress('transmittance', numScatteringOrders);
+    }
+  }
+
+  reportProgress(stage, scatteringOrder) {
+    this.progress.stage = stage;
+    this.progress.scatteringOrder = scatteringOrder;
+    this.progress.done += 1;
+    this.onProgress({ ...this.progress });
+  }
+
+  // Same as Model.precompute(), luminanceFromRadiance being a row major 3x3
+  // matrix.
+  precompute(deltaIrradiance, deltaRayleighScattering, deltaMieScattering,
+      deltaScatteringDensity, deltaMultipleScattering, lambdas,
+      luminanceFromRadiance, blend, numScatteringOrders) {
+    const atmosphere = createAtmosphere(this.parameters, lambdas);
+    const L = luminanceFromRadiance;
+    const rgb = [0, 0, 0, 0];
+    const rayleigh = [0, 0, 0];
+    const mie = [0, 0, 0];
+    const rMuMuSNu = {
+      r: 0, mu: 0, mu_s: 0, nu: 0, rayRMuIntersectsGround: false
+    };
+    const irradianceRMuS = { r: 0, mu_s: 0 };
+
+    // Compute the transmittance, and store it in transmittance_texture.
+    forEachTexel(this.transmittanceTexture, (x, y) => {
+      return computeTransmittanceToTopAtmosphereBoundaryTexture(
+          atmosphere, x, y, rgb);
+    });
+    this.reportProgress('transmittance', 1);
+
+    // Compute the direct irradiance, store it in delta_irradiance_texture and,
+    // depending on 'blend', either initialize irradiance_texture with zeros or
+    // leave it unchanged.
+    forEachTexel(deltaIrradiance, (x, y) => {
+      const { r, mu_s } = getRMuSFromIrradianceTextureUv(atmosphere,
+          x / deltaIrradiance.width, y / deltaIrradiance.height,
+          irradianceRMuS);
+      return computeDirectIrradiance(
+          atmosphere, this.transmittanceTexture, r, mu_s, rgb);
+    });
+    if (!blend) {
+      this.irradianceTexture.data.fill(0);
+    }
+    this.reportProgress('direct irradiance', 1);
+
+    // Compute the rayleigh and mie single scattering, store them in
+    // delta_rayleigh_scattering_texture and delta_mie_scattering_texture, and
+    // either store them or accumulate them in scattering_texture.
+    forEachLayer(this.scatteringTexture, (z) => {
+      forEachTexelOfLayer(this.scatteringTexture, z, (x, y, index) => {
+        const { r, mu, mu_s, nu, rayRMuIntersectsGround } =
+            getRMuMuSNuFromScatteringTextureFragCoord(
+                atmosphere, x, y, z, rMuMuSNu);
+        computeSingleScattering(atmosphere, this.transmittanceTexture,
+            r, mu, mu_s, nu, rayRMuIntersectsGround, rayleigh, mie);
+        setTexel(deltaRayleighScattering, index, rayleigh);
+        setTexel(deltaMieScattering, index, mie);
+        const scattering = this.scatteringTexture.data;
+        const value = [
+          ...multiply(L, rayleigh), multiply(L, mie)[0]
+        ];
+        for (let i = 0; i < 4; ++i) {
+          scattering[index + i] = (blend ? scattering[index + i] : 0) + value[i];
+        }
+      });
+      this.reportProgress('single scattering', 1);
+    });
+
+    // Compute the 2nd, 3rd and 4th order of scattering, in sequence.
+    for (let scatteringOrder = 2;
+        scatteringOrder <= numScatteringOrders;
+        ++scatteringOrder) {
+      // Compute the scattering density, and store it in
+      // delta_scattering_density_texture.
+      forEachLayer(deltaScatteringDensity, (z) => {
+        forEachTexelOfLayer(deltaScatteringDensity, z, (x, y, index) => {
+          const { r, mu, mu_s, nu } = getRMuMuSNuFromScatteringTextureFragCoord(
+              atmosphere, x, y, z, rMuMuSNu);
+          computeScatteringDensity(atmosphere, this.transmittanceTexture,
+              deltaRayleighScattering, deltaMieScattering,
+              deltaMultipleScattering, deltaIrradiance,
+              r, mu, mu_s, nu, scatteringOrder, rgb);
+          setTexel(deltaScatteringDensity, index, rgb);
+        });
+        this.reportProgress('scattering density', scatteringOrder);
+      });
+
+      // Compute the indirect irradiance, store it in delta_irradiance_texture
+      // and accumulate it in irradiance_texture.
+      forEachTexel(deltaIrradiance, (x, y, index) => {
+        const { r, mu_s } = getRMuSFromIrradianceTextureUv(atmosphere,
+            x / deltaIrradiance.width, y / deltaIrradiance.height,
+            irradianceRMuS);
+        computeIndirectIrradiance(atmosphere, deltaRayleighScattering,
+            deltaMieScattering, deltaMultipleScattering,
+            r, mu_s, scatteringOrder - 1, rgb);
+        const irradiance = this.irradianceTexture.data;
+        const value = multiply(L, rgb);
+        for (let i = 0; i < 3; ++i) {
+          irradiance[index + i] += value[i];
+        }
+        return rgb;
+      });
+      this.reportProgress('indirect irradiance', scatteringOrder);
+
+      // Compute the multiple scattering, store it in
+      // delta_multiple_scattering_texture, and accumulate it in
+      // scattering_texture.
+      forEachLayer(deltaMultipleScattering, (z) => {
+        forEachTexelOfLayer(deltaMultipleScattering, z, (x, y, index) => {
+          const { r, mu, mu_s, nu, rayRMuIntersectsGround } =
+              getRMuMuSNuFromScatteringTextureFragCoord(
+                  atmosphere, x, y, z, rMuMuSNu);
+          computeMultipleScattering(atmosphere, this.transmittanceTexture,
+              deltaScatteringDensity, r, mu, mu_s, nu, rayRMuIntersectsGround,
+              rgb);
+          setTexel(deltaMultipleScattering, index, rgb);
+          const scattering = this.scatteringTexture.data;
+          const value = multiply(L, rgb);
+          const rayleighPhase = rayleighPhaseFunction(nu);
+          for (let i = 0; i < 3; ++i) {
+            scattering[index + i] += value[i] / rayleighPhase;
+          }
+        });
+        this.reportProgress('multiple scattering', scatteringOrder);
+      });
+    }
+  }
+}
+
+function multiply(matrix, v) {
+  return [
+    matrix[0] * v[0] + matrix[1] * v[1] + matrix[2] * v[2],
+    matrix[3] * v[0] + matrix[4] * v[1] + matrix[5] * v[2],
+    matrix[6] * v[0] + matrix[7] * v[1] + matrix[8] * v[2]
+  ];
+}
+
+function setTexel(texture, index, rgb) {
+  texture.data[index] = rgb[0];
+  texture.data[index + 1] = rgb[1];
+  texture.data[index + 2] = rgb[2];
+  texture.data[index + 3] = 1;
+}
+
+function forEachLayer(texture, callback) {
+  for (let z = 0; z < texture.depth; ++z) {
+    callback(z + 0.5);
+  }
+}
+
+// Calls callback with the texel center coordinates (i.e. gl_FragCoord) and the
+// data index of each texel of the given layer, and stores the returned RGB
+// value, if any, in the texel.
+function forEachTexelOfLayer(texture, z, callback) {
+  const layerOffset = Math.floor(z) * texture.width * texture.height;
+  for (let y = 0; y < texture.height; ++y) {
+    for (let x = 0; x < texture.width; ++x) {
+      const index = (layerOffset + y * texture.width + x) * 4;
+      const rgb = callback(x + 0.5, y + 0.5, index);
+      if (rgb) {
+        setTexel(texture, index, rgb);
+      }
+    }
+  }
+}
+
+function forEachTexel(texture, callback) {
+  forEachTexelOfLayer(texture, 0.5, callback);
+}
@@ -0,0 +1,265 @@
+// Free flight camera controls, from the ground to space, for the sky of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+
+// The movement directions of the keys (by KeyboardEvent.code, so that they do
+// not depend on the keyboard layout), as [right, forward, up] components.
+const KEYS = {
+  KeyW: [0, 1, 0],
+  ArrowUp: [0, 1, 0],
+  KeyS: [0, -1, 0],
+  ArrowDown: [0, -1, 0],
+  KeyD: [1, 0, 0],
+  ArrowRight: [1, 0, 0],
+  KeyA: [-1, 0, 0],
+  ArrowLeft: [-1, 0, 0],
+  KeyE: [0, 0, 1],
+  PageUp: [0, 0, 1],
+  KeyQ: [0, 0, -1],
+  PageDown: [0, 0, -1]
+};
+
+// The minimum angle, in radians, between the view direction and the vertical.
+const MIN_PITCH_ANGLE = 0.01;
+
+// Moves and rotates a camera freely around the planet of the given
+// AtmosphereSky (whose center is given by the earth_center uniform, see
+// setEarthCenter()), with the WASD (or arrow) keys to move forward, backward
+// and sideways, Q and E (or Page Down and Page Up) to move down and up, and
+// the mouse to look around (with the pointer locked after a click, or by
+// dragging if the pointer can't be locked). Shift multiplies the speed by
+// 'boostFactor'.
+//
+// The speed is proportional to the altitude (with a 'speedFactor' in 1/s,
+// i.e. the altitude doubles in about 0.7 / speedFactor seconds when climbing
+// vertically, e.g. from 2 m to 10000 km in about 30 s by default), but at
+// least 'minSpeedMetersPerSecond', so that the camera can fly just above the
+// ground as well as thousands of kilometers above it. The altitude is clamped
+// to [minAltitudeMeters, maxAltitudeMeters], and the camera up vector is kept
+// vertical (no roll).
+//
+// The controls are disabled by default, see setEnabled(). update() must be
+// called at each frame, and a 'change' event is dispatched when the camera
+// moves or rotates.
+export class FlightControls extends EventTarget {
+  constructor(camera, domElement, sky, {
+    speedFactor = 0.5,
+    minSpeedMetersPerSecond = 10,
+    minAltitudeMeters = 2,
+    maxAltitudeMeters = 1e8,
+    boostFactor = 10,
+    lookSpeed = 0.002
+  } = {}) {
+    super();
+    this.camera = camera;
+    this.domElement = domElement;
+    this.sky = sky;
+    this.speedFactor = speedFactor;
+    this.minSpeedMetersPerSecond = minSpeedMetersPerSecond;
+    this.minAltitudeMeters = minAltitudeMeters;
+    this.maxAltitudeMeters = maxAltitudeMeters;
+    this.boostFactor = boostFactor;
+    // The rotation per mouse movement unit (CSS pixel), in radians.
+    this.lookSpeed = lookSpeed;
+    this.enabled = false;
+
+    // The codes of the pressed keys.
+    this.keys = new Set();
+    this.boost = false;
+    // The previous pointer position, while dragging without a pointer lock.
+    this.dragPosition = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = () => this.keys.clear();
+    this.onClick = this.onClick.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = () => {
+      this.dragPosition = null;
+    };
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('blur', this.onBlur);
+    domElement.addEventListener('click', this.onClick);
+    domElement.addEventListener('pointerdown', this.onPointerDown);
+    domElement.addEventListener('pointermove', this.onPointerMove);
+    domElement.addEventListener('pointerup', this.onPointerUp);
+    domElement.addEventListener('pointercancel', this.onPointerUp);
+  }
+
+  get earthCenter() {
+    return this.sky.uniforms.earth_center.value;
+  }
+
+  get bottomRadius() {
+    const parameters = this.sky.parameters;
+    return parameters.bottomRadius / parameters.lengthUnitInMeters;
+  }
+
+  // Returns the altitude of the camera above the ground, in meters.
+  getAltitudeMeters() {
+    return this.getAltitude() * this.sky.parameters.lengthUnitInMeters;
+  }
+
+  // Returns the altitude of the camera above the ground, in scene units.
+  getAltitude() {
+    return this.camera.position.distanceTo(this.earthCenter) - this.bottomRadius;
+  }
+
+  // Enables or disables the controls. The camera keeps its current position
+  // and direction when they are enabled (apart from the roll, which is
+  // removed), and the pointer lock is released when they are disabled.
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.keys.clear();
+    this.dragPosition = null;
+    if (enabled) {
+      this.camera.updateMatrixWorld();
+      this.look(0, 0);
+    } else if (document.pointerLockElement === this.domElement) {
+      document.exitPointerLock();
+    }
+    return this;
+  }
+
+  // Whether the given keyboard event is used by the controls (e.g. to ignore
+  // it in other keyboard shortcuts).
+  handlesKey(event) {
+    return this.enabled && event.code in KEYS;
+  }
+
+  // Moves the camera with the pressed keys, during 'deltaSeconds'. Returns
+  // whether the camera moved.
+  update(deltaSeconds) {
+    if (!this.enabled || this.keys.size === 0) {
+      return false;
+    }
+    const move = new THREE.Vector3();
+    for (const code of this.keys) {
+      move.add(new THREE.Vector3(...KEYS[code]));
+    }
+    if (move.lengthSq() === 0) {
+      return false;
+    }
+    const lengthUnitInMeters = this.sky.parameters.lengthUnitInMeters;
+    const minSpeed = this.minSpeedMetersPerSecond / lengthUnitInMeters;
+    const speed = Math.max(minSpeed, this.getAltitude() * this.speedFactor) *
+      (this.boost ? this.boostFactor : 1);
+
+    const { up, forward, right } = this.getFrame();
+    const position = this.camera.position;
+    position.addScaledVector(right, move.x * speed * deltaSeconds);
+    position.addScaledVector(forward, move.y * speed * deltaSeconds);
+    position.addScaledVector(up, move.z * speed * deltaSeconds);
+
+    // Stay above the ground (and not too far, to avoid precision issues).
+    const center = this.earthCenter;
+    const radius = THREE.MathUtils.clamp(position.distanceTo(center),
+      this.bottomRadius + this.minAltitudeMeters / lengthUnitInMeters,
+      this.bottomRadius + this.maxAltitudeMeters / lengthUnitInMeters);
+    position.sub(center).setLength(radius).add(center);
+    // Keep the view direction, with the new vertical.
+    this.look(0, 0, forward);
+    return true;
+  }
+
+  // Returns the vertical direction at the camera position, and the view and
+  // right directions of the camera.
+  getFrame() {
+    const up = this.camera.position.clone().sub(this.earthCenter).normalize();
+    const forward = this.camera.getWorldDirection(new THREE.Vector3());
+    const right = new THREE.Vector3().setFromMatrixColumn(
+      this.camera.matrixWorld, 0).normalize();
+    return { up, forward, right };
+  }
+
+  // Rotates the view direction (by default the current one) by the given
+  // angles around the vertical and in the vertical plane, with the pitch
+  // angle clamped to avoid looking exactly up or down, and with no roll.
+  look(deltaYaw, deltaPitch, forward = null) {
+    const frame = this.getFrame();
+    const up = frame.up;
+    forward = forward || frame.forward;
+    const cosPitch = THREE.MathUtils.clamp(forward.dot(up), -1, 1);
+    // The horizontal view direction, or the one of the camera up vector if
+    // looking vertically.
+    const horizontal = forward.clone().addScaledVector(up, -cosPitch);
+    if (horizontal.lengthSq() < 1e-12) {
+      horizontal.crossVectors(up, frame.right);
+    }
+    horizontal.normalize().applyAxisAngle(up, deltaYaw);
+    const pitch = THREE.MathUtils.clamp(Math.acos(cosPitch) + deltaPitch,
+      MIN_PITCH_ANGLE, Math.PI - MIN_PITCH_ANGLE);
+
+    const target = horizontal.multiplyScalar(Math.sin(pitch))
+      .addScaledVector(up, Math.cos(pitch))
+      .add(this.camera.position);
+    this.camera.up.copy(up);
+    this.camera.lookAt(target);
+    this.camera.updateMatrixWorld();
+    this.dispatchEvent(new Event('change'));
+  }
+
+  onKeyDown(event) {
+    this.boost = event.shiftKey;
+    if (this.enabled && event.code in KEYS) {
+      this.keys.add(event.code);
+      event.preventDefault();
+    }
+  }
+
+  onKeyUp(event) {
+    this.boost = event.shiftKey;
+    this.keys.delete(event.code);
+  }
+
+  onClick() {
+    if (this.enabled && document.pointerLockElement !== this.domElement &&
+        this.domElement.requestPointerLock) {
+      // Returns a promise in recent browsers, rejected e.g. if the lock is
+      // requested too soon after it was released with the Escape key (the
+      // mouse can then still be used by dragging).
+      Promise.resolve(this.domElement.requestPointerLock()).catch(() => {});
+    }
+  }
+
+  onPointerDown(event) {
+    if (this.enabled && document.pointerLockElement !== this.domElement) {
+      this.dragPosition = { x: event.clientX, y: event.clientY };
+    }
+  }
+
+  onPointerMove(event) {
+    if (!this.enabled) {
+      return;
+    }
+    let dx;
+    let dy;
+    if (document.pointerLockElement === this.domElement) {
+      dx = event.movementX;
+      dy = event.movementY;
+    } else if (this.dragPosition) {
+      dx = event.clientX - this.dragPosition.x;
+      dy = event.clientY - this.dragPosition.y;
+      this.dragPosition = { x: event.clientX, y: event.clientY };
+    } else {
+      return;
+    }
+    this.look(-dx * this.lookSpeed, dy * this.lookSpeed);
+  }
+
+  dispose() {
+    this.setEnabled(false);
+    const domElement = this.domElement;
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onBlur);
+    domElement.removeEventListener('click', this.onClick);
+    domElement.removeEventListener('pointerdown', this.onPointerDown);
+    domElement.removeEventListener('pointermove', this.onPointerMove);
+    domElement.removeEventListener('pointerup', this.onPointerUp);
+    domElement.removeEventListener('pointercancel', this.onPointerUp);
+  }
+}
@@ -0,0 +1,62 @@
+// Library entry point, for the use of the atmosphere in other three.js apps
+// (see the 'build:lib' script).
+export { AtmosphereSky, LUMINANCE_EXPOSURE_SCALE } from './atmosphere-sky.js'
+export { extendMaterialWithAtmosphere } from './atmosphere-material.js'
+export { AtmosphereLights } from './atmosphere-lights.js'
+export { SkyEnvironment } from './sky-environment.js'
+export { AerialPerspectivePass } from './aerial-perspective-pass.js'
+export { SunShadowMap } from './sun-shadow-map.js'
+export { AutoExposure } from './auto-exposure.js'
+export { WhiteBalance, getDaylightWhitePoint } from './white-balance.js'
+export {
+  getSunPosition,
+  getSunDirection,
+  getSunriseAndSunset,
+  getLocalSiderealTime,
+  getAtmosphericRefraction
+} from './sun-position.js'
+export { getMoonPosition, getMoonDirection } from './moon-position.js'
+export { BRIGHT_STARS } from './bright-stars.js'
+export { createStarTexture, getStarIrradianceFactor } from './stars.js'
+export { TimeOfDay } from './time-of-day.js'
+export { TimeOfDayControls } from './time-of-day-controls.js'
+export { LoadingIndicator } from './loading-indicator.js'
+export { AtmosphereControls } from './atmosphere-controls.js'
+export { FlightControls } from './flight-controls.js'
+export {
+  ViewStateHistory,
+  viewStateToJSON,
+  viewStateFromJSON,
+  viewStateToHash,
+  viewStateFromHash
+} from './view-state.js'
+export {
+  TONE_MAPPINGS,
+  OUTPUT_COLOR_SPACES,
+  getRendererToneMapping
+} from './tone-mapping.js'
+export { AtmosphereParameters, DensityProfileLayer } from './atmosphere-parameters.js'
+export {
+  RGB_WAVELENGTHS,
+  MAX_LUMINOUS_EFFICACY,
+  computeSpectralRadianceToLuminanceFactors
+} from './spectrum.js'
+export {
+  createAtmosphereTextures,
+  loadAtmosphereTextures,
+  readAtmosphereTextureData
+} from './atmosphere-textures.js'
+export {
+  TEXTURE_FILE_VERSION,
+  encodeTextureFile,
+  decodeTextureFile,
+  isTextureFile
+} from './texture-file.js'
+export { Model } from './model.js'
+export {
+  vertexShader,
+  createAtmosphereShader,
+  createFragmentShader,
+  lightShaftsShader,
+  toneMappingShader
+} from './shaders.js'
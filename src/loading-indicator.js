@@ -0,0 +1,89 @@
+// HTML loading indicator for loadAtmosphereTextures()
+// See shaders.js for license
+
+function formatMegabytes(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+// A progress bar and a message, in a <div> appended to the given container
+// (e.g. over the canvas). setProgress() can be used directly as the
+// 'onProgress' callback of loadAtmosphereTextures(). After an error, set with
+// setError(), the indicator stays visible until it is clicked (or until the
+// error is cleared with clearError()).
+export class LoadingIndicator {
+  constructor(container, message = 'Loading the atmosphere textures') {
+    this.message = message;
+    this.domElement = document.createElement('div');
+    this.domElement.id = 'loading';
+    this.label = document.createElement('span');
+    this.progressBar = document.createElement('progress');
+    this.domElement.append(this.label, this.progressBar);
+    this.domElement.addEventListener('click', () => {
+      if (this.error) {
+        this.hide();
+      }
+    });
+    container.appendChild(this.domElement);
+    this.error = null;
+    this.setProgress({ loaded: 0, total: null });
+  }
+
+  // Shows the given number of loaded bytes, out of 'total' bytes (or an
+  // indeterminate progress bar if total is null).
+  setProgress({ loaded, total }) {
+    if (this.error) {
+      return this;
+    }
+    if (total) {
+      this.progressBar.max = total;
+      this.progressBar.value = loaded;
+      this.label.textContent = `${this.message}: ` +
+        `${formatMegabytes(loaded)} / ${formatMegabytes(total)} MB`;
+    } else {
+      this.progressBar.removeAttribute('value');
+      this.label.textContent = `${this.message}: ${formatMegabytes(loaded)} MB`;
+    }
+    return this;
+  }
+
+  // Sets the message shown before the progress (e.g. when some textures are
+  // loaded, but not all of them).
+  setMessage(message) {
+    this.message = message;
+    if (!this.error) {
+      this.label.textContent = message;
+    }
+    return this;
+  }
+
+  // Shows the given error (an Error or a string) instead of the progress,
+  // followed by the given explanation, if any.
+  setError(error, explanation = '') {
+    this.error = error;
+    this.domElement.classList.add('error');
+    this.domElement.hidden = false;
+    this.progressBar.hidden = true;
+    this.label.textContent = `${error.message || error}${
+      explanation ? ` ${explanation}` : ''} (click to close)`;
+    return this;
+  }
+
+  // Clears the error set with setError(), if any (e.g. after a successful
+  // fallback), and shows the message and the progress bar again.
+  clearError() {
+    this.error = null;
+    this.domElement.classList.remove('error');
+    this.progressBar.hidden = false;
+    this.label.textContent = this.message;
+    return this;
+  }
+
+  hide() {
+    this.domElement.hidden = true;
+    return this;
+  }
+
+  dispose() {
+    this.domElement.remove();
+  }
+}
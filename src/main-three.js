@@ -1,30 +1,57 @@
 // three.js port of https://ebruneton.github.io/precomputed_atmospheric_scattering
 // See shaders.js for license
 import * as THREE from 'three'
-import { vertexShader, fragmentShader } from './shaders'
-
-// Constants
-const TRANSMITTANCE_TEXTURE_WIDTH = 256;
-const TRANSMITTANCE_TEXTURE_HEIGHT = 64;
-const SCATTERING_TEXTURE_WIDTH = 256;
-const SCATTERING_TEXTURE_HEIGHT = 128;
-const SCATTERING_TEXTURE_DEPTH = 32;
-const IRRADIANCE_TEXTURE_WIDTH = 64;
-const IRRADIANCE_TEXTURE_HEIGHT = 16;
-const kSunAngularRadius = 0.00935 / 2;
-const kLengthUnitInMeters = 1000;
+import { AtmosphereSky } from './atmosphere-sky.js'
+import { AtmosphereLights } from './atmosphere-lights.js'
+import { SkyEnvironment } from './sky-environment.js'
+import { TimeOfDay } from './time-of-day.js'
+import { TimeOfDayControls } from './time-of-day-controls.js'
+import { TONE_MAPPINGS } from './tone-mapping.js'
+import { AutoExposure } from './auto-exposure.js'
+import { WhiteBalance } from './white-balance.js'
+import { loadAtmosphereTextures } from './atmosphere-textures.js'
+import { AtmosphereParameters } from './atmosphere-parameters.js'
+import { Model } from './model.js'
+import { LoadingIndicator } from './loading-indicator.js'
+import { ViewStateHistory } from './view-state.js'
+import { AtmosphereControls } from './atmosphere-controls.js'
+import { FlightControls } from './flight-controls.js'
 
 export class Demo {
-  constructor(container) {
+  constructor(container, parameters = new AtmosphereParameters()) {
     this.container = container;
+    this.parameters = parameters;
     this.renderer = null;
     this.camera = null;
     this.scene = null;
-    this.material = null;
+    this.sky = null;
+    // The texture loading, and the Model precomputing the scattering texture
+    // on the GPU if it can't be loaded (see finishLoadingTextures()).
+    this.loadingIndicator = null;
+    this.texturesLoad = null;
+    this.model = null;
 
     this.sunZenithAngleRadians = 1.3;
     this.sunAzimuthAngleRadians = 2.9;
 
+    // Time of day animation (paused until started with the controls or the
+    // space key), see setupTimeOfDay().
+    this.timeOfDay = null;
+    this.timeOfDayControls = null;
+    this.clock = new THREE.Clock();
+
+    // Automatic exposure, enabled with the 'a' key (it then overrides the
+    // exposure of the views and of the time of day keyframes).
+    this.autoExposure = null;
+    this.autoExposureEnabled = false;
+    // White balance, changed with the 'w' key.
+    this.whiteBalance = null;
+    // The view state in the URL hash, to share a view with a link.
+    this.viewStateHistory = null;
+    // Free flight mode, toggled with the 'f' key (the orbit controls and the
+    // view state are then unused).
+    this.flightControls = null;
+
     this.init();
   }
 
@@ -32,14 +59,26 @@ export class Demo {
     this.setupRenderer();
     this.setupCamera();
     this.setupControls();
+    this.loadingIndicator = new LoadingIndicator(this.container);
     await this.loadTextures();
-    this.setupScene();
+    try {
+      this.setupScene();
+    } catch (error) {
+      console.error('Failed to create the scene:', error);
+      this.loadingIndicator.setError(error);
+      return;
+    }
     this.setupEventListeners();
-    
-    // Set default view (same as key 1)
-    this.setView(9000, 1.47, 0, 1.3, 3, 10);
-    
+
+    // Restore the view from the URL, or set the default view (same as key 1)
+    this.viewStateHistory = new ViewStateHistory(
+      () => this.getViewState(), (state) => this.setViewState(state));
+    if (!this.viewStateHistory.restore()) {
+      this.setView(9000, 1.47, 0, 1.3, 3, 10);
+    }
+
     this.startAnimationLoop();
+    this.finishLoadingTextures();
   }
 
   setupRenderer() {
@@ -70,24 +109,21 @@ export class Demo {
   }
 
   setupControls() {
-    // Disable the default OrbitControls
-    // this.controls = new OrbitControls(this.camera, this.renderer.domElement);
-    
-    // Add event listeners for our custom camera control
-    this.renderer.domElement.addEventListener('mousedown', this.onMouseDown.bind(this));
-    this.renderer.domElement.addEventListener('mousemove', this.onMouseMove.bind(this));
-    this.renderer.domElement.addEventListener('mouseup', this.onMouseUp.bind(this));
-    this.renderer.domElement.addEventListener('wheel', this.onMouseWheel.bind(this));
-    
-    // Store initial values
-    this.drag = undefined;
-    this.previousMouseX = 0;
-    this.previousMouseY = 0;
-    
     // Initial camera angles (similar to the original implementation)
     this.viewZenithAngleRadians = 1.47;
     this.viewAzimuthAngleRadians = 0;
     this.viewDistanceMeters = 9000;
+
+    // Mouse, touch and pen controls of the view and sun directions
+    this.controls = new AtmosphereControls(this.renderer.domElement, this);
+    this.controls.addEventListener('viewchange', () => this.updateCamera());
+    this.controls.addEventListener('sunchange', () => {
+      if (this.sky) {
+        this.pauseTimeOfDay();
+        this.sky.setSunAngles(
+          this.sunZenithAngleRadians, this.sunAzimuthAngleRadians);
+      }
+    });
   }
 
   async loadTextures() {
@@ -95,118 +131,113 @@ export class Demo {
     // For GitHub Pages, we need to ensure we're using the correct path
     const baseUrl = import.meta.env.BASE_URL;
     console.log('Base URL:', baseUrl);
-    
+
     // Ensure the base URL ends with a slash
     const normalizedBaseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
-    
-    const assetUrls = [
-      `${normalizedBaseUrl}assets/transmittance.dat`,
-      `${normalizedBaseUrl}assets/scattering.dat`,
-      `${normalizedBaseUrl}assets/irradiance.dat`
-    ];
-    
-    console.log('Loading assets from:', assetUrls);
-    
+
+    // Resolved as soon as the sky can be rendered without the scattering
+    // texture, which is not possible with precomputed luminance textures.
+    let onPartialLoad;
+    const partialLoad = new Promise((resolve) => {
+      onPartialLoad = resolve;
+    });
+    this.texturesLoad = loadAtmosphereTextures(
+      this.renderer, `${normalizedBaseUrl}assets/`, this.parameters, {
+        onProgress: (event) => this.loadingIndicator.setProgress(event),
+        onPartialLoad: (textures) => {
+          if (!textures.parameters.precomputedLuminance) {
+            onPartialLoad(textures);
+          }
+        }
+      });
     try {
-      const [transmittanceData, scatteringData, irradianceData] = await Promise.all(
-        assetUrls.map((url) =>
-          fetch(url)
-            .then((res) => {
-              if (!res.ok) {
-                console.error(`Failed to load ${url}: ${res.status} ${res.statusText}`);
-                throw new Error(`Failed to load ${url}: ${res.status} ${res.statusText}`);
-              }
-              return res.arrayBuffer();
-            })
-            .then((buffer) => new Float32Array(buffer))
-        )
-      );
-
-      this.transmittanceTexture = new THREE.DataTexture(
-        transmittanceData,
-        TRANSMITTANCE_TEXTURE_WIDTH,
-        TRANSMITTANCE_TEXTURE_HEIGHT
-      );
-      this.transmittanceTexture.magFilter = this.transmittanceTexture.minFilter =
-        THREE.LinearFilter;
-      this.transmittanceTexture.internalFormat = this.renderer.extensions.has(
-        'OES_texture_float_linear'
-      )
-        ? 'RGBA32F'
-        : 'RGBA16F';
-      this.transmittanceTexture.type = THREE.FloatType;
-      this.transmittanceTexture.needsUpdate = true; // three.js unsets this for data textures since r136
-
-      this.scatteringTexture = new THREE.Data3DTexture(
-        scatteringData,
-        SCATTERING_TEXTURE_WIDTH,
-        SCATTERING_TEXTURE_HEIGHT,
-        SCATTERING_TEXTURE_DEPTH
-      );
-      this.scatteringTexture.magFilter = this.scatteringTexture.minFilter = THREE.LinearFilter;
-      this.scatteringTexture.internalFormat = 'RGBA16F';
-      this.scatteringTexture.type = THREE.FloatType;
-      this.scatteringTexture.needsUpdate = true;
-
-      this.irradianceTexture = new THREE.DataTexture(
-        irradianceData,
-        IRRADIANCE_TEXTURE_WIDTH,
-        IRRADIANCE_TEXTURE_HEIGHT
-      );
-      this.irradianceTexture.magFilter = this.irradianceTexture.minFilter = THREE.LinearFilter;
-      this.irradianceTexture.internalFormat = 'RGBA16F';
-      this.irradianceTexture.type = THREE.FloatType;
-      this.irradianceTexture.needsUpdate = true;
+      const { parameters, ...textures } =
+        await Promise.race([partialLoad, this.texturesLoad]);
+      // The texture files can store the parameters used to compute them.
+      this.parameters = parameters;
+      this.textures = textures;
     } catch (error) {
-      console.error('Error loading textures:', error);
-      alert('Failed to load textures. See console for details.');
+      // Precompute the textures on the GPU instead (see AtmosphereSky), as in
+      // the original C++ demo, so that the demo also works without the binary
+      // assets.
+      this.onTexturesLoadError(error);
+      this.textures = {};
     }
   }
 
+  // Switches the sky to multiple scattering when the scattering texture is
+  // loaded, if the sky was created without it (see loadTextures()), or
+  // precomputes it on the GPU if it can't be loaded.
+  finishLoadingTextures() {
+    if (!this.sky.singleScatteringFallback) {
+      // The textures are loaded, or were successfully precomputed by the sky
+      // if they could not be loaded.
+      this.loadingIndicator.clearError().hide();
+      return;
+    }
+    this.loadingIndicator.setMessage(
+      'Loading the scattering texture (single scattering only until then)');
+    this.texturesLoad.then(({ scatteringTexture }) => {
+      this.sky.setScatteringTexture(scatteringTexture);
+      this.loadingIndicator.hide();
+    }, (error) => {
+      this.onTexturesLoadError(error);
+      try {
+        // The loaded transmittance and irradiance textures can't be reused:
+        // the multiple scattering orders are computed from the scattering and
+        // irradiance of each previous order, which are not stored in the
+        // files, and from the transmittance at each group of precomputed
+        // wavelengths (see Model.init()). The sky keeps using the loaded ones.
+        this.model = new Model(this.renderer, this.parameters);
+        this.model.init();
+        this.sky.setScatteringTexture(this.model.scatteringTexture);
+        this.loadingIndicator.clearError().hide();
+      } catch (modelError) {
+        // E.g. if float render targets are not supported.
+        console.error('Failed to precompute the textures:', modelError);
+        this.loadingIndicator.setError(modelError);
+      }
+    }).catch((error) => {
+      console.error('Failed to set the scattering texture:', error);
+      this.loadingIndicator.setError(error);
+    });
+  }
+
+  onTexturesLoadError(error) {
+    console.warn('Precomputing textures instead of loading them:', error);
+    this.loadingIndicator.setError(error,
+      '- precomputing the textures on the GPU instead.');
+  }
+
   setupScene() {
-    // Create a proper full-screen quad for the sky using PlaneGeometry
-    const geometry = new THREE.PlaneGeometry(2, 2);
-
-    this.material = new THREE.RawShaderMaterial({
-      glslVersion: THREE.GLSL3,
-      uniforms: {
-        transmittance_texture: { value: this.transmittanceTexture },
-        scattering_texture: { value: this.scatteringTexture },
-        single_mie_scattering_texture: { value: new THREE.Data3DTexture() }, // unused
-        irradiance_texture: { value: this.irradianceTexture },
-        camera: { value: this.camera.position },
-        white_point: { value: new THREE.Vector3(1, 1, 1) },
-        exposure: { value: 10 },
-        earth_center: {
-          value: new THREE.Vector3(0, 0, -6360000 / kLengthUnitInMeters)
-        },
-        sun_direction: {
-          value: new THREE.Vector3(
-            Math.sin(this.sunZenithAngleRadians) * Math.cos(this.sunAzimuthAngleRadians),
-            Math.sin(this.sunZenithAngleRadians) * Math.sin(this.sunAzimuthAngleRadians),
-            Math.cos(this.sunZenithAngleRadians)
-          )
-        },
-        sun_size: {
-          value: new THREE.Vector2(
-            Math.tan(kSunAngularRadius),
-            Math.cos(kSunAngularRadius)
-          )
-        }
-      },
-      vertexShader,
-      fragmentShader
+    this.sky = new AtmosphereSky({
+      parameters: this.parameters,
+      renderer: this.renderer,
+      ...this.textures,
+      demoSphere: true,
+      moon: true,
+      stars: true
     });
+    this.sky.setSunAngles(this.sunZenithAngleRadians, this.sunAzimuthAngleRadians);
 
     this.scene = new THREE.Scene();
+    this.scene.add(this.sky);
     
-    // Create sky mesh with the proper geometry
-    const skyMesh = new THREE.Mesh(geometry, this.material);
-    skyMesh.frustumCulled = false;
-    this.scene.add(skyMesh);
-    
-    // Add ambient light
-    this.scene.add(new THREE.AmbientLight(0xffffff, 0.3));
+    // Add sun and sky lights, updated with the sun direction in render()
+    this.lights = new AtmosphereLights(this.sky, this.renderer);
+    this.scene.add(this.lights);
+    this.whiteBalance =
+      new WhiteBalance(this.sky, this.renderer, { mode: 'none' });
+
+    // Add the sky environment map, updated (at most every 100ms) when the sun
+    // direction changes in render()
+    this.environment = new SkyEnvironment(this.renderer, this.sky);
+    this.scene.environment = this.environment.texture;
+
+    this.setupTimeOfDay();
+    this.autoExposure = new AutoExposure(this.renderer, this.sky);
+    this.flightControls =
+      new FlightControls(this.camera, this.renderer.domElement, this.sky);
     
     // Set up vector for the scene
     this.scene.up = new THREE.Vector3(0, 0, 1);
@@ -222,84 +253,66 @@ export class Demo {
     this.scene.add(axesHelper);
   }
 
-  setupEventListeners() {
-    window.addEventListener('resize', this.onWindowResize.bind(this));
-    // Add keyboard event listener
-    window.addEventListener('keypress', this.onKeyPress.bind(this));
-    // No need to add mouse events here as they're now in setupControls
+  setupTimeOfDay() {
+    // At the location of the original demo (Grenoble, France), today.
+    this.timeOfDay = new TimeOfDay({
+      latitude: 45.19,
+      longitude: 5.72,
+      timeZoneOffset: 1
+    });
+    // Increase the exposure around sunrise and sunset, when the sky is darker,
+    // and even more at night, when the sky is only lit by the moon.
+    const { sunrise, sunset } = this.timeOfDay.getSunriseAndSunset();
+    if (sunrise !== null && sunset !== null) {
+      const keyframe = (time, exposure) => ({ time: (time + 24) % 24, exposure });
+      this.timeOfDay.setExposureKeyframes([
+        keyframe(sunrise - 2, 1e6),
+        keyframe(sunrise - 1, 200),
+        keyframe(sunrise, 40),
+        keyframe(sunrise + 1, 10),
+        keyframe(sunset - 1, 10),
+        keyframe(sunset, 40),
+        keyframe(sunset + 1, 200),
+        keyframe(sunset + 2, 1e6)
+      ]);
+    }
+    this.timeOfDayControls = new TimeOfDayControls(
+      this.container, this.timeOfDay, () => this.applyTimeOfDay());
   }
 
-  onMouseDown(event) {
-    this.previousMouseX = event.offsetX;
-    this.previousMouseY = event.offsetY;
-    
-    // If ctrl key is pressed, enable sun movement
-    if (event.ctrlKey) {
-      this.drag = 'sun';
-    } else {
-      this.drag = 'camera';
-    }
+  // Sets the sun angles (and the exposure, if keyframed) from the time of day.
+  applyTimeOfDay() {
+    const { zenithAngle, azimuthAngle } = this.timeOfDay.getSunAngles();
+    this.sunZenithAngleRadians = zenithAngle;
+    this.sunAzimuthAngleRadians = azimuthAngle;
+    this.timeOfDay.apply(this.sky);
   }
-  
-  onMouseMove(event) {
-    if (!this.drag) return;
-    
-    const kScale = 500;
-    const mouseX = event.offsetX;
-    const mouseY = event.offsetY;
-    
-    if (this.drag === 'sun') {
-      // Update sun position
-      this.sunZenithAngleRadians -= (this.previousMouseY - mouseY) / kScale;
-      this.sunZenithAngleRadians = Math.max(0, Math.min(Math.PI, this.sunZenithAngleRadians));
-      this.sunAzimuthAngleRadians += (this.previousMouseX - mouseX) / kScale;
-      
-      // Update sun direction in the shader
-      const sunDirection = new THREE.Vector3(
-        Math.sin(this.sunZenithAngleRadians) * Math.cos(this.sunAzimuthAngleRadians),
-        Math.sin(this.sunZenithAngleRadians) * Math.sin(this.sunAzimuthAngleRadians),
-        Math.cos(this.sunZenithAngleRadians)
-      );
-      this.material.uniforms.sun_direction.value = sunDirection;
-    } else if (this.drag === 'camera') {
-      // Update camera position
-      this.viewZenithAngleRadians += (this.previousMouseY - mouseY) / kScale;
-      this.viewZenithAngleRadians = Math.max(0, Math.min(Math.PI / 2, this.viewZenithAngleRadians));
-      this.viewAzimuthAngleRadians += (this.previousMouseX - mouseX) / kScale;
-      
-      // Update camera position based on spherical coordinates
-      const distance = this.viewDistanceMeters / kLengthUnitInMeters;
-      const x = distance * Math.sin(this.viewZenithAngleRadians) * Math.cos(this.viewAzimuthAngleRadians);
-      const y = distance * Math.sin(this.viewZenithAngleRadians) * Math.sin(this.viewAzimuthAngleRadians);
-      const z = distance * Math.cos(this.viewZenithAngleRadians);
-      
-      this.camera.position.set(x, y, z);
-      this.camera.lookAt(0, 0, 0);
+
+  // Stops the time of day animation, when the sun is moved otherwise.
+  pauseTimeOfDay() {
+    if (this.timeOfDay && this.timeOfDay.playing) {
+      this.timeOfDay.pause();
+      this.timeOfDayControls.update();
     }
-    
-    this.previousMouseX = mouseX;
-    this.previousMouseY = mouseY;
   }
-  
-  onMouseUp(event) {
-    this.drag = undefined;
+
+  setupEventListeners() {
+    window.addEventListener('resize', this.onWindowResize.bind(this));
+    // Add keyboard event listener
+    window.addEventListener('keypress', this.onKeyPress.bind(this));
+    // The pointer events are handled by the controls, see setupControls()
   }
-  
-  onMouseWheel(event) {
-    // Zoom in/out
-    this.viewDistanceMeters *= event.deltaY > 0 ? 1.05 : 1 / 1.05;
-    
-    // Update camera position
-    const distance = this.viewDistanceMeters / kLengthUnitInMeters;
+
+  // Places the camera at viewDistanceMeters from the origin, in the direction
+  // given by the view angles, looking at the origin.
+  updateCamera() {
+    const distance = this.viewDistanceMeters / this.parameters.lengthUnitInMeters;
     const x = distance * Math.sin(this.viewZenithAngleRadians) * Math.cos(this.viewAzimuthAngleRadians);
     const y = distance * Math.sin(this.viewZenithAngleRadians) * Math.sin(this.viewAzimuthAngleRadians);
     const z = distance * Math.cos(this.viewZenithAngleRadians);
-    
+
     this.camera.position.set(x, y, z);
     this.camera.lookAt(0, 0, 0);
-    
-    // Prevent default scroll behavior
-    event.preventDefault();
   }
 
   onWindowResize() {
@@ -316,40 +329,86 @@ export class Demo {
   }
 
   render() {
+    const deltaSeconds = this.clock.getDelta();
+    if (this.timeOfDay.update(deltaSeconds)) {
+      this.applyTimeOfDay();
+      this.timeOfDayControls.update();
+    }
+    this.controls.update(deltaSeconds);
+    this.flightControls.update(deltaSeconds);
+    if (this.autoExposureEnabled) {
+      this.autoExposure.update(this.camera, deltaSeconds);
+    }
+    this.lights.update();
+    this.whiteBalance.update();
+    this.environment.update();
+    this.viewStateHistory.update();
     this.renderer.render(this.scene, this.camera);
   }
 
+  // Returns the view, sun and exposure, e.g. to save them with
+  // viewStateToJSON().
+  getViewState() {
+    return {
+      viewDistanceMeters: this.viewDistanceMeters,
+      viewZenithAngleRadians: this.viewZenithAngleRadians,
+      viewAzimuthAngleRadians: this.viewAzimuthAngleRadians,
+      sunZenithAngleRadians: this.sunZenithAngleRadians,
+      sunAzimuthAngleRadians: this.sunAzimuthAngleRadians,
+      exposure: this.sky.exposure
+    };
+  }
+
+  // Sets the view, sun and exposure from a possibly partial view state (the
+  // missing values are unchanged), e.g. from viewStateFromJSON().
+  setViewState(state) {
+    const { viewDistanceMeters, viewZenithAngleRadians,
+      viewAzimuthAngleRadians, sunZenithAngleRadians, sunAzimuthAngleRadians,
+      exposure } = { ...this.getViewState(), ...state };
+    this.setView(viewDistanceMeters, viewZenithAngleRadians,
+      viewAzimuthAngleRadians, sunZenithAngleRadians, sunAzimuthAngleRadians,
+      exposure);
+  }
+
+  // Switches between the free flight mode, starting from the current camera
+  // position and direction, and the orbit view around the origin.
+  setFlightMode(enabled) {
+    if (enabled == this.flightControls.enabled) {
+      return;
+    }
+    this.flightControls.setEnabled(enabled);
+    this.controls.enabled = !enabled;
+    this.controls.stop();
+    if (!enabled) {
+      this.updateCamera();
+    }
+  }
+
   setView(viewDistanceMeters, viewZenithAngleRadians, viewAzimuthAngleRadians,
       sunZenithAngleRadians, sunAzimuthAngleRadians, exposure) {
+    this.setFlightMode(false);
     this.viewDistanceMeters = viewDistanceMeters;
     this.viewZenithAngleRadians = viewZenithAngleRadians;
     this.viewAzimuthAngleRadians = viewAzimuthAngleRadians;
     this.sunZenithAngleRadians = sunZenithAngleRadians;
     this.sunAzimuthAngleRadians = sunAzimuthAngleRadians;
-    
-    // Update camera position
-    const distance = this.viewDistanceMeters / kLengthUnitInMeters;
-    const x = distance * Math.sin(this.viewZenithAngleRadians) * Math.cos(this.viewAzimuthAngleRadians);
-    const y = distance * Math.sin(this.viewZenithAngleRadians) * Math.sin(this.viewAzimuthAngleRadians);
-    const z = distance * Math.cos(this.viewZenithAngleRadians);
-    
-    this.camera.position.set(x, y, z);
-    this.camera.lookAt(0, 0, 0);
+    this.pauseTimeOfDay();
+    this.controls.stop();
+    this.updateCamera();
     
     // Update sun direction
-    const sunDirection = new THREE.Vector3(
-      Math.sin(this.sunZenithAngleRadians) * Math.cos(this.sunAzimuthAngleRadians),
-      Math.sin(this.sunZenithAngleRadians) * Math.sin(this.sunAzimuthAngleRadians),
-      Math.cos(this.sunZenithAngleRadians)
-    );
-    this.material.uniforms.sun_direction.value = sunDirection;
+    this.sky.setSunAngles(this.sunZenithAngleRadians, this.sunAzimuthAngleRadians);
     
     // Update exposure
-    this.material.uniforms.exposure.value = exposure;
+    this.sky.setExposure(exposure);
   }
 
   onKeyPress(event) {
     const key = event.key;
+    if (this.flightControls.handlesKey(event)) {
+      // Used to move the camera in the free flight mode
+      return;
+    }
     if (key == 'h') {
       // Toggle help display if implemented
       const helpElement = document.getElementById('help');
@@ -357,12 +416,58 @@ export class Demo {
         const hidden = helpElement.style.display == 'none';
         helpElement.style.display = hidden ? 'block' : 'none';
       }
+    } else if (key == ' ') {
+      // Play or pause the time of day animation
+      this.timeOfDay.toggle();
+      this.timeOfDayControls.update();
+      if (this.timeOfDay.playing) {
+        this.applyTimeOfDay();
+      }
+    } else if (key == 'c') {
+      // Toggle the cloud layer (the environment map follows the sky in
+      // render())
+      this.sky.setCloudsEnabled(!this.sky.cloudsEnabled);
+    } else if (key == 't') {
+      // Cycle through the tone mapping operators
+      const toneMappings = Object.keys(TONE_MAPPINGS);
+      const index = toneMappings.indexOf(this.sky.toneMapping);
+      this.sky.setToneMapping(
+        toneMappings[(index + 1) % toneMappings.length]);
+    } else if (key == 'w') {
+      // Cycle through the white balance modes
+      const modes = ['none', 'daylight', 'adaptive'];
+      const index = modes.indexOf(this.whiteBalance.mode);
+      this.whiteBalance.setMode(modes[(index + 1) % modes.length]);
+    } else if (key == 'l') {
+      // Toggle between radiance and luminance rendering (the lights and the
+      // environment map follow the sky in render())
+      this.sky.setLuminance(!this.sky.luminance);
+    } else if (key == 'f') {
+      // Toggle the free flight mode
+      this.setFlightMode(!this.flightControls.enabled);
+    } else if (key == 'a') {
+      // Toggle the automatic exposure
+      this.autoExposureEnabled = !this.autoExposureEnabled;
+      this.autoExposure.reset();
+    } else if (key == 'm') {
+      // Cycle through the metering modes of the automatic exposure
+      const modes = ['average', 'center', 'spot'];
+      const index = modes.indexOf(this.autoExposure.meteringMode);
+      this.autoExposure.setMeteringMode(modes[(index + 1) % modes.length]);
     } else if (key == '+') {
-      // Increase exposure
-      this.material.uniforms.exposure.value *= 1.1;
+      // Increase exposure (or the auto exposure key value)
+      if (this.autoExposureEnabled) {
+        this.autoExposure.keyValue *= 1.1;
+      } else {
+        this.sky.setExposure(this.sky.exposure * 1.1);
+      }
     } else if (key == '-') {
-      // Decrease exposure
-      this.material.uniforms.exposure.value /= 1.1;
+      // Decrease exposure (or the auto exposure key value)
+      if (this.autoExposureEnabled) {
+        this.autoExposure.keyValue /= 1.1;
+      } else {
+        this.sky.setExposure(this.sky.exposure / 1.1);
+      }
     } else if (key == '1') {
       this.setView(9000, 1.47, 0, 1.3, 3, 10);
     } else if (key == '2') {
@@ -41,6 +41,14 @@ textures and shaders from the network (those are precomputed with
 */
 
 import { Utils } from './utils.js';
+import { AtmosphereControls } from './atmosphere-controls.js';
+
+/*
+<p>The size of the precomputed textures in the legacy headerless
+<code>.dat</code> files. The files in the format of <code>texture-file.js</code>
+give their own size, and the parameters used to precompute them, which are
+used instead (see <code>getTextureSize</code> below):
+*/
 
 const TRANSMITTANCE_TEXTURE_WIDTH = 256;
 const TRANSMITTANCE_TEXTURE_HEIGHT = 64;
@@ -53,6 +61,15 @@ const IRRADIANCE_TEXTURE_HEIGHT = 16;
 const kSunAngularRadius = 0.00935 / 2;
 const kLengthUnitInMeters = 1000;
 
+/*
+<p>The white point used when the white balance is enabled with the 'w' key (as
+in the C++ demo): the values of the D65 illuminant at the wavelengths of the
+precomputed textures (680, 550 and 440 nm), normalized to an average of 1 (see
+white-balance.js for the three.js version):
+*/
+
+const kDaylightWhitePoint = [0.817746, 1.08685, 1.095405];
+
 /*
 <p>As in the C++ version, the code consists in a single class. Its constructor
 initializes the WebGL canvas, declares the fields of the class, sets up the
@@ -73,6 +90,7 @@ class Demo {
     this.transmittanceTexture = null;
     this.scatteringTexture = null;
     this.irradianceTexture = null;
+    this.textureParameters = null;
     this.vertexShaderSource = null;
     this.fragmentShaderSource = null;
     this.atmosphereShaderSource = null;
@@ -87,15 +105,12 @@ class Demo {
     this.sunAzimuthAngleRadians = 2.9;
     this.exposure = 10;
 
-    this.drag = undefined;
-    this.previousMouseX = undefined;
-    this.previousMouseY = undefined;
+    this.doWhiteBalance = false;
+
+    this.controls = new AtmosphereControls(rootElement, this);
+    this.previousRenderTime = undefined;
 
     rootElement.addEventListener('keypress', (e) => this.onKeyPress(e));
-    rootElement.addEventListener('mousedown', (e) => this.onMouseDown(e));
-    rootElement.addEventListener('mousemove', (e) => this.onMouseMove(e));
-    rootElement.addEventListener('mouseup', (e) => this.onMouseUp(e));
-    rootElement.addEventListener('wheel', (e) => this.onMouseWheel(e));
 
     this.init();
     requestAnimationFrame(() => this.onRender());
@@ -114,27 +129,33 @@ in the <code>Utils</code> class below):
     gl.bufferData(gl.ARRAY_BUFFER,
        new Float32Array([-1, -1, +1, -1, -1, +1, +1, +1]), gl.STATIC_DRAW);
 
-    Utils.loadTextureData('transmittance.dat', (data) => {
+    Utils.loadTextureData('transmittance.dat', (data, file) => {
+      const [width, height] = this.getTextureSize('transmittance.dat', data,
+          file, [TRANSMITTANCE_TEXTURE_WIDTH, TRANSMITTANCE_TEXTURE_HEIGHT, 1]);
       this.transmittanceTexture =
           Utils.createTexture(gl, gl.TEXTURE0, gl.TEXTURE_2D);
       gl.texImage2D(gl.TEXTURE_2D, 0,
-          gl.getExtension('OES_texture_float_linear') ? gl.RGBA32F : gl.RGBA16F,
-          TRANSMITTANCE_TEXTURE_WIDTH, TRANSMITTANCE_TEXTURE_HEIGHT, 0, gl.RGBA,
-          gl.FLOAT, data);
+          gl.getExtension('OES_texture_float_linear') &&
+              data instanceof Float32Array ? gl.RGBA32F : gl.RGBA16F,
+          width, height, 0, gl.RGBA, this.getTextureType(data), data);
     });
-    Utils.loadTextureData('scattering.dat', (data) => {
+    Utils.loadTextureData('scattering.dat', (data, file) => {
+      const [width, height, depth] = this.getTextureSize('scattering.dat',
+          data, file, [SCATTERING_TEXTURE_WIDTH, SCATTERING_TEXTURE_HEIGHT,
+          SCATTERING_TEXTURE_DEPTH]);
       this.scatteringTexture =
           Utils.createTexture(gl, gl.TEXTURE1, gl.TEXTURE_3D);
       gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
-      gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA16F, SCATTERING_TEXTURE_WIDTH,
-          SCATTERING_TEXTURE_HEIGHT, SCATTERING_TEXTURE_DEPTH, 0, gl.RGBA,
-          gl.FLOAT, data);
+      gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA16F, width, height, depth, 0,
+          gl.RGBA, this.getTextureType(data), data);
     });
-    Utils.loadTextureData('irradiance.dat', (data) => {
+    Utils.loadTextureData('irradiance.dat', (data, file) => {
+      const [width, height] = this.getTextureSize('irradiance.dat', data,
+          file, [IRRADIANCE_TEXTURE_WIDTH, IRRADIANCE_TEXTURE_HEIGHT, 1]);
       this.irradianceTexture =
           Utils.createTexture(gl, gl.TEXTURE2, gl.TEXTURE_2D);
-      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, IRRADIANCE_TEXTURE_WIDTH,
-          IRRADIANCE_TEXTURE_HEIGHT, 0, gl.RGBA, gl.FLOAT, data);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA,
+          this.getTextureType(data), data);
     });
 
     Utils.loadShaderSource('vertex_shader.txt', (source) => {
@@ -148,29 +169,83 @@ in the <code>Utils</code> class below):
     });
   }
 
+/*
+<p>The size of a texture is given by its file header if it has one (in which
+case the parameters used to precompute it are also stored, to configure the
+atmosphere shader), or by the above constants otherwise. In both cases it must
+be consistent with the texel data and with the other textures, to avoid
+silently rendering garbage. The texel data type depends on the file precision
+(fp16 files give half floats):
+*/
+
+  getTextureSize(name, data, file, legacySize) {
+    const size = file ? [file.width, file.height, file.depth] : legacySize;
+    if (data.length !== size[0] * size[1] * size[2] * 4) {
+      throw new Error(`Unexpected size for ${name}: ${data.length} values`);
+    }
+    const parameters = file && file.metadata.parameters;
+    if (parameters) {
+      if (this.textureParameters && JSON.stringify(parameters) !==
+          JSON.stringify(this.textureParameters)) {
+        throw new Error(`${name} was computed with different parameters`);
+      }
+      this.textureParameters = parameters;
+    }
+    return size;
+  }
+
+  getTextureType(data) {
+    return data instanceof Uint16Array ? this.gl.HALF_FLOAT : this.gl.FLOAT;
+  }
+
 /*
 <p>The WebGL program cannot be created before all the shaders are loaded. This
 is done in the following method, which is called at each frame (the precomputed
 shaders are OpenGL 3.3 shaders, so they must be adapted for WebGL2. In
 particular, the version id must be changed, and the fragment shaders must be
-concatenated because WebGL2 does not support multiple shaders of the same type):
+concatenated because WebGL2 does not support multiple shaders of the same type).
+The texture size constants of the atmosphere shader are also replaced with the
+ones of the texture files, if they store them, which requires waiting for the
+textures as well:
 */
 
   maybeInitProgram() {
     if (this.program ||
+        !this.transmittanceTexture ||
+        !this.scatteringTexture ||
+        !this.irradianceTexture ||
         !this.vertexShaderSource ||
         !this.fragmentShaderSource ||
         !this.atmosphereShaderSource) {
       return;
     }
     const gl = this.gl;
+    let atmosphereShaderSource = this.atmosphereShaderSource;
+    const p = this.textureParameters;
+    if (p) {
+      const constants = {
+        TRANSMITTANCE_TEXTURE_WIDTH: p.transmittanceTextureWidth,
+        TRANSMITTANCE_TEXTURE_HEIGHT: p.transmittanceTextureHeight,
+        SCATTERING_TEXTURE_R_SIZE: p.scatteringTextureRSize,
+        SCATTERING_TEXTURE_MU_SIZE: p.scatteringTextureMuSize,
+        SCATTERING_TEXTURE_MU_S_SIZE: p.scatteringTextureMuSSize,
+        SCATTERING_TEXTURE_NU_SIZE: p.scatteringTextureNuSize,
+        IRRADIANCE_TEXTURE_WIDTH: p.irradianceTextureWidth,
+        IRRADIANCE_TEXTURE_HEIGHT: p.irradianceTextureHeight
+      };
+      for (const [name, value] of Object.entries(constants)) {
+        atmosphereShaderSource = atmosphereShaderSource.replace(
+            new RegExp(`const int ${name} = \\d+;`),
+            `const int ${name} = ${value};`);
+      }
+    }
     const vertexShader =
         Utils.createShader(gl, gl.VERTEX_SHADER,
             this.vertexShaderSource.replace('#version 330', '#version 300 es'));
     const fragmentShader = Utils.createShader(
         gl,
         gl.FRAGMENT_SHADER,
-        this.atmosphereShaderSource
+        atmosphereShaderSource
             .replace('#version 330',
                      '#version 300 es\n' +
                      'precision highp float;\n' +
@@ -192,6 +267,11 @@ a full screen quad with it:
 
   onRender() {
     const gl = this.gl;
+    const now = performance.now();
+    if (this.previousRenderTime !== undefined) {
+      this.controls.update((now - this.previousRenderTime) / 1000);
+    }
+    this.previousRenderTime = now;
     gl.clearColor(0, 0, 0, 1);
     gl.clear(gl.COLOR_BUFFER_BIT);
 
@@ -244,7 +324,8 @@ a full screen quad with it:
     gl.uniform1i(gl.getUniformLocation(program, 'irradiance_texture'), 2);
     gl.uniform3f(gl.getUniformLocation(program, 'camera'),
         this.modelFromView[3], this.modelFromView[7], this.modelFromView[11]);
-    gl.uniform3f(gl.getUniformLocation(program, 'white_point'), 1, 1, 1);
+    const whitePoint = this.doWhiteBalance ? kDaylightWhitePoint : [1, 1, 1];
+    gl.uniform3f(gl.getUniformLocation(program, 'white_point'), ...whitePoint);
     gl.uniform1f(gl.getUniformLocation(program, 'exposure'), this.exposure);
     gl.uniform3f(gl.getUniformLocation(program, 'earth_center'),
         0, 0, -6360000 / kLengthUnitInMeters);
@@ -262,7 +343,8 @@ a full screen quad with it:
 
 /*
 <p>The last part of the Demo class are the event handler methods, which are
-directly adapted from the C++ code:
+directly adapted from the C++ code (except for the mouse, touch and pen events,
+handled by <code>AtmosphereControls</code>):
 */
 
   onKeyPress(event) {
@@ -270,6 +352,8 @@ directly adapted from the C++ code:
     if (key == 'h') {
       const hidden = this.help.style.display == 'none';
       this.help.style.display = hidden ? 'block' : 'none';
+    } else if (key == 'w') {
+      this.doWhiteBalance = !this.doWhiteBalance;
     } else if (key == '+') {
       this.exposure *= 1.1;
     } else if (key == '-') {
@@ -303,39 +387,7 @@ directly adapted from the C++ code:
     this.sunZenithAngleRadians = sunZenithAngleRadians;
     this.sunAzimuthAngleRadians = sunAzimuthAngleRadians;
     this.exposure = exposure;
-  }
-
-  onMouseDown(event) {
-    this.previousMouseX = event.offsetX;
-    this.previousMouseY = event.offsetY;
-    this.drag = event.ctrlKey ? 'sun' : 'camera';
-  }
-
-  onMouseMove(event) {
-    const kScale = 500;
-    const mouseX = event.offsetX;
-    const mouseY = event.offsetY;
-    if (this.drag == 'sun') {
-      this.sunZenithAngleRadians -= (this.previousMouseY - mouseY) / kScale;
-      this.sunZenithAngleRadians =
-        Math.max(0, Math.min(Math.PI, this.sunZenithAngleRadians));
-      this.sunAzimuthAngleRadians += (this.previousMouseX - mouseX) / kScale;
-    } else if (this.drag == 'camera') {
-      this.viewZenithAngleRadians += (this.previousMouseY - mouseY) / kScale;
-      this.viewZenithAngleRadians =
-          Math.max(0, Math.min(Math.PI / 2, this.viewZenithAngleRadians));
-      this.viewAzimuthAngleRadians += (this.previousMouseX - mouseX) / kScale;
-    }
-    this.previousMouseX = mouseX;
-    this.previousMouseY = mouseY;
-  }
-
-  onMouseUp(event) {
-    this.drag = undefined;
-  }
-
-  onMouseWheel(event) {
-    this.viewDistanceMeters *= event.deltaY > 0 ? 1.05 : 1 / 1.05;
+    this.controls.stop();
   }
 }
 
@@ -0,0 +1,335 @@
+// three.js port of the Model class of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+import {
+  computeVertexShader,
+  computeTransmittanceShader,
+  computeDirectIrradianceShader,
+  computeSingleScatteringShader,
+  computeScatteringDensityShader,
+  computeIndirectIrradianceShader,
+  computeMultipleScatteringShader,
+  accumulateIrradianceShader,
+  accumulateSingleScatteringShader,
+  accumulateMultipleScatteringShader
+} from './shaders'
+import { AtmosphereParameters } from './atmosphere-parameters.js'
+import { RGB_WAVELENGTHS, getPrecomputedWavelengths } from './spectrum.js'
+
+function createRenderTarget2D(width, height, type) {
+  return new THREE.WebGLRenderTarget(width, height, {
+    type,
+    format: THREE.RGBAFormat,
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    depthBuffer: false
+  });
+}
+
+function createRenderTarget3D(width, height, depth, type) {
+  const renderTarget = new THREE.WebGL3DRenderTarget(width, height, depth, {
+    depthBuffer: false
+  });
+  // WebGL3DRenderTarget replaces the texture created from the options, so the
+  // texture parameters must be set directly on the new one.
+  const texture = renderTarget.texture;
+  texture.type = type;
+  texture.format = THREE.RGBAFormat;
+  texture.minFilter = texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = texture.wrapT = texture.wrapR = THREE.ClampToEdgeWrapping;
+  return renderTarget;
+}
+
+// Precomputes the transmittance, scattering and irradiance textures on the GPU,
+// like the Model::Init method of the original C++ implementation. The resulting
+// textures can be used directly for the scattering_texture, etc. uniforms of
+// the fragment shader. With more than 3 precomputed wavelengths (see
+// AtmosphereParameters), the scattering and irradiance textures contain
+// luminance values, accumulated over several precomputations of 3 wavelengths.
+export class Model {
+  constructor(renderer, parameters = new AtmosphereParameters()) {
+    this.renderer = renderer;
+    this.parameters = parameters;
+
+    // The final textures are blended into (see below), which is only possible
+    // for half float textures without the EXT_float_blend extension. Delta
+    // textures are never blended, and use full precision when it is possible
+    // to filter them linearly.
+    this.fullPrecisionType = renderer.extensions.has('OES_texture_float_linear')
+      ? THREE.FloatType
+      : THREE.HalfFloatType;
+
+    this.transmittanceRenderTarget = createRenderTarget2D(
+      parameters.transmittanceTextureWidth,
+      parameters.transmittanceTextureHeight, this.fullPrecisionType);
+    this.scatteringRenderTarget = createRenderTarget3D(
+      parameters.scatteringTextureWidth, parameters.scatteringTextureHeight,
+      parameters.scatteringTextureDepth, THREE.HalfFloatType);
+    this.irradianceRenderTarget = createRenderTarget2D(
+      parameters.irradianceTextureWidth, parameters.irradianceTextureHeight,
+      THREE.HalfFloatType);
+
+    this.quadScene = new THREE.Scene();
+    this.quadCamera = new THREE.Camera();
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    this.quad.frustumCulled = false;
+    this.quadScene.add(this.quad);
+  }
+
+  get transmittanceTexture() {
+    return this.transmittanceRenderTarget.texture;
+  }
+
+  get scatteringTexture() {
+    return this.scatteringRenderTarget.texture;
+  }
+
+  get irradianceTexture() {
+    return this.irradianceRenderTarget.texture;
+  }
+
+  init(numScatteringOrders = 4) {
+    const renderer = this.renderer;
+    const parameters = this.parameters;
+    const type = this.fullPrecisionType;
+
+    // The precomputations require temporary textures, in particular to store
+    // the contribution of one scattering order, which is needed to compute the
+    // next order of scattering (the final precomputed textures store the sum
+    // of all the scattering orders). We allocate them here, and destroy them
+    // at the end of this method.
+    const deltaIrradiance = createRenderTarget2D(
+      parameters.irradianceTextureWidth, parameters.irradianceTextureHeight,
+      type);
+    const createScatteringRenderTarget = () => createRenderTarget3D(
+      parameters.scatteringTextureWidth, parameters.scatteringTextureHeight,
+      parameters.scatteringTextureDepth, type);
+    const deltaRayleighScattering = createScatteringRenderTarget();
+    const deltaMieScattering = createScatteringRenderTarget();
+    const deltaScatteringDensity = createScatteringRenderTarget();
+    // delta_multiple_scattering_texture is only needed to compute scattering
+    // order 3 or more, while delta_rayleigh_scattering_texture is only needed
+    // to compute double scattering. Therefore, to save memory, we can store
+    // both in the same texture.
+    const deltaMultipleScattering = deltaRayleighScattering;
+
+    const previousRenderTarget = renderer.getRenderTarget();
+    const previousAutoClear = renderer.autoClear;
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    renderer.autoClear = false;
+    renderer.setClearColor(0x000000, 0);
+
+    try {
+      const groups =
+        getPrecomputedWavelengths(parameters.numPrecomputedWavelengths);
+      groups.forEach(({ lambdas, luminanceFromRadiance }, i) => {
+        this.precompute(deltaIrradiance, deltaRayleighScattering,
+          deltaMieScattering, deltaScatteringDensity, deltaMultipleScattering,
+          lambdas, new THREE.Matrix3().set(...luminanceFromRadiance),
+          i > 0 /* blend */, numScatteringOrders);
+      });
+      if (groups.length > 1) {
+        // After the above iterations, the transmittance texture contains the
+        // transmittance for the 3 wavelengths used at the last iteration. But
+        // we want the transmittance at RGB_WAVELENGTHS instead, so we must
+        // recompute it here for these 3 wavelengths.
+        const material = this.createMaterial(
+          computeTransmittanceShader(parameters, RGB_WAVELENGTHS));
+        this.drawQuad(material, this.transmittanceRenderTarget);
+        material.dispose();
+      }
+    } finally {
+      renderer.setRenderTarget(previousRenderTarget);
+      renderer.autoClear = previousAutoClear;
+      renderer.setClearColor(previousClearColor, previousClearAlpha);
+      deltaIrradiance.dispose();
+      deltaRayleighScattering.dispose();
+      deltaMieScattering.dispose();
+      deltaScatteringDensity.dispose();
+    }
+  }
+
+  precompute(deltaIrradiance, deltaRayleighScattering, deltaMieScattering,
+      deltaScatteringDensity, deltaMultipleScattering, lambdas,
+      luminanceFromRadiance, blend, numScatteringOrders) {
+    const renderer = this.renderer;
+    const materials = this.createMaterials(deltaIrradiance,
+      deltaRayleighScattering, deltaMieScattering, deltaScatteringDensity,
+      deltaMultipleScattering, lambdas, luminanceFromRadiance, blend);
+
+    try {
+      // Compute the transmittance, and store it in transmittance_texture.
+      this.drawQuad(materials.transmittance, this.transmittanceRenderTarget);
+
+      // Compute the direct irradiance, store it in delta_irradiance_texture
+      // and, depending on 'blend', either initialize irradiance_texture with
+      // zeros or leave it unchanged (we don't want the direct irradiance in
+      // irradiance_texture, but only the irradiance from the sky).
+      this.drawQuad(materials.directIrradiance, deltaIrradiance);
+      if (!blend) {
+        renderer.setRenderTarget(this.irradianceRenderTarget);
+        renderer.clear();
+      }
+
+      // Compute the rayleigh and mie single scattering, store them in
+      // delta_rayleigh_scattering_texture and delta_mie_scattering_texture,
+      // and either store them or accumulate them in scattering_texture.
+      this.drawLayers(materials.singleRayleighScattering,
+        deltaRayleighScattering);
+      this.drawLayers(materials.singleMieScattering, deltaMieScattering);
+      this.drawLayers(materials.accumulateSingleScattering,
+        this.scatteringRenderTarget);
+
+      // Compute the 2nd, 3rd and 4th order of scattering, in sequence.
+      for (let scatteringOrder = 2;
+          scatteringOrder <= numScatteringOrders;
+          ++scatteringOrder) {
+        // Compute the scattering density, and store it in
+        // delta_scattering_density_texture.
+        materials.scatteringDensity.uniforms.scattering_order.value =
+          scatteringOrder;
+        this.drawLayers(materials.scatteringDensity, deltaScatteringDensity);
+
+        // Compute the indirect irradiance, store it in
+        // delta_irradiance_texture and accumulate it in irradiance_texture.
+        materials.indirectIrradiance.uniforms.scattering_order.value =
+          scatteringOrder - 1;
+        this.drawQuad(materials.indirectIrradiance, deltaIrradiance);
+        this.drawQuad(materials.accumulateIrradiance,
+          this.irradianceRenderTarget);
+
+        // Compute the multiple scattering, store it in
+        // delta_multiple_scattering_texture, and accumulate it in
+        // scattering_texture.
+        this.drawLayers(materials.multipleScattering, deltaMultipleScattering);
+        this.drawLayers(materials.accumulateMultipleScattering,
+          this.scatteringRenderTarget);
+      }
+    } finally {
+      Object.values(materials).forEach((material) => material.dispose());
+    }
+  }
+
+  createMaterials(deltaIrradiance, deltaRayleighScattering, deltaMieScattering,
+      deltaScatteringDensity, deltaMultipleScattering, lambdas,
+      luminanceFromRadiance, blend) {
+    const parameters = this.parameters;
+    const transmittanceTexture = { value: this.transmittanceTexture };
+    return {
+      transmittance: this.createMaterial(
+        computeTransmittanceShader(parameters, lambdas)),
+      directIrradiance: this.createMaterial(
+        computeDirectIrradianceShader(parameters, lambdas), {
+          transmittance_texture: transmittanceTexture
+        }),
+      singleRayleighScattering: this.createMaterial(
+        computeSingleScatteringShader(parameters, lambdas), {
+          transmittance_texture: transmittanceTexture,
+          layer: { value: 0 }
+        }),
+      singleMieScattering: this.createMaterial(
+        computeSingleScatteringShader(parameters, lambdas), {
+          transmittance_texture: transmittanceTexture,
+          layer: { value: 0 }
+        }, { COMPUTE_MIE: '' }),
+      accumulateSingleScattering: this.createMaterial(
+        accumulateSingleScatteringShader, {
+          luminance_from_radiance: { value: luminanceFromRadiance },
+          delta_rayleigh_scattering_texture: {
+            value: deltaRayleighScattering.texture
+          },
+          delta_mie_scattering_texture: { value: deltaMieScattering.texture },
+          layer: { value: 0 }
+        }, {}, blend),
+      scatteringDensity: this.createMaterial(
+        computeScatteringDensityShader(parameters, lambdas), {
+          transmittance_texture: transmittanceTexture,
+          single_rayleigh_scattering_texture: {
+            value: deltaRayleighScattering.texture
+          },
+          single_mie_scattering_texture: { value: deltaMieScattering.texture },
+          multiple_scattering_texture: {
+            value: deltaMultipleScattering.texture
+          },
+          irradiance_texture: { value: deltaIrradiance.texture },
+          scattering_order: { value: 2 },
+          layer: { value: 0 }
+        }),
+      indirectIrradiance: this.createMaterial(
+        computeIndirectIrradianceShader(parameters, lambdas), {
+          single_rayleigh_scattering_texture: {
+            value: deltaRayleighScattering.texture
+          },
+          single_mie_scattering_texture: { value: deltaMieScattering.texture },
+          multiple_scattering_texture: {
+            value: deltaMultipleScattering.texture
+          },
+          scattering_order: { value: 1 }
+        }),
+      accumulateIrradiance: this.createMaterial(accumulateIrradianceShader, {
+        luminance_from_radiance: { value: luminanceFromRadiance },
+        delta_irradiance_texture: { value: deltaIrradiance.texture }
+      }, {}, true),
+      multipleScattering: this.createMaterial(
+        computeMultipleScatteringShader(parameters, lambdas), {
+          transmittance_texture: transmittanceTexture,
+          scattering_density_texture: { value: deltaScatteringDensity.texture },
+          layer: { value: 0 }
+        }),
+      accumulateMultipleScattering: this.createMaterial(
+        accumulateMultipleScatteringShader(parameters, lambdas), {
+          luminance_from_radiance: { value: luminanceFromRadiance },
+          delta_multiple_scattering_texture: {
+            value: deltaMultipleScattering.texture
+          },
+          layer: { value: 0 }
+        }, {}, true)
+    };
+  }
+
+  createMaterial(fragmentShader, uniforms = {}, defines = {}, blend = false) {
+    const material = new THREE.RawShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms,
+      defines,
+      vertexShader: computeVertexShader,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    if (blend) {
+      material.blending = THREE.CustomBlending;
+      material.blendEquation = THREE.AddEquation;
+      material.blendSrc = THREE.OneFactor;
+      material.blendDst = THREE.OneFactor;
+    } else {
+      material.blending = THREE.NoBlending;
+    }
+    return material;
+  }
+
+  drawQuad(material, renderTarget) {
+    this.quad.material = material;
+    this.renderer.setRenderTarget(renderTarget);
+    this.renderer.render(this.quadScene, this.quadCamera);
+  }
+
+  // Draws a full screen quad in each layer of a 3D render target.
+  drawLayers(material, renderTarget) {
+    this.quad.material = material;
+    for (let layer = 0; layer < renderTarget.depth; ++layer) {
+      material.uniforms.layer.value = layer;
+      this.renderer.setRenderTarget(renderTarget, layer);
+      this.renderer.render(this.quadScene, this.quadCamera);
+    }
+  }
+
+  dispose() {
+    this.transmittanceRenderTarget.dispose();
+    this.scatteringRenderTarget.dispose();
+    this.irradianceRenderTarget.dispose();
+    this.quad.geometry.dispose();
+  }
+}
@@ -0,0 +1,141 @@
+// Position and phase of the moon from a date and a geographic location, with
+// the main periodic terms of the lunar theory of "Astronomical Algorithms" by
+// Jean Meeus (chapters 47 and 48), which are accurate to a few arcminutes.
+import {
+  getAtmosphericRefraction,
+  getLocalSiderealTime
+} from './sun-position.js'
+
+const DEG = Math.PI / 180;
+const EARTH_RADIUS_KM = 6378.14;
+const SUN_DISTANCE_KM = 149597870.7;
+
+function mod(x, y) {
+  return ((x % y) + y) % y;
+}
+
+// Periodic terms of the moon longitude and distance: multiples of D, M, M' and
+// F, sine coefficient (1e-6 degree) and cosine coefficient (1e-3 km).
+const LONGITUDE_DISTANCE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755]
+];
+
+// Periodic terms of the moon latitude: multiples of D, M, M' and F, and sine
+// coefficient (1e-6 degree).
+const LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198]
+];
+
+// Returns the position of the moon as seen from the given location at the
+// given date (a Date, i.e. a UTC timestamp), with the same conventions as
+// getSunPosition() (latitude and longitude in degrees, altitude in meters,
+// angles in radians, azimuth clockwise from the north). The zenith angle
+// includes the parallax (about 1 degree at the horizon) and, unless
+// 'refraction' is false, the atmospheric refraction. The distance between the
+// centers of the earth and of the moon is returned too, in km, as well as the
+// phase angle (the sun-moon-earth angle, 0 at full moon), in radians, and the
+// illuminated fraction of the moon disk.
+export function getMoonPosition(date, latitude, longitude, altitude = 0,
+    { refraction = true } = {}) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+    throw new Error(`Invalid location: ${latitude}, ${longitude}`);
+  }
+  const jd = date.getTime() / 86400000 + 2440587.5;
+  const T = (jd - 2451545) / 36525;
+
+  // Mean longitude of the moon, mean elongation of the moon, mean anomalies of
+  // the sun and of the moon, and argument of latitude of the moon.
+  const Lp = 218.3164477 + 481267.88123421 * T;
+  const D = (297.8501921 + 445267.1114034 * T) * DEG;
+  const M = (357.5291092 + 35999.0502909 * T) * DEG;
+  const Mp = (134.9633964 + 477198.8675055 * T) * DEG;
+  const F = (93.2720950 + 483202.0175233 * T) * DEG;
+  let sumL = 0;
+  let sumR = 0;
+  for (const [d, m, mp, f, l, r] of LONGITUDE_DISTANCE_TERMS) {
+    const argument = d * D + m * M + mp * Mp + f * F;
+    sumL += l * Math.sin(argument);
+    sumR += r * Math.cos(argument);
+  }
+  let sumB = 0;
+  for (const [d, m, mp, f, b] of LATITUDE_TERMS) {
+    sumB += b * Math.sin(d * D + m * M + mp * Mp + f * F);
+  }
+  const lambda = (Lp + sumL * 1e-6) * DEG;
+  const beta = sumB * 1e-6 * DEG;
+  const distance = 385000.56 + sumR * 1e-3;
+
+  // Equatorial coordinates, and then local horizontal coordinates.
+  const epsilon = (23.439291 - 0.0130042 * T) * DEG;
+  const rightAscension = Math.atan2(
+    Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+    Math.cos(lambda));
+  const declination = Math.asin(Math.sin(beta) * Math.cos(epsilon) +
+    Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda));
+  const hourAngle = getLocalSiderealTime(date, longitude) - rightAscension;
+  const phi = latitude * DEG;
+  const cosZenith = Math.sin(phi) * Math.sin(declination) +
+    Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+  let zenith = Math.acos(Math.min(Math.max(cosZenith, -1), 1));
+  const azimuthAngle = mod(Math.atan2(
+    -Math.cos(declination) * Math.sin(hourAngle),
+    Math.sin(declination) * Math.cos(phi) -
+      Math.cos(declination) * Math.cos(hourAngle) * Math.sin(phi)),
+    2 * Math.PI);
+  zenith += Math.asin(EARTH_RADIUS_KM / distance * Math.sin(zenith));
+  const zenithAngle = refraction ? zenith -
+    getAtmosphericRefraction(90 - zenith / DEG, altitude) * DEG : zenith;
+
+  // Phase angle, from the elongation of the moon (the geocentric angle between
+  // the sun and the moon), with the low precision sun longitude.
+  const sunLongitude = (280.46646 + 36000.76983 * T) * DEG +
+    (1.914602 * Math.sin(M) + 0.019993 * Math.sin(2 * M)) * DEG;
+  const cosElongation = Math.cos(beta) * Math.cos(lambda - sunLongitude);
+  const elongation = Math.acos(Math.min(Math.max(cosElongation, -1), 1));
+  const phaseAngle = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation),
+    distance - SUN_DISTANCE_KM * Math.cos(elongation));
+  const illuminatedFraction = (1 + Math.cos(phaseAngle)) / 2;
+
+  return {
+    zenithAngle,
+    azimuthAngle,
+    distance,
+    phaseAngle,
+    illuminatedFraction
+  };
+}
+
+// Returns the unit vector pointing to the moon, in the same frame as
+// getSunDirection() (x to the east, y to the north and z to the zenith).
+export function getMoonDirection(date, latitude, longitude, altitude = 0,
+    options = {}) {
+  const { zenithAngle, azimuthAngle } =
+    getMoonPosition(date, latitude, longitude, altitude, options);
+  return {
+    x: Math.sin(zenithAngle) * Math.sin(azimuthAngle),
+    y: Math.sin(zenithAngle) * Math.cos(azimuthAngle),
+    z: Math.cos(zenithAngle)
+  };
+}
@@ -26,6 +26,8 @@
  * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF
  * THE POSSIBILITY OF SUCH DAMAGE.
  */
+import { AtmosphereParameters } from './atmosphere-parameters.js'
+import { RGB_WAVELENGTHS } from './spectrum.js'
 
 export const vertexShader = /* glsl */ `
   uniform mat4 viewMatrix;
@@ -38,7 +40,51 @@ export const vertexShader = /* glsl */ `
   }
 `
 
-export const atmosphereShader = /* glsl */ `
+// Functions generating GLSL literals from AtmosphereParameters, like the
+// Model constructor of the original implementation (with the spectra at the
+// 3 given wavelengths, see glsl_header_factory_).
+function glslFloat(x) {
+  const s = String(x);
+  return /[.e]/.test(s) ? s : `${s}.0`;
+}
+
+function glslVec3(v) {
+  return `vec3(${v.map(glslFloat).join(',')})`;
+}
+
+function glslDensityProfile(layers, lengthUnitInMeters) {
+  const glslLayer = (layer) => `DensityProfileLayer(${[
+    layer.width / lengthUnitInMeters,
+    layer.expTerm,
+    layer.expScale * lengthUnitInMeters,
+    layer.linearTerm * lengthUnitInMeters,
+    layer.constantTerm
+  ].map(glslFloat).join(',')})`;
+  return `DensityProfile(DensityProfileLayer[2](${layers.map(glslLayer).join(',')}))`;
+}
+
+function glslAtmosphere(parameters, lambdas) {
+  const unit = parameters.lengthUnitInMeters;
+  const scale = (v) => v.map((x) => x * unit);
+  const spectra = parameters.getSpectra(lambdas);
+  return `AtmosphereParameters(
+  ${glslVec3(spectra.solarIrradiance)},
+  ${glslFloat(parameters.sunAngularRadius)},
+  ${glslFloat(parameters.bottomRadius / unit)},
+  ${glslFloat(parameters.topRadius / unit)},
+  ${glslDensityProfile(parameters.rayleighDensity, unit)},
+  ${glslVec3(scale(spectra.rayleighScattering))},
+  ${glslDensityProfile(parameters.mieDensity, unit)},
+  ${glslVec3(scale(spectra.mieScattering))},
+  ${glslVec3(scale(spectra.mieExtinction))},
+  ${glslFloat(parameters.miePhaseFunctionG)},
+  ${glslDensityProfile(parameters.absorptionDensity, unit)},
+  ${glslVec3(scale(spectra.absorptionExtinction))},
+  ${glslVec3(spectra.groundAlbedo)},
+  ${glslFloat(parameters.muSMin)})`;
+}
+
+const atmosphereFunctions = (parameters, lambdas = RGB_WAVELENGTHS) => /* glsl */ `
   precision highp float;
   precision highp sampler3D;
   #define IN(x) const in x
@@ -46,14 +92,14 @@ export const atmosphereShader = /* glsl */ `
   #define TEMPLATE(x)
   #define TEMPLATE_ARGUMENT(x)
   #define assert(x)
-  const int TRANSMITTANCE_TEXTURE_WIDTH = 256;
-  const int TRANSMITTANCE_TEXTURE_HEIGHT = 64;
-  const int SCATTERING_TEXTURE_R_SIZE = 32;
-  const int SCATTERING_TEXTURE_MU_SIZE = 128;
-  const int SCATTERING_TEXTURE_MU_S_SIZE = 32;
-  const int SCATTERING_TEXTURE_NU_SIZE = 8;
-  const int IRRADIANCE_TEXTURE_WIDTH = 64;
-  const int IRRADIANCE_TEXTURE_HEIGHT = 16;
+  const int TRANSMITTANCE_TEXTURE_WIDTH = ${parameters.transmittanceTextureWidth};
+  const int TRANSMITTANCE_TEXTURE_HEIGHT = ${parameters.transmittanceTextureHeight};
+  const int SCATTERING_TEXTURE_R_SIZE = ${parameters.scatteringTextureRSize};
+  const int SCATTERING_TEXTURE_MU_SIZE = ${parameters.scatteringTextureMuSize};
+  const int SCATTERING_TEXTURE_MU_S_SIZE = ${parameters.scatteringTextureMuSSize};
+  const int SCATTERING_TEXTURE_NU_SIZE = ${parameters.scatteringTextureNuSize};
+  const int IRRADIANCE_TEXTURE_WIDTH = ${parameters.irradianceTextureWidth};
+  const int IRRADIANCE_TEXTURE_HEIGHT = ${parameters.irradianceTextureHeight};
   #define COMBINED_SCATTERING_TEXTURES
 
   #define Length float
@@ -101,7 +147,10 @@ export const atmosphereShader = /* glsl */ `
   const SolidAngle sr = 1.0;
   const Power watt = 1.0;
   const LuminousPower lm = 1.0;
-  const float PI = 3.14159265358979323846;
+  // three.js materials already define PI (see extendMaterialWithAtmosphere).
+  #ifndef PI
+  #define PI 3.14159265358979323846
+  #endif
   const Length km = 1000.0 * m;
   const Area m2 = m * m;
   const Volume m3 = m * m * m;
@@ -144,23 +193,11 @@ export const atmosphereShader = /* glsl */ `
     DimensionlessSpectrum ground_albedo;
     Number mu_s_min;
   };
-  const AtmosphereParameters ATMOSPHERE = AtmosphereParameters(
-  vec3(1.474000,1.850400,1.911980),
-  0.004675,
-  6360.000000,
-  6420.000000,
-  DensityProfile(DensityProfileLayer[2](DensityProfileLayer(0.000000,0.000000,0.000000,0.000000,0.000000),DensityProfileLayer(0.000000,1.000000,-0.125000,0.000000,0.000000))),
-  vec3(0.005802,0.013558,0.033100),
-  DensityProfile(DensityProfileLayer[2](DensityProfileLayer(0.000000,0.000000,0.000000,0.000000,0.000000),DensityProfileLayer(0.000000,1.000000,-0.833333,0.000000,0.000000))),
-  vec3(0.003996,0.003996,0.003996),
-  vec3(0.004440,0.004440,0.004440),
-  0.800000,
-  DensityProfile(DensityProfileLayer[2](DensityProfileLayer(25.000000,0.000000,0.000000,0.066667,-0.666667),DensityProfileLayer(0.000000,0.000000,0.000000,-0.066667,2.666667))),
-  vec3(0.000650,0.001881,0.000085),
-  vec3(0.100000,0.100000,0.100000),
-  -0.207912);
-  const vec3 SKY_SPECTRAL_RADIANCE_TO_LUMINANCE = vec3(114974.916437,71305.954816,65310.548555);
-  const vec3 SUN_SPECTRAL_RADIANCE_TO_LUMINANCE = vec3(98242.786222,69954.398112,66475.012354);
+  const AtmosphereParameters ATMOSPHERE = ${glslAtmosphere(parameters, lambdas)};
+  const vec3 SKY_SPECTRAL_RADIANCE_TO_LUMINANCE =
+      ${glslVec3(parameters.skySpectralRadianceToLuminance)};
+  const vec3 SUN_SPECTRAL_RADIANCE_TO_LUMINANCE =
+      ${glslVec3(parameters.sunSpectralRadianceToLuminance)};
 
   Number ClampCosine(Number mu) {
     return clamp(mu, Number(-1.0), Number(1.0));
@@ -848,6 +885,30 @@ export const atmosphereShader = /* glsl */ `
   #endif
     return scattering;
   }
+  // The scattering from the precomputed textures or, with
+  // SINGLE_SCATTERING_FALLBACK (e.g. while the scattering texture is loading),
+  // the single scattering only, integrated with the transmittance texture.
+  IrradianceSpectrum GetCombinedOrSingleScattering(
+      IN(AtmosphereParameters) atmosphere,
+      IN(TransmittanceTexture) transmittance_texture,
+      IN(ReducedScatteringTexture) scattering_texture,
+      IN(ReducedScatteringTexture) single_mie_scattering_texture,
+      Length r, Number mu, Number mu_s, Number nu,
+      bool ray_r_mu_intersects_ground,
+      OUT(IrradianceSpectrum) single_mie_scattering) {
+  #ifdef SINGLE_SCATTERING_FALLBACK
+    IrradianceSpectrum rayleigh;
+    ComputeSingleScattering(atmosphere, transmittance_texture,
+        r, mu, mu_s, nu, ray_r_mu_intersects_ground,
+        rayleigh, single_mie_scattering);
+    return rayleigh;
+  #else
+    return GetCombinedScattering(
+        atmosphere, scattering_texture, single_mie_scattering_texture,
+        r, mu, mu_s, nu, ray_r_mu_intersects_ground,
+        single_mie_scattering);
+  #endif
+  }
   RadianceSpectrum GetSkyRadiance(
       IN(AtmosphereParameters) atmosphere,
       IN(TransmittanceTexture) transmittance_texture,
@@ -877,8 +938,9 @@ export const atmosphereShader = /* glsl */ `
     IrradianceSpectrum single_mie_scattering;
     IrradianceSpectrum scattering;
     if (shadow_length == 0.0 * m) {
-      scattering = GetCombinedScattering(
-          atmosphere, scattering_texture, single_mie_scattering_texture,
+      scattering = GetCombinedOrSingleScattering(
+          atmosphere, transmittance_texture,
+          scattering_texture, single_mie_scattering_texture,
           r, mu, mu_s, nu, ray_r_mu_intersects_ground,
           single_mie_scattering);
     } else {
@@ -887,8 +949,9 @@ export const atmosphereShader = /* glsl */ `
           ClampRadius(atmosphere, sqrt(d * d + 2.0 * r * mu * d + r * r));
       Number mu_p = (r * mu + d) / r_p;
       Number mu_s_p = (r * mu_s + d * nu) / r_p;
-      scattering = GetCombinedScattering(
-          atmosphere, scattering_texture, single_mie_scattering_texture,
+      scattering = GetCombinedOrSingleScattering(
+          atmosphere, transmittance_texture,
+          scattering_texture, single_mie_scattering_texture,
           r_p, mu_p, mu_s_p, nu, ray_r_mu_intersects_ground,
           single_mie_scattering);
       DimensionlessSpectrum shadow_transmittance =
@@ -925,8 +988,9 @@ export const atmosphereShader = /* glsl */ `
     transmittance = GetTransmittance(atmosphere, transmittance_texture,
         r, mu, d, ray_r_mu_intersects_ground);
     IrradianceSpectrum single_mie_scattering;
-    IrradianceSpectrum scattering = GetCombinedScattering(
-        atmosphere, scattering_texture, single_mie_scattering_texture,
+    IrradianceSpectrum scattering = GetCombinedOrSingleScattering(
+        atmosphere, transmittance_texture,
+        scattering_texture, single_mie_scattering_texture,
         r, mu, mu_s, nu, ray_r_mu_intersects_ground,
         single_mie_scattering);
     d = max(d - shadow_length, 0.0 * m);
@@ -934,8 +998,9 @@ export const atmosphereShader = /* glsl */ `
     Number mu_p = (r * mu + d) / r_p;
     Number mu_s_p = (r * mu_s + d * nu) / r_p;
     IrradianceSpectrum single_mie_scattering_p;
-    IrradianceSpectrum scattering_p = GetCombinedScattering(
-        atmosphere, scattering_texture, single_mie_scattering_texture,
+    IrradianceSpectrum scattering_p = GetCombinedOrSingleScattering(
+        atmosphere, transmittance_texture,
+        scattering_texture, single_mie_scattering_texture,
         r_p, mu_p, mu_s_p, nu, ray_r_mu_intersects_ground,
         single_mie_scattering_p);
     DimensionlessSpectrum shadow_transmittance = transmittance;
@@ -946,7 +1011,7 @@ export const atmosphereShader = /* glsl */ `
     scattering = scattering - shadow_transmittance * scattering_p;
     single_mie_scattering =
         single_mie_scattering - shadow_transmittance * single_mie_scattering_p;
-  #ifdef COMBINED_SCATTERING_TEXTURES
+  #if defined(COMBINED_SCATTERING_TEXTURES) && !defined(SINGLE_SCATTERING_FALLBACK)
     single_mie_scattering = GetExtrapolatedSingleMieScattering(
         atmosphere, vec4(scattering, single_mie_scattering.r));
   #endif
@@ -970,6 +1035,10 @@ export const atmosphereShader = /* glsl */ `
             atmosphere, transmittance_texture, r, mu_s) *
         max(dot(normal, sun_direction), 0.0);
   }
+`
+
+export const createAtmosphereShader = (parameters) => /* glsl */ `
+  ${atmosphereFunctions(parameters)}
   #define RADIANCE_API_ENABLED
 
       uniform sampler2D transmittance_texture;
@@ -1034,21 +1103,187 @@ export const atmosphereShader = /* glsl */ `
       }
 `
 
-export const fragmentShader = /* glsl */ `
-  ${atmosphereShader}
-  const float kLengthUnitInMeters = 1000.000000;
+export const atmosphereShader = createAtmosphereShader(new AtmosphereParameters());
+
+// Shadow length of the light shafts from a sun shadow map (see SunShadowMap),
+// used if LIGHT_SHAFTS is defined. Shared by the AtmosphereSky and the
+// AerialPerspectivePass shaders, and by the materials extended with
+// extendMaterialWithAtmosphere().
+export const lightShaftsShader = /* glsl */ `
+  #ifdef LIGHT_SHAFTS
+  uniform sampler2D sun_shadow_map;
+  // From world space to shadow map texture coordinates and depth.
+  uniform mat4 sun_shadow_matrix;
+  #ifndef LIGHT_SHAFT_STEPS
+  #define LIGHT_SHAFT_STEPS 32
+  #endif
+  // Returns the total length of the parts of the given ray segment which are
+  // in the shadow of the objects of the shadow map, sampled with
+  // LIGHT_SHAFT_STEPS samples inside the shadow map volume (the ray parts
+  // outside this volume are not in shadow).
+  float GetShadowLength(vec3 origin, vec3 direction, float max_distance) {
+  vec3 p = (sun_shadow_matrix * vec4(origin, 1.0)).xyz;
+  vec3 d = (sun_shadow_matrix * vec4(direction, 0.0)).xyz;
+  d = mix(d, vec3(1e-9), lessThan(abs(d), vec3(1e-9)));
+  vec3 t0 = (vec3(0.0) - p) / d;
+  vec3 t1 = (vec3(1.0) - p) / d;
+  vec3 t_min = min(t0, t1);
+  vec3 t_max = max(t0, t1);
+  float start = max(max(t_min.x, t_min.y), max(t_min.z, 0.0));
+  float end = min(min(t_max.x, t_max.y), min(t_max.z, max_distance));
+  if (end <= start) {
+    return 0.0;
+  }
+  float dt = (end - start) / float(LIGHT_SHAFT_STEPS);
+  // Jitter the samples to replace banding with noise.
+  float t = start + dt * fract(
+    52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715))));
+  float shadow_length = 0.0;
+  for (int i = 0; i < LIGHT_SHAFT_STEPS; ++i) {
+    vec3 q = p + d * t;
+    if (texture(sun_shadow_map, q.xy).r < q.z - 1e-3) {
+      shadow_length += dt;
+    }
+    t += dt;
+  }
+  return shadow_length;
+  }
+  #endif
+`
+
+// Tone mapping and output encoding shared by the sky, the materials extended
+// with extendMaterialWithAtmosphere() and AerialPerspectivePass (see
+// tone-mapping.js for the values of the ATMOSPHERE_TONE_MAPPING and
+// ATMOSPHERE_OUTPUT_COLOR_SPACE defines). The ACES filmic, AgX and neutral
+// operators are the three.js ones, renamed to avoid conflicts with the three.js
+// material shaders (and without the toneMappingExposure factor).
+export const toneMappingShader = /* glsl */ `
+  #ifndef ATMOSPHERE_TONE_MAPPING
+  #define ATMOSPHERE_TONE_MAPPING 0
+  #endif
+  #ifndef ATMOSPHERE_OUTPUT_COLOR_SPACE
+  #define ATMOSPHERE_OUTPUT_COLOR_SPACE 1
+  #endif
+  vec3 AtmosphereRRTAndODTFit(vec3 v) {
+  vec3 a = v * (v + 0.0245786) - 0.000090537;
+  vec3 b = v * (0.983729 * v + 0.4329510) + 0.238081;
+  return a / b;
+  }
+  vec3 AtmosphereACESFilmicToneMapping(vec3 color) {
+  const mat3 input_matrix = mat3(
+    vec3(0.59719, 0.07600, 0.02840),
+    vec3(0.35458, 0.90834, 0.13383),
+    vec3(0.04823, 0.01566, 0.83777));
+  const mat3 output_matrix = mat3(
+    vec3(1.60475, -0.10208, -0.00327),
+    vec3(-0.53108, 1.10813, -0.07276),
+    vec3(-0.07367, -0.00605, 1.07602));
+  color = input_matrix * (color / 0.6);
+  color = AtmosphereRRTAndODTFit(color);
+  return clamp(output_matrix * color, 0.0, 1.0);
+  }
+  vec3 AtmosphereAgXContrastApprox(vec3 x) {
+  vec3 x2 = x * x;
+  vec3 x4 = x2 * x2;
+  return 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4 - 6.868 * x2 * x +
+    0.4298 * x2 + 0.1191 * x - 0.00232;
+  }
+  vec3 AtmosphereAgXToneMapping(vec3 color) {
+  const mat3 srgb_to_rec2020 = mat3(
+    vec3(0.6274, 0.0691, 0.0164),
+    vec3(0.3293, 0.9195, 0.0880),
+    vec3(0.0433, 0.0113, 0.8956));
+  const mat3 rec2020_to_srgb = mat3(
+    vec3(1.6605, -0.1246, -0.0182),
+    vec3(-0.5876, 1.1329, -0.1006),
+    vec3(-0.0728, -0.0083, 1.1187));
+  const mat3 inset_matrix = mat3(
+    vec3(0.856627153315983, 0.137318972929847, 0.11189821299995),
+    vec3(0.0951212405381588, 0.761241990602591, 0.0767994186031903),
+    vec3(0.0482516061458583, 0.101439036467562, 0.811302368396859));
+  const mat3 outset_matrix = mat3(
+    vec3(1.1271005818144368, -0.1413297634984383, -0.14132976349843826),
+    vec3(-0.11060664309660323, 1.157823702216272, -0.11060664309660294),
+    vec3(-0.016493938717834573, -0.016493938717834257, 1.2519364065950405));
+  const float min_ev = -12.47393;
+  const float max_ev = 4.026069;
+  color = inset_matrix * (srgb_to_rec2020 * color);
+  color = (log2(max(color, 1e-10)) - min_ev) / (max_ev - min_ev);
+  color = AtmosphereAgXContrastApprox(clamp(color, 0.0, 1.0));
+  color = pow(max(outset_matrix * color, 0.0), vec3(2.2));
+  return clamp(rec2020_to_srgb * color, 0.0, 1.0);
+  }
+  vec3 AtmosphereNeutralToneMapping(vec3 color) {
+  const float start_compression = 0.8 - 0.04;
+  const float desaturation = 0.15;
+  float x = min(color.r, min(color.g, color.b));
+  float offset = x < 0.08 ? x - 6.25 * x * x : 0.04;
+  color -= offset;
+  float peak = max(color.r, max(color.g, color.b));
+  if (peak < start_compression) {
+    return color;
+  }
+  float d = 1.0 - start_compression;
+  float new_peak = 1.0 - d * d / (peak + d - start_compression);
+  color *= new_peak / peak;
+  float g = 1.0 - 1.0 / (desaturation * (peak - new_peak) + 1.0);
+  return mix(color, vec3(new_peak), g);
+  }
+  // Maps the given exposed radiance (i.e. radiance / white_point * exposure)
+  // to a linear sRGB color.
+  vec3 AtmosphereToneMapping(vec3 color) {
+  #if ATMOSPHERE_TONE_MAPPING == 0
+  return vec3(1.0) - exp(-color);
+  #elif ATMOSPHERE_TONE_MAPPING == 2
+  return clamp(color / (vec3(1.0) + color), 0.0, 1.0);
+  #elif ATMOSPHERE_TONE_MAPPING == 3
+  return AtmosphereACESFilmicToneMapping(color);
+  #elif ATMOSPHERE_TONE_MAPPING == 4
+  return AtmosphereAgXToneMapping(color);
+  #elif ATMOSPHERE_TONE_MAPPING == 5
+  return AtmosphereNeutralToneMapping(color);
+  #else
+  return color;
+  #endif
+  }
+  // Encodes the given linear sRGB color in the output color space.
+  vec3 AtmosphereOutputEncoding(vec3 color) {
+  #if ATMOSPHERE_OUTPUT_COLOR_SPACE == 2
+  const mat3 srgb_to_display_p3 = mat3(
+    vec3(0.8224621, 0.0331941, 0.0170827),
+    vec3(0.1775380, 0.9668058, 0.0723974),
+    vec3(0.0000000, 0.0000000, 0.9105199));
+  color = srgb_to_display_p3 * color;
+  #endif
+  #if ATMOSPHERE_OUTPUT_COLOR_SPACE == 0
+  return color;
+  #else
+  return mix(pow(max(color, 0.0), vec3(1.0 / 2.4)) * 1.055 - vec3(0.055),
+    color * 12.92, vec3(lessThanEqual(color, vec3(0.0031308))));
+  #endif
+  }
+`
+
+export const createFragmentShader = (parameters) => /* glsl */ `
+  ${createAtmosphereShader(parameters)}
+  const float kLengthUnitInMeters = ${glslFloat(parameters.lengthUnitInMeters)};
 
   uniform vec3 camera;
   uniform float exposure;
+  // The renderer toneMappingExposure with the 'renderer' tone mapping, or 1.
+  uniform float tone_mapping_exposure;
   uniform vec3 white_point;
   uniform vec3 earth_center;
   uniform vec3 sun_direction;
   uniform vec2 sun_size;
   in vec3 view_ray;
   layout(location = 0) out vec4 color;
+  ${toneMappingShader}
+  #ifdef DEMO_SPHERE
   const vec3 kSphereCenter = vec3(0.0, 0.0, 1000.0) / kLengthUnitInMeters;
   const float kSphereRadius = 1000.0 / kLengthUnitInMeters;
   const vec3 kSphereAlbedo = vec3(0.8);
+  #endif
   const vec3 kGroundAlbedo = vec3(0.0, 0.0, 0.04);
   #ifdef USE_LUMINANCE
   #define GetSolarRadiance GetSolarLuminance
@@ -1063,6 +1298,253 @@ export const fragmentShader = /* glsl */ `
     vec3 sun_direction, out vec3 transmittance);
   vec3 GetSunAndSkyIrradiance(
     vec3 p, vec3 normal, vec3 sun_direction, out vec3 sky_irradiance);
+  ${lightShaftsShader}
+  #ifdef MOON
+  // The moon is a Lambertian sphere lit by the sun, whose light is scattered
+  // in the atmosphere like the sun light, but scaled by the ratio between the
+  // moon and the solar irradiances (about 2e-6 at full moon).
+  uniform vec3 moon_direction;
+  uniform vec2 moon_size;
+  const float kMoonAlbedo = 0.12;
+  float GetMoonIrradianceFactor() {
+  float phase_angle =
+    acos(clamp(-dot(sun_direction, moon_direction), -1.0, 1.0));
+  float phase = (sin(phase_angle) + (PI - phase_angle) * cos(phase_angle)) / PI;
+  return 2.0 / 3.0 * kMoonAlbedo * moon_size.x * moon_size.x * phase;
+  }
+  // Radiance reflected by the moon towards the given view direction, which
+  // must be inside the moon disk, outside the atmosphere.
+  vec3 GetMoonRadiance(vec3 view_direction) {
+  vec3 u = (view_direction - moon_direction * dot(view_direction, moon_direction)) /
+    (moon_size.x * moon_size.y);
+  vec3 normal = u - moon_direction * sqrt(max(1.0 - dot(u, u), 0.0));
+  // Solar irradiance times the moon BRDF (albedo / PI).
+  return GetSolarRadiance() * sun_size.x * sun_size.x * kMoonAlbedo *
+    max(dot(normal, sun_direction), 0.0);
+  }
+  // Radiance of a Lambertian surface lit by the moon, with the given albedo.
+  vec3 GetMoonlitRadiance(vec3 point, vec3 normal, vec3 albedo) {
+  vec3 sky_irradiance;
+  vec3 moon_irradiance = GetSunAndSkyIrradiance(
+    point - earth_center, normal, moon_direction, sky_irradiance);
+  return albedo * (1.0 / PI) * GetMoonIrradianceFactor() *
+    (moon_irradiance + sky_irradiance);
+  }
+  #endif
+  #if defined(STARS) || defined(MILKY_WAY)
+  // Rotation from the equatorial coordinates to the scene coordinates.
+  uniform mat3 star_rotation;
+  #endif
+  #ifdef STARS
+  // See createStarTexture() in stars.js.
+  uniform sampler2D star_texture;
+  uniform float star_brightness;
+  // Radiance of the stars in the given view direction, outside the atmosphere.
+  // Each star is drawn as a Gaussian spot of about one pixel, whose integral is
+  // the star irradiance.
+  vec3 GetStarRadiance(vec3 view_direction, float fragment_angular_size) {
+  vec3 direction = view_direction * star_rotation;
+  float sigma = max(fragment_angular_size, 1e-4);
+  float sigma_squared = sigma * sigma;
+  vec3 radiance = vec3(0.0);
+  int num_stars = textureSize(star_texture, 0).x;
+  for (int i = 0; i < num_stars; ++i) {
+    vec3 d = direction - texelFetch(star_texture, ivec2(i, 0), 0).xyz;
+    float d_squared = dot(d, d);
+    if (d_squared < 16.0 * sigma_squared) {
+      radiance += texelFetch(star_texture, ivec2(i, 1), 0).rgb *
+        exp(-0.5 * d_squared / sigma_squared);
+    }
+  }
+  // Solar irradiance times the normalization factor of the Gaussian spots.
+  return GetSolarRadiance() * sun_size.x * sun_size.x /
+    (2.0 * sigma_squared) * star_brightness * radiance;
+  }
+  #endif
+  #ifdef MILKY_WAY
+  // Equirectangular map in equatorial coordinates (the right ascension
+  // increasing with u, and the declination with v), whose values are the
+  // Milky Way radiance relative to the solar irradiance, divided by
+  // milky_way_brightness.
+  uniform sampler2D milky_way_texture;
+  uniform float milky_way_brightness;
+  vec3 GetMilkyWayRadiance(vec3 view_direction) {
+  vec3 direction = view_direction * star_rotation;
+  vec2 uv = vec2(atan(direction.y, direction.x) / (2.0 * PI) + 0.5,
+    asin(clamp(direction.z, -1.0, 1.0)) / PI + 0.5);
+  return GetSolarRadiance() * PI * sun_size.x * sun_size.x *
+    milky_way_brightness * textureLod(milky_way_texture, uv, 0.0).rgb;
+  }
+  #endif
+  #ifdef CLOUDS
+  // A ray marched cloud layer between two altitudes (in length units), lit by
+  // the sun light transmitted by the atmosphere and by the sky irradiance, and
+  // whose density is given by a procedural fractal noise.
+  uniform vec2 cloud_altitude;
+  uniform float cloud_coverage;
+  uniform float cloud_density;
+  uniform float cloud_noise_scale;
+  uniform vec3 cloud_offset;
+  uniform float cloud_max_distance;
+  #ifndef CLOUD_STEPS
+  #define CLOUD_STEPS 48
+  #endif
+  #ifndef CLOUD_LIGHT_STEPS
+  #define CLOUD_LIGHT_STEPS 6
+  #endif
+  float CloudHash(vec3 p) {
+  p = fract(p * 0.3183099 + 0.1) * 17.0;
+  return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+  }
+  float CloudNoise(vec3 x) {
+  vec3 i = floor(x);
+  vec3 f = fract(x);
+  f = f * f * (3.0 - 2.0 * f);
+  return mix(
+    mix(mix(CloudHash(i), CloudHash(i + vec3(1.0, 0.0, 0.0)), f.x),
+      mix(CloudHash(i + vec3(0.0, 1.0, 0.0)),
+        CloudHash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+    mix(mix(CloudHash(i + vec3(0.0, 0.0, 1.0)),
+        CloudHash(i + vec3(1.0, 0.0, 1.0)), f.x),
+      mix(CloudHash(i + vec3(0.0, 1.0, 1.0)), CloudHash(i + vec3(1.0)), f.x),
+      f.y),
+    f.z);
+  }
+  // Extinction coefficient of the clouds at the given point (in inverse length
+  // units). The clouds have a unit single scattering albedo.
+  float GetCloudDensity(vec3 point) {
+  float altitude = length(point - earth_center) - ATMOSPHERE.bottom_radius;
+  float h = (altitude - cloud_altitude.x) / (cloud_altitude.y - cloud_altitude.x);
+  if (h <= 0.0 || h >= 1.0) {
+    return 0.0;
+  }
+  vec3 p = (point + cloud_offset) / cloud_noise_scale;
+  float noise = 0.5 * CloudNoise(p) + 0.25 * CloudNoise(p * 2.03) +
+    0.125 * CloudNoise(p * 4.01) + 0.0625 * CloudNoise(p * 8.05);
+  // Rounded cloud bottoms and tops.
+  float profile = 4.0 * h * (1.0 - h);
+  return cloud_density *
+    clamp((noise * profile - 1.0 + cloud_coverage) * 4.0, 0.0, 1.0);
+  }
+  // Distances to the intersections of a ray with a sphere centered on the
+  // planet center, or (-1, -1) if there is no intersection.
+  vec2 GetCloudSphereIntersections(vec3 p, vec3 v, float radius) {
+  float p_dot_v = dot(p, v);
+  float discriminant = p_dot_v * p_dot_v - dot(p, p) + radius * radius;
+  if (discriminant < 0.0) {
+    return vec2(-1.0);
+  }
+  float s = sqrt(discriminant);
+  return vec2(-p_dot_v - s, -p_dot_v + s);
+  }
+  float CloudPhaseFunction(float g, float nu) {
+  float k = 1.0 + g * g - 2.0 * g * nu;
+  return (1.0 - g * g) / (4.0 * PI * k * sqrt(k));
+  }
+  // Radiance scattered towards -view_direction at the given cloud point, for
+  // the given light direction. The light is the sun light transmitted by the
+  // atmosphere (with GetTransmittanceToSun) and then by the clouds, plus the
+  // sky irradiance (with GetIrradiance), which is assumed isotropic.
+  vec3 GetCloudScatteredRadiance(vec3 point, vec3 view_direction,
+    vec3 light_direction) {
+  vec3 p = point - earth_center;
+  float r = length(p);
+  float mu_s = dot(p, light_direction) / r;
+  vec3 sun_irradiance = ATMOSPHERE.solar_irradiance * GetTransmittanceToSun(
+    ATMOSPHERE, transmittance_texture, r, mu_s);
+  vec3 sky_irradiance = GetIrradiance(ATMOSPHERE, irradiance_texture, r, mu_s);
+  #ifdef USE_LUMINANCE
+  sun_irradiance *= SUN_SPECTRAL_RADIANCE_TO_LUMINANCE;
+  sky_irradiance *= SKY_SPECTRAL_RADIANCE_TO_LUMINANCE;
+  #endif
+  float light_step = (cloud_altitude.y - cloud_altitude.x) /
+    float(CLOUD_LIGHT_STEPS);
+  float optical_depth = 0.0;
+  for (int i = 0; i < CLOUD_LIGHT_STEPS; ++i) {
+    optical_depth += GetCloudDensity(
+      point + light_direction * (float(i) + 0.5) * light_step) * light_step;
+  }
+  float nu = dot(view_direction, light_direction);
+  // A forward and a backward scattering lobe, and a lower extinction for the
+  // multiple scattering, to avoid too dark clouds.
+  float phase = mix(CloudPhaseFunction(-0.2, nu), CloudPhaseFunction(0.6, nu), 0.7);
+  float sun_transmittance =
+    exp(-optical_depth) + 0.25 * exp(-0.25 * optical_depth);
+  // The sky radiance is about sky_irradiance / PI on the upper hemisphere.
+  return sun_irradiance * phase * sun_transmittance +
+    sky_irradiance * (1.0 / (2.0 * PI));
+  }
+  // Returns the radiance of the clouds along the given view ray, up to the given
+  // distance (including the aerial perspective between the camera and the
+  // clouds), and the transmittance through the clouds (in the alpha channel).
+  vec4 GetCloudRadiance(vec3 view_direction, float max_distance) {
+  vec3 p = camera - earth_center;
+  float r = length(p);
+  float bottom_radius = ATMOSPHERE.bottom_radius + cloud_altitude.x;
+  float top_radius = ATMOSPHERE.bottom_radius + cloud_altitude.y;
+  vec2 top = GetCloudSphereIntersections(p, view_direction, top_radius);
+  if (top.y < 0.0) {
+    return vec4(vec3(0.0), 1.0);
+  }
+  vec2 bottom = GetCloudSphereIntersections(p, view_direction, bottom_radius);
+  float start;
+  float end;
+  if (r < bottom_radius) {
+    start = bottom.y;
+    end = top.y;
+  } else {
+    start = max(top.x, 0.0);
+    end = bottom.x > 0.0 ? bottom.x : top.y;
+  }
+  end = min(end, min(max_distance, cloud_max_distance));
+  if (end <= start) {
+    return vec4(vec3(0.0), 1.0);
+  }
+  float dt = (end - start) / float(CLOUD_STEPS);
+  // Jitter the samples to replace banding with noise.
+  float t = start + dt * CloudHash(vec3(gl_FragCoord.xy, 0.0));
+  vec3 radiance = vec3(0.0);
+  float transmittance = 1.0;
+  float distance_sum = 0.0;
+  float weight_sum = 0.0;
+  for (int i = 0; i < CLOUD_STEPS; ++i) {
+    vec3 point = camera + view_direction * t;
+    float density = GetCloudDensity(point);
+    if (density > 0.0) {
+      vec3 scattered =
+        GetCloudScatteredRadiance(point, view_direction, sun_direction);
+      #ifdef MOON
+      scattered += GetMoonIrradianceFactor() *
+        GetCloudScatteredRadiance(point, view_direction, moon_direction);
+      #endif
+      // Energy conserving integration of the in-scattered light over the step
+      // (see Hillaire 2016, "Physically Based Sky, Atmosphere and Cloud
+      // Rendering in Frostbite").
+      float step_transmittance = exp(-density * dt);
+      radiance += transmittance * scattered * (1.0 - step_transmittance);
+      float weight = transmittance * (1.0 - step_transmittance);
+      distance_sum += t * weight;
+      weight_sum += weight;
+      transmittance *= step_transmittance;
+      if (transmittance < 0.01) {
+        break;
+      }
+    }
+    t += dt;
+  }
+  if (weight_sum > 0.0) {
+    // Aerial perspective, at the mean distance of the visible cloud parts.
+    vec3 cloud_point = camera + view_direction * (distance_sum / weight_sum);
+    vec3 aerial_transmittance;
+    vec3 in_scatter = GetSkyRadianceToPoint(camera - earth_center,
+      cloud_point - earth_center, 0.0, sun_direction, aerial_transmittance);
+    radiance = radiance * aerial_transmittance +
+      in_scatter * (1.0 - transmittance);
+  }
+  return vec4(radiance, transmittance);
+  }
+  #endif
+  #ifdef DEMO_SPHERE
   float GetSunVisibility(vec3 point, vec3 sun_direction) {
   vec3 p = point - kSphereCenter;
   float p_dot_v = dot(p, sun_direction);
@@ -1114,6 +1596,32 @@ export const fragmentShader = /* glsl */ `
     d_out = 0.0;
   }
   }
+  #else
+  // Without the demo sphere there are no shadows on the ground, and no light
+  // shafts in the atmosphere (unless LIGHT_SHAFTS is defined).
+  float GetSunVisibility(vec3 point, vec3 sun_direction) {
+  return 1.0;
+  }
+  float GetSkyVisibility(vec3 point) {
+  return 1.0;
+  }
+  void GetSphereShadowInOut(vec3 view_direction, vec3 sun_direction,
+    out float d_in, out float d_out) {
+  d_in = 0.0;
+  d_out = 0.0;
+  }
+  #endif
+  // Length of the part of the view ray in shadow, up to the given distance, from
+  // the sun shadow map if LIGHT_SHAFTS is defined, or from the analytic shadow
+  // volume of the demo sphere otherwise.
+  float GetViewRayShadowLength(vec3 view_direction, float shadow_in,
+    float shadow_out, float max_distance) {
+  #ifdef LIGHT_SHAFTS
+  return GetShadowLength(camera, view_direction, max_distance);
+  #else
+  return max(0.0, min(shadow_out, max_distance) - shadow_in);
+  #endif
+  }
   void main() {
   vec3 view_direction = normalize(view_ray);
   float fragment_angular_size =
@@ -1123,20 +1631,23 @@ export const fragmentShader = /* glsl */ `
   GetSphereShadowInOut(view_direction, sun_direction, shadow_in, shadow_out);
   float lightshaft_fadein_hack = smoothstep(
     0.02, 0.04, dot(normalize(camera - earth_center), sun_direction));
+  float sphere_alpha = 0.0;
+  float sphere_distance = 1e9;
+  vec3 sphere_radiance = vec3(0.0);
+  #ifdef DEMO_SPHERE
   vec3 p = camera - kSphereCenter;
   float p_dot_v = dot(p, view_direction);
   float p_dot_p = dot(p, p);
   float ray_sphere_center_squared_distance = p_dot_p - p_dot_v * p_dot_v;
   float distance_to_intersection = -p_dot_v - sqrt(
     kSphereRadius * kSphereRadius - ray_sphere_center_squared_distance);
-  float sphere_alpha = 0.0;
-  vec3 sphere_radiance = vec3(0.0);
   if (distance_to_intersection > 0.0) {
     float ray_sphere_distance =
       kSphereRadius - sqrt(ray_sphere_center_squared_distance);
     float ray_sphere_angular_distance = -ray_sphere_distance / p_dot_v;
     sphere_alpha =
       min(ray_sphere_angular_distance / fragment_angular_size, 1.0);
+    sphere_distance = distance_to_intersection;
     vec3 point = camera + view_direction * distance_to_intersection;
     vec3 normal = normalize(point - kSphereCenter);
     vec3 sky_irradiance;
@@ -1144,20 +1655,32 @@ export const fragmentShader = /* glsl */ `
       point - earth_center, normal, sun_direction, sky_irradiance);
     sphere_radiance =
       kSphereAlbedo * (1.0 / PI) * (sun_irradiance + sky_irradiance);
-    float shadow_length =
-      max(0.0, min(shadow_out, distance_to_intersection) - shadow_in) *
-      lightshaft_fadein_hack;
+    float shadow_length = GetViewRayShadowLength(view_direction, shadow_in,
+      shadow_out, distance_to_intersection) * lightshaft_fadein_hack;
     vec3 transmittance;
     vec3 in_scatter = GetSkyRadianceToPoint(camera - earth_center,
       point - earth_center, shadow_length, sun_direction, transmittance);
+    #ifdef MOON
+    sphere_radiance += GetMoonlitRadiance(point, normal, kSphereAlbedo);
+    in_scatter += GetMoonIrradianceFactor() * GetSkyRadianceToPoint(
+      camera - earth_center, point - earth_center, 0.0, moon_direction,
+      transmittance);
+    #endif
     sphere_radiance = sphere_radiance * transmittance + in_scatter;
   }
   p = camera - earth_center;
   p_dot_v = dot(p, view_direction);
   p_dot_p = dot(p, p);
+  #else
+  vec3 p = camera - earth_center;
+  float p_dot_v = dot(p, view_direction);
+  float p_dot_p = dot(p, p);
+  float distance_to_intersection;
+  #endif
   float ray_earth_center_squared_distance = p_dot_p - p_dot_v * p_dot_v;
   distance_to_intersection = -p_dot_v - sqrt(
-    earth_center.z * earth_center.z - ray_earth_center_squared_distance);
+    ATMOSPHERE.bottom_radius * ATMOSPHERE.bottom_radius -
+    ray_earth_center_squared_distance);
   float ground_alpha = 0.0;
   vec3 ground_radiance = vec3(0.0);
   if (distance_to_intersection > 0.0) {
@@ -1169,28 +1692,339 @@ export const fragmentShader = /* glsl */ `
     ground_radiance = kGroundAlbedo * (1.0 / PI) * (
       sun_irradiance * GetSunVisibility(point, sun_direction) +
       sky_irradiance * GetSkyVisibility(point));
-    float shadow_length =
-      max(0.0, min(shadow_out, distance_to_intersection) - shadow_in) *
-      lightshaft_fadein_hack;
+    float shadow_length = GetViewRayShadowLength(view_direction, shadow_in,
+      shadow_out, distance_to_intersection) * lightshaft_fadein_hack;
     vec3 transmittance;
     vec3 in_scatter = GetSkyRadianceToPoint(camera - earth_center,
       point - earth_center, shadow_length, sun_direction, transmittance);
+    #ifdef MOON
+    ground_radiance += GetMoonlitRadiance(point, normal, kGroundAlbedo);
+    in_scatter += GetMoonIrradianceFactor() * GetSkyRadianceToPoint(
+      camera - earth_center, point - earth_center, 0.0, moon_direction,
+      transmittance);
+    #endif
     ground_radiance = ground_radiance * transmittance + in_scatter;
     ground_alpha = 1.0;
   }
-  float shadow_length = max(0.0, shadow_out - shadow_in) *
-    lightshaft_fadein_hack;
+  float shadow_length = GetViewRayShadowLength(view_direction, shadow_in,
+    shadow_out, 1e9) * lightshaft_fadein_hack;
   vec3 transmittance;
   vec3 radiance = GetSkyRadiance(
     camera - earth_center, view_direction, shadow_length, sun_direction,
     transmittance);
+  #ifdef MOON
+  radiance += GetMoonIrradianceFactor() * GetSkyRadiance(
+    camera - earth_center, view_direction, 0.0, moon_direction, transmittance);
+  #endif
+  // The stars and the Milky Way are behind the atmosphere, and are therefore
+  // attenuated by its transmittance. They are only visible when the sky
+  // radiance becomes comparable to theirs, i.e. at night.
+  #ifdef STARS
+  radiance += transmittance *
+    GetStarRadiance(view_direction, fragment_angular_size);
+  #endif
+  #ifdef MILKY_WAY
+  radiance += transmittance * GetMilkyWayRadiance(view_direction);
+  #endif
+  #ifndef NO_SUN_DISK
   if (dot(view_direction, sun_direction) > sun_size.y) {
     radiance = radiance + transmittance * GetSolarRadiance();
   }
+  #ifdef MOON
+  if (dot(view_direction, moon_direction) > moon_size.y) {
+    radiance = radiance + transmittance * GetMoonRadiance(view_direction);
+  }
+  #endif
+  #endif
   radiance = mix(radiance, ground_radiance, ground_alpha);
   radiance = mix(radiance, sphere_radiance, sphere_alpha);
-  color.rgb = 
-    pow(vec3(1.0) - exp(-radiance / white_point * exposure), vec3(1.0 / 2.2));
+  #ifdef CLOUDS
+  // The clouds are in front of the sky, and of the ground and sphere beyond
+  // them.
+  vec4 clouds = GetCloudRadiance(view_direction, min(sphere_distance,
+    ground_alpha > 0.0 ? distance_to_intersection : 1e9));
+  radiance = clouds.rgb + clouds.a * radiance;
+  #endif
+  #ifdef RADIANCE_OUTPUT
+  // Linear radiance, e.g. for environment maps (see SkyEnvironment).
+  color.rgb = radiance;
+  #else
+  color.rgb = AtmosphereOutputEncoding(AtmosphereToneMapping(
+    radiance / white_point * exposure * tone_mapping_exposure));
+  #endif
   color.a = 1.0;
   }
 `
+
+export const fragmentShader = createFragmentShader(new AtmosphereParameters());
+
+// Shaders of AerialPerspectivePass, which applies the aerial perspective to an
+// already rendered scene, using its depth buffer to reconstruct the world space
+// position of each pixel, and which renders the sky where there is no object.
+export const aerialPerspectiveVertexShader = /* glsl */ `
+  layout(location = 0) in vec3 position;
+  layout(location = 1) in vec2 uv;
+  out vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`
+
+export const createAerialPerspectiveShader = (parameters) => /* glsl */ `
+  ${createAtmosphereShader(parameters)}
+  precision highp sampler2D;
+  uniform sampler2D color_texture;
+  uniform sampler2D depth_texture;
+  uniform mat4 inverse_projection_matrix;
+  uniform mat4 camera_world_matrix;
+  uniform vec3 camera;
+  uniform float exposure;
+  uniform vec3 white_point;
+  uniform vec3 earth_center;
+  uniform vec3 sun_direction;
+  uniform vec2 sun_size;
+  in vec2 vUv;
+  layout(location = 0) out vec4 color;
+  ${toneMappingShader}
+  #ifdef USE_LUMINANCE
+  #define GetSolarRadiance GetSolarLuminance
+  #define GetSkyRadiance GetSkyLuminance
+  #define GetSkyRadianceToPoint GetSkyLuminanceToPoint
+  #endif
+  vec3 GetSolarRadiance();
+  vec3 GetSkyRadiance(vec3 camera, vec3 view_ray, float shadow_length,
+    vec3 sun_direction, out vec3 transmittance);
+  vec3 GetSkyRadianceToPoint(vec3 camera, vec3 point, float shadow_length,
+    vec3 sun_direction, out vec3 transmittance);
+  ${lightShaftsShader}
+  void main() {
+  float depth = texture(depth_texture, vUv).r;
+  vec4 view_position =
+    inverse_projection_matrix * vec4(vec3(vUv, depth) * 2.0 - 1.0, 1.0);
+  view_position /= view_position.w;
+  vec3 point = (camera_world_matrix * view_position).xyz;
+  vec3 view_direction = normalize(point - camera);
+  float shadow_length = 0.0;
+  #ifdef LIGHT_SHAFTS
+  // See the lightshaft_fadein_hack in the sky fragment shader.
+  shadow_length = GetShadowLength(camera, view_direction,
+    depth >= 1.0 ? 1e9 : distance(camera, point)) * smoothstep(
+      0.02, 0.04, dot(normalize(camera - earth_center), sun_direction));
+  #endif
+  vec3 transmittance;
+  vec3 radiance;
+  if (depth >= 1.0) {
+    radiance = GetSkyRadiance(camera - earth_center, view_direction,
+      shadow_length, sun_direction, transmittance);
+    if (dot(view_direction, sun_direction) > sun_size.y) {
+      radiance = radiance + transmittance * GetSolarRadiance();
+    }
+  } else {
+    vec3 in_scatter = GetSkyRadianceToPoint(camera - earth_center,
+      point - earth_center, shadow_length, sun_direction, transmittance);
+    radiance = texture(color_texture, vUv).rgb * transmittance + in_scatter;
+  }
+  // Same tone mapping as in fragmentShader, but with a linear output
+  // (OutputPass does the conversion to the output color space).
+  color.rgb = AtmosphereToneMapping(radiance / white_point * exposure);
+  color.a = 1.0;
+  }
+`
+
+// Shaders of AutoExposure, which measures the average luminance of a radiance
+// image. The first one computes the weighted log luminance of each pixel, with
+// the weights of the METERING_MODE (0 for average, 1 for center weighted and 2
+// for spot metering), and stores it with the weight. The second one reduces an
+// image by a factor of 2 in each dimension, by averaging 2x2 pixels (the final
+// 1x1 image thus contains the weighted mean of the log luminance in its red
+// channel, times the mean weight in its green channel).
+export const logLuminanceShader = /* glsl */ `
+  precision highp float;
+  precision highp sampler2D;
+  uniform sampler2D radiance_texture;
+  uniform float spot_size;
+  layout(location = 0) out vec4 color;
+  void main() {
+  ivec2 size = textureSize(radiance_texture, 0);
+  vec2 d = gl_FragCoord.xy / vec2(size) - vec2(0.5);
+  vec3 radiance = texelFetch(radiance_texture, ivec2(gl_FragCoord.xy), 0).rgb;
+  float luminance = dot(radiance, vec3(0.2126, 0.7152, 0.0722));
+  #if METERING_MODE == 1
+  float weight = exp(-dot(d, d) / (2.0 * 0.2 * 0.2));
+  #elif METERING_MODE == 2
+  float weight = length(d) < 0.5 * spot_size ? 1.0 : 0.0;
+  #else
+  float weight = 1.0;
+  #endif
+  color = vec4(weight * log(max(luminance, 1e-20)), weight, 0.0, 1.0);
+  }
+`
+
+export const reduceLuminanceShader = /* glsl */ `
+  precision highp float;
+  precision highp sampler2D;
+  uniform sampler2D input_texture;
+  layout(location = 0) out vec4 color;
+  void main() {
+  ivec2 p = 2 * ivec2(gl_FragCoord.xy);
+  color = 0.25 * (texelFetch(input_texture, p, 0) +
+    texelFetch(input_texture, p + ivec2(1, 0), 0) +
+    texelFetch(input_texture, p + ivec2(0, 1), 0) +
+    texelFetch(input_texture, p + ivec2(1, 1), 0));
+  }
+`
+
+// Shaders used by Model to precompute the lookup textures on the GPU. They are
+// direct transcriptions of the compute shaders of the original model.cc, except
+// that each pass writes a single output (three.js 3D render targets only have
+// one color attachment), and that the accumulation into the final scattering
+// and irradiance textures is done in separate passes with additive blending.
+// The atmosphere spectra are those at the 3 given wavelengths (RGB_WAVELENGTHS
+// by default), which change with each group of precomputed wavelengths.
+
+export const computeVertexShader = /* glsl */ `
+  layout(location = 0) in vec4 position;
+  void main() {
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`
+
+export const computeTransmittanceShader = (parameters, lambdas) => /* glsl */ `
+  ${atmosphereFunctions(parameters, lambdas)}
+  layout(location = 0) out vec4 transmittance;
+  void main() {
+    transmittance = vec4(ComputeTransmittanceToTopAtmosphereBoundaryTexture(
+        ATMOSPHERE, gl_FragCoord.xy), 1.0);
+  }
+`
+
+export const computeDirectIrradianceShader = (parameters, lambdas) => /* glsl */ `
+  ${atmosphereFunctions(parameters, lambdas)}
+  uniform sampler2D transmittance_texture;
+  layout(location = 0) out vec4 delta_irradiance;
+  void main() {
+    delta_irradiance = vec4(ComputeDirectIrradianceTexture(
+        ATMOSPHERE, transmittance_texture, gl_FragCoord.xy), 1.0);
+  }
+`
+
+// Writes the single Rayleigh scattering, or the single Mie scattering if
+// COMPUTE_MIE is defined.
+export const computeSingleScatteringShader = (parameters, lambdas) => /* glsl */ `
+  ${atmosphereFunctions(parameters, lambdas)}
+  uniform sampler2D transmittance_texture;
+  uniform int layer;
+  layout(location = 0) out vec4 delta_scattering;
+  void main() {
+    vec3 delta_rayleigh;
+    vec3 delta_mie;
+    ComputeSingleScatteringTexture(ATMOSPHERE, transmittance_texture,
+        vec3(gl_FragCoord.xy, float(layer) + 0.5), delta_rayleigh, delta_mie);
+  #ifdef COMPUTE_MIE
+    delta_scattering = vec4(delta_mie, 1.0);
+  #else
+    delta_scattering = vec4(delta_rayleigh, 1.0);
+  #endif
+  }
+`
+
+export const computeScatteringDensityShader = (parameters, lambdas) => /* glsl */ `
+  ${atmosphereFunctions(parameters, lambdas)}
+  uniform sampler2D transmittance_texture;
+  uniform sampler3D single_rayleigh_scattering_texture;
+  uniform sampler3D single_mie_scattering_texture;
+  uniform sampler3D multiple_scattering_texture;
+  uniform sampler2D irradiance_texture;
+  uniform int scattering_order;
+  uniform int layer;
+  layout(location = 0) out vec4 scattering_density;
+  void main() {
+    scattering_density = vec4(ComputeScatteringDensityTexture(
+        ATMOSPHERE, transmittance_texture, single_rayleigh_scattering_texture,
+        single_mie_scattering_texture, multiple_scattering_texture,
+        irradiance_texture, vec3(gl_FragCoord.xy, float(layer) + 0.5),
+        scattering_order), 1.0);
+  }
+`
+
+export const computeIndirectIrradianceShader = (parameters, lambdas) => /* glsl */ `
+  ${atmosphereFunctions(parameters, lambdas)}
+  uniform sampler3D single_rayleigh_scattering_texture;
+  uniform sampler3D single_mie_scattering_texture;
+  uniform sampler3D multiple_scattering_texture;
+  uniform int scattering_order;
+  layout(location = 0) out vec4 delta_irradiance;
+  void main() {
+    delta_irradiance = vec4(ComputeIndirectIrradianceTexture(
+        ATMOSPHERE, single_rayleigh_scattering_texture,
+        single_mie_scattering_texture, multiple_scattering_texture,
+        gl_FragCoord.xy, scattering_order), 1.0);
+  }
+`
+
+export const computeMultipleScatteringShader = (parameters, lambdas) => /* glsl */ `
+  ${atmosphereFunctions(parameters, lambdas)}
+  uniform sampler2D transmittance_texture;
+  uniform sampler3D scattering_density_texture;
+  uniform int layer;
+  layout(location = 0) out vec4 delta_multiple_scattering;
+  void main() {
+    float nu;
+    delta_multiple_scattering = vec4(ComputeMultipleScatteringTexture(
+        ATMOSPHERE, transmittance_texture, scattering_density_texture,
+        vec3(gl_FragCoord.xy, float(layer) + 0.5), nu), 1.0);
+  }
+`
+
+export const accumulateIrradianceShader = /* glsl */ `
+  precision highp float;
+  uniform mat3 luminance_from_radiance;
+  uniform sampler2D delta_irradiance_texture;
+  layout(location = 0) out vec4 irradiance;
+  void main() {
+    irradiance = vec4(luminance_from_radiance *
+        texelFetch(delta_irradiance_texture, ivec2(gl_FragCoord.xy), 0).rgb,
+        0.0);
+  }
+`
+
+export const accumulateSingleScatteringShader = /* glsl */ `
+  precision highp float;
+  precision highp sampler3D;
+  uniform mat3 luminance_from_radiance;
+  uniform sampler3D delta_rayleigh_scattering_texture;
+  uniform sampler3D delta_mie_scattering_texture;
+  uniform int layer;
+  layout(location = 0) out vec4 scattering;
+  void main() {
+    ivec3 texel = ivec3(gl_FragCoord.xy, layer);
+    vec3 delta_rayleigh =
+        texelFetch(delta_rayleigh_scattering_texture, texel, 0).rgb;
+    vec3 delta_mie = texelFetch(delta_mie_scattering_texture, texel, 0).rgb;
+    scattering = vec4(luminance_from_radiance * delta_rayleigh,
+        (luminance_from_radiance * delta_mie).r);
+  }
+`
+
+export const accumulateMultipleScatteringShader = (parameters, lambdas) => /* glsl */ `
+  ${atmosphereFunctions(parameters, lambdas)}
+  uniform mat3 luminance_from_radiance;
+  uniform sampler3D delta_multiple_scattering_texture;
+  uniform int layer;
+  layout(location = 0) out vec4 scattering;
+  void main() {
+    vec3 frag_coord = vec3(gl_FragCoord.xy, float(layer) + 0.5);
+    Length r;
+    Number mu;
+    Number mu_s;
+    Number nu;
+    bool ray_r_mu_intersects_ground;
+    GetRMuMuSNuFromScatteringTextureFragCoord(ATMOSPHERE, frag_coord,
+        r, mu, mu_s, nu, ray_r_mu_intersects_ground);
+    vec3 delta_multiple_scattering = texelFetch(
+        delta_multiple_scattering_texture, ivec3(frag_coord), 0).rgb;
+    scattering = vec4(luminance_from_radiance * delta_multiple_scattering /
+        RayleighPhaseFunction(nu), 0.0);
+  }
+`
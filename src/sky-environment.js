@@ -0,0 +1,130 @@
+// Environment map of the sky of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+import { AtmosphereSky } from './atmosphere-sky.js'
+
+// Renders the sky of the given AtmosphereSky in a cube map, from a probe
+// position (in world space), and prefilters it with a PMREMGenerator, for the
+// image based lighting of physically based materials (scene.environment) and,
+// optionally, for the background (scene.background).
+//
+// The environment contains the linear sky radiance, without the sun and moon
+// disks (use AtmosphereLights for the sun and the moon). It is updated by
+// update(), but only if the sun or moon direction, the planet center or the
+// probe position changed, and at most every 'minUpdateInterval' milliseconds,
+// so that update() can be called every frame. Use update(true) after changing
+// the cloud parameters of the sky. The environment uses the luminance mode of
+// the sky (see AtmosphereSky.setLuminance()), its scattering texture (see
+// AtmosphereSky.setScatteringTexture()) and its cloud layer, if enabled (see
+// AtmosphereSky.setCloudsEnabled()), and is re-rendered when they change.
+export class SkyEnvironment {
+  constructor(renderer, sky, {
+    size = 128,
+    position = new THREE.Vector3(),
+    minUpdateInterval = 100
+  } = {}) {
+    this.renderer = renderer;
+    this.position = position.clone();
+    this.minUpdateInterval = minUpdateInterval;
+    this.sourceSky = sky;
+
+    this.sky = new AtmosphereSky({
+      parameters: sky.parameters,
+      transmittanceTexture: sky.transmittanceTexture,
+      scatteringTexture:
+        sky.singleScatteringFallback ? null : sky.scatteringTexture,
+      irradianceTexture: sky.irradianceTexture,
+      sunDisk: false,
+      radianceOutput: true,
+      luminance: sky.luminance,
+      moon: 'MOON' in sky.material.defines,
+      clouds: sky.cloudsEnabled
+    });
+    // Share the sun and moon directions, the planet center and the clouds with
+    // the main sky.
+    for (const name of Object.keys(sky.uniforms)) {
+      if (name == 'sun_direction' || name == 'moon_direction' ||
+          name == 'earth_center' || name.startsWith('cloud_')) {
+        this.sky.material.uniforms[name] = sky.uniforms[name];
+      }
+    }
+    this.scene = new THREE.Scene();
+    this.scene.add(this.sky);
+
+    this.cubeRenderTarget = new THREE.WebGLCubeRenderTarget(size, {
+      type: THREE.HalfFloatType,
+      generateMipmaps: false
+    });
+    this.cubeCamera = new THREE.CubeCamera(0.1, 1000, this.cubeRenderTarget);
+    this.scene.add(this.cubeCamera);
+    this.pmremGenerator = new THREE.PMREMGenerator(renderer);
+    this.pmremRenderTarget = null;
+
+    this.lastSunDirection = new THREE.Vector3();
+    this.lastMoonDirection = new THREE.Vector3();
+    this.lastEarthCenter = new THREE.Vector3();
+    this.lastPosition = new THREE.Vector3();
+    this.lastUpdateTime = -Infinity;
+    this.update(true);
+  }
+
+  // The prefiltered environment map, for scene.environment and
+  // scene.background. It is the same texture after each update.
+  get texture() {
+    return this.pmremRenderTarget.texture;
+  }
+
+  needsUpdate() {
+    const uniforms = this.sky.uniforms;
+    return !this.lastSunDirection.equals(uniforms.sun_direction.value) ||
+      !this.lastMoonDirection.equals(uniforms.moon_direction.value) ||
+      !this.lastEarthCenter.equals(uniforms.earth_center.value) ||
+      !this.lastPosition.equals(this.position);
+  }
+
+  // Re-renders the environment map if the sky changed since the last update
+  // (or if 'force' is true), and if the last update is old enough.
+  update(force = false) {
+    if (this.sky.luminance != this.sourceSky.luminance) {
+      this.sky.setLuminance(this.sourceSky.luminance);
+      force = true;
+    }
+    if (this.sky.cloudsEnabled != this.sourceSky.cloudsEnabled) {
+      this.sky.setCloudsEnabled(this.sourceSky.cloudsEnabled);
+      force = true;
+    }
+    if (this.sky.singleScatteringFallback &&
+        !this.sourceSky.singleScatteringFallback) {
+      this.sky.setScatteringTexture(this.sourceSky.scatteringTexture);
+      force = true;
+    }
+    const now = performance.now();
+    if (!force && (!this.needsUpdate() ||
+        now - this.lastUpdateTime < this.minUpdateInterval)) {
+      return false;
+    }
+    const uniforms = this.sky.uniforms;
+    this.lastSunDirection.copy(uniforms.sun_direction.value);
+    this.lastMoonDirection.copy(uniforms.moon_direction.value);
+    this.lastEarthCenter.copy(uniforms.earth_center.value);
+    this.lastPosition.copy(this.position);
+    this.lastUpdateTime = now;
+
+    this.cubeCamera.position.copy(this.position);
+    this.cubeCamera.updateMatrixWorld();
+    this.cubeCamera.update(this.renderer, this.scene);
+    this.pmremRenderTarget = this.pmremGenerator.fromCubemap(
+      this.cubeRenderTarget.texture, this.pmremRenderTarget);
+    return true;
+  }
+
+  dispose() {
+    this.sky.dispose();
+    this.cubeRenderTarget.dispose();
+    this.pmremGenerator.dispose();
+    if (this.pmremRenderTarget) {
+      this.pmremRenderTarget.dispose();
+    }
+  }
+}
@@ -0,0 +1,75 @@
+// Star field of the night sky of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+import { BRIGHT_STARS } from './bright-stars.js'
+import { RGB_WAVELENGTHS } from './spectrum.js'
+
+const DEG = Math.PI / 180;
+const SUN_MAGNITUDE = -26.74;
+const SUN_TEMPERATURE = 5778;
+// The wavelengths of the red, green and blue channels of the atmosphere model,
+// in meters.
+const WAVELENGTHS = RGB_WAVELENGTHS.map((lambda) => lambda * 1e-9);
+
+// Effective temperature of a star with the given B-V color index, from
+// Ballesteros 2012, "New insights into black bodies".
+function getTemperature(colorIndex) {
+  return 4600 * (1 / (0.92 * colorIndex + 1.7) + 1 / (0.92 * colorIndex + 0.62));
+}
+
+// Black body spectral radiance, up to a constant factor.
+function planck(wavelength, temperature) {
+  const kHcOverK = 0.014388; // h * c / k, in m.K.
+  return 1 / (Math.pow(wavelength, 5) *
+    (Math.exp(kHcOverK / (wavelength * temperature)) - 1));
+}
+
+// Returns the irradiance of a star with the given visual magnitude and B-V
+// color index, relative to the solar irradiance, for each wavelength. The star
+// and the sun are approximated with black bodies, with the same irradiance
+// ratio as their visual magnitudes at 550 nm.
+export function getStarIrradianceFactor(magnitude, colorIndex, out = [0, 0, 0]) {
+  const temperature = getTemperature(colorIndex);
+  const ratio = Math.pow(10, -0.4 * (magnitude - SUN_MAGNITUDE));
+  const reference = planck(WAVELENGTHS[1], temperature) /
+    planck(WAVELENGTHS[1], SUN_TEMPERATURE);
+  for (let i = 0; i < 3; ++i) {
+    out[i] = ratio * planck(WAVELENGTHS[i], temperature) /
+      planck(WAVELENGTHS[i], SUN_TEMPERATURE) / reference;
+  }
+  return out;
+}
+
+// Returns a texture with one column per star of the given catalogue (a list of
+// [right ascension, declination, magnitude, B-V color index] arrays, with
+// angles in degrees), containing the unit vector pointing to the star in
+// equatorial coordinates (x towards the vernal equinox, z towards the north
+// celestial pole) in the first row, and its irradiance relative to the solar
+// irradiance (see getStarIrradianceFactor()) in the second row.
+export function createStarTexture(stars = BRIGHT_STARS) {
+  if (stars.length == 0) {
+    throw new Error('Empty star catalogue');
+  }
+  const width = stars.length;
+  const data = new Float32Array(width * 2 * 4);
+  const irradiance = [0, 0, 0];
+  stars.forEach(([rightAscension, declination, magnitude, colorIndex], i) => {
+    const alpha = rightAscension * DEG;
+    const delta = declination * DEG;
+    data.set([
+      Math.cos(delta) * Math.cos(alpha),
+      Math.cos(delta) * Math.sin(alpha),
+      Math.sin(delta),
+      1
+    ], 4 * i);
+    getStarIrradianceFactor(magnitude, colorIndex, irradiance);
+    data.set([...irradiance, 1], 4 * (width + i));
+  });
+  const texture = new THREE.DataTexture(
+    data, width, 2, THREE.RGBAFormat, THREE.FloatType);
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
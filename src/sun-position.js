@@ -0,0 +1,168 @@
+// Position of the sun in the sky from a date and a geographic location, with
+// the algorithm of the NOAA solar calculator (based on "Astronomical
+// Algorithms" by Jean Meeus), which is accurate to about 0.01 degree between
+// the years 1901 and 2099 (see https://gml.noaa.gov/grad/solcalc/).
+
+const DEG = Math.PI / 180;
+
+function julianDay(date) {
+  return date.getTime() / 86400000 + 2440587.5;
+}
+
+function mod(x, y) {
+  return ((x % y) + y) % y;
+}
+
+// Atmospheric refraction, in degrees, for the given geometric elevation angle
+// (in degrees), at the given altitude (in meters). The NOAA formula is for the
+// standard pressure at sea level, and is scaled by the standard atmospheric
+// pressure at the given altitude.
+export function getAtmosphericRefraction(elevationAngle, altitude = 0) {
+  const e = elevationAngle;
+  const tanE = Math.tan(e * DEG);
+  let arcSeconds;
+  if (e > 85) {
+    arcSeconds = 0;
+  } else if (e > 5) {
+    arcSeconds = 58.1 / tanE - 0.07 / Math.pow(tanE, 3) +
+      0.000086 / Math.pow(tanE, 5);
+  } else if (e > -0.575) {
+    arcSeconds = 1735 + e * (-518.2 + e * (103.4 + e * (-12.79 + e * 0.711)));
+  } else {
+    arcSeconds = -20.772 / tanE;
+  }
+  const pressureRatio = Math.pow(1 - 2.25577e-5 * altitude, 5.25588);
+  return arcSeconds / 3600 * pressureRatio;
+}
+
+// Returns the position of the sun as seen from the given location at the given
+// date (a Date, i.e. a UTC timestamp). The latitude and longitude are in
+// degrees (positive to the north and to the east), and the altitude in meters
+// above sea level. The returned angles are in radians:
+// - zenithAngle: angle between the zenith and the sun (with the atmospheric
+//   refraction, unless 'refraction' is false),
+// - azimuthAngle: angle between the north and the sun, clockwise (i.e. towards
+//   the east),
+// - declination and hourAngle: equatorial coordinates of the sun.
+// The equation of time is returned too, in minutes.
+export function getSunPosition(date, latitude, longitude, altitude = 0,
+    { refraction = true } = {}) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+    throw new Error(`Invalid location: ${latitude}, ${longitude}`);
+  }
+  const jc = (julianDay(date) - 2451545) / 36525;
+
+  const geomMeanLongSun = mod(280.46646 + jc * (36000.76983 + jc * 0.0003032), 360);
+  const geomMeanAnomSun = 357.52911 + jc * (35999.05029 - 0.0001537 * jc);
+  const eccentEarthOrbit = 0.016708634 - jc * (0.000042037 + 0.0000001267 * jc);
+  const M = geomMeanAnomSun * DEG;
+  const sunEqOfCtr = Math.sin(M) * (1.914602 - jc * (0.004817 + 0.000014 * jc)) +
+    Math.sin(2 * M) * (0.019993 - 0.000101 * jc) + Math.sin(3 * M) * 0.000289;
+  const sunTrueLong = geomMeanLongSun + sunEqOfCtr;
+  const omega = (125.04 - 1934.136 * jc) * DEG;
+  const sunAppLong = sunTrueLong - 0.00569 - 0.00478 * Math.sin(omega);
+  const meanObliqEcliptic = 23 + (26 + (21.448 -
+    jc * (46.815 + jc * (0.00059 - jc * 0.001813))) / 60) / 60;
+  const obliqCorr = meanObliqEcliptic + 0.00256 * Math.cos(omega);
+  const declination = Math.asin(
+    Math.sin(obliqCorr * DEG) * Math.sin(sunAppLong * DEG));
+
+  const y = Math.pow(Math.tan(obliqCorr * DEG / 2), 2);
+  const L0 = geomMeanLongSun * DEG;
+  const e = eccentEarthOrbit;
+  const equationOfTime = 4 / DEG * (y * Math.sin(2 * L0) -
+    2 * e * Math.sin(M) + 4 * e * y * Math.sin(M) * Math.cos(2 * L0) -
+    0.5 * y * y * Math.sin(4 * L0) - 1.25 * e * e * Math.sin(2 * M));
+
+  const minutes = (date.getTime() / 60000) % 1440;
+  const trueSolarTime = mod(minutes + equationOfTime + 4 * longitude, 1440);
+  const hourAngle = (trueSolarTime / 4 < 0 ?
+    trueSolarTime / 4 + 180 : trueSolarTime / 4 - 180) * DEG;
+
+  const phi = latitude * DEG;
+  const cosZenith = Math.sin(phi) * Math.sin(declination) +
+    Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+  const zenith = Math.acos(Math.min(Math.max(cosZenith, -1), 1));
+  const cosAzimuth = (Math.sin(phi) * Math.cos(zenith) - Math.sin(declination)) /
+    (Math.cos(phi) * Math.sin(zenith));
+  const azimuth = Math.acos(Math.min(Math.max(cosAzimuth, -1), 1));
+  const azimuthAngle = hourAngle > 0 ?
+    mod(azimuth + Math.PI, 2 * Math.PI) : mod(3 * Math.PI - azimuth, 2 * Math.PI);
+
+  const elevation = 90 - zenith / DEG;
+  const zenithAngle = refraction ?
+    zenith - getAtmosphericRefraction(elevation, altitude) * DEG : zenith;
+  return { zenithAngle, azimuthAngle, declination, hourAngle, equationOfTime };
+}
+
+// Returns the local mean sidereal time at the given date (a Date, i.e. a UTC
+// timestamp) and longitude (in degrees, positive to the east), in radians. This
+// is the right ascension of the local meridian, which gives the orientation of
+// the celestial sphere (e.g. of the stars) in the local sky.
+export function getLocalSiderealTime(date, longitude) {
+  const jd = julianDay(date);
+  const T = (jd - 2451545) / 36525;
+  return mod(280.46061837 + 360.98564736629 * (jd - 2451545) +
+    0.000387933 * T * T + longitude, 360) * DEG;
+}
+
+// Returns the unit vector pointing to the sun, in a local frame where x points
+// to the east, y to the north and z to the zenith (the frame of the demo,
+// where the azimuth angle of the sun direction is measured from the x axis).
+export function getSunDirection(date, latitude, longitude, altitude = 0,
+    options = {}) {
+  const { zenithAngle, azimuthAngle } =
+    getSunPosition(date, latitude, longitude, altitude, options);
+  return {
+    x: Math.sin(zenithAngle) * Math.sin(azimuthAngle),
+    y: Math.sin(zenithAngle) * Math.cos(azimuthAngle),
+    z: Math.cos(zenithAngle)
+  };
+}
+
+// Zenith angle of the center of the sun at sunrise and sunset (the NOAA
+// convention, which includes the sun angular radius and the refraction at the
+// horizon), in radians.
+const SUNRISE_ZENITH_ANGLE = 90.833 * DEG;
+
+// Returns the sunrise and sunset times (Date objects) in the 24 hours following
+// the given start date, at the given location, or null for each of them if it
+// does not occur in this interval (e.g. during the polar day or night).
+export function getSunriseAndSunset(start, latitude, longitude) {
+  const kStep = 10 * 60000;
+  const startTime = start.getTime();
+  const elevationAt = (time) => SUNRISE_ZENITH_ANGLE - getSunPosition(
+    new Date(time), latitude, longitude, 0, { refraction: false }).zenithAngle;
+  let sunrise = null;
+  let sunset = null;
+  let t0 = startTime;
+  let e0 = elevationAt(t0);
+  for (let t1 = t0 + kStep; t1 <= startTime + 86400000; t1 += kStep) {
+    const e1 = elevationAt(t1);
+    if ((e0 < 0) != (e1 < 0)) {
+      // Refine the crossing time by bisection, to about one second.
+      let a = t0;
+      let b = t1;
+      while (b - a > 1000) {
+        const m = (a + b) / 2;
+        if ((elevationAt(m) < 0) == (e0 < 0)) {
+          a = m;
+        } else {
+          b = m;
+        }
+      }
+      const crossing = new Date(Math.round((a + b) / 2));
+      if (e0 < 0 && !sunrise) {
+        sunrise = crossing;
+      } else if (e0 >= 0 && !sunset) {
+        sunset = crossing;
+      }
+    }
+    t0 = t1;
+    e0 = e1;
+  }
+  return { sunrise, sunset };
+}
@@ -0,0 +1,83 @@
+// Shadow map of the scene objects, for the light shafts of the atmosphere of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+
+// Maps the [-1,1] clip space coordinates to the [0,1] texture coordinates.
+const BIAS_MATRIX = new THREE.Matrix4().set(
+  0.5, 0, 0, 0.5,
+  0, 0.5, 0, 0.5,
+  0, 0, 0.5, 0.5,
+  0, 0, 0, 1);
+
+// A depth map of the scene objects as seen from the sun, covering a sphere of
+// the given radius (in scene units) around a center point, used to compute the
+// light shafts of an AtmosphereSky (see its 'shadowMap' option). Only the
+// visible objects with castShadow are rendered in it, with their own geometry
+// (but not their own material).
+export class SunShadowMap {
+  constructor({ size = 1024, radius = 10 } = {}) {
+    if (!(radius > 0)) {
+      throw new Error(`Invalid shadow map radius: ${radius}`);
+    }
+    this.radius = radius;
+    this.depthTexture = new THREE.DepthTexture(size, size);
+    this.renderTarget = new THREE.WebGLRenderTarget(size, size, {
+      depthTexture: this.depthTexture
+    });
+    this.camera = new THREE.OrthographicCamera(
+      -radius, radius, radius, -radius, 0, 2 * radius);
+    this.material = new THREE.MeshBasicMaterial({ colorWrite: false });
+    // Transforms world positions to shadow map texture coordinates and depths.
+    this.matrix = new THREE.Matrix4();
+  }
+
+  // Renders the shadow casting objects of the given scene into the shadow map,
+  // as seen from the sun (in the direction of the given unit vector, pointing
+  // to the sun), around the given center of the shadow map area (in scene
+  // units).
+  update(renderer, scene, sunDirection, center = new THREE.Vector3()) {
+    const camera = this.camera;
+    camera.position.copy(sunDirection).multiplyScalar(this.radius).add(center);
+    camera.up.set(0, 0, 1);
+    if (Math.abs(sunDirection.z) > 0.99) {
+      camera.up.set(0, 1, 0);
+    }
+    camera.lookAt(center);
+    camera.updateMatrixWorld();
+
+    const hidden = [];
+    scene.traverseVisible((object) => {
+      if ((object.isMesh || object.isLine || object.isPoints) &&
+          !object.castShadow) {
+        object.visible = false;
+        hidden.push(object);
+      }
+    });
+    const background = scene.background;
+    const overrideMaterial = scene.overrideMaterial;
+    const renderTarget = renderer.getRenderTarget();
+    scene.background = null;
+    scene.overrideMaterial = this.material;
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.clear();
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(renderTarget);
+    scene.background = background;
+    scene.overrideMaterial = overrideMaterial;
+    for (const object of hidden) {
+      object.visible = true;
+    }
+
+    this.matrix.copy(BIAS_MATRIX)
+      .multiply(camera.projectionMatrix)
+      .multiply(camera.matrixWorldInverse);
+    return this;
+  }
+
+  dispose() {
+    this.renderTarget.dispose();
+    this.depthTexture.dispose();
+    this.material.dispose();
+  }
+}
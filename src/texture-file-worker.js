@@ -0,0 +1,13 @@
+// Web worker decoding the texture files of texture-file.js (decompression,
+// checksum and byte order conversion) off the main thread.
+// See shaders.js for license
+import { decodeTextureFile } from './texture-file.js'
+
+self.onmessage = async ({ data: { id, buffer } }) => {
+  try {
+    const file = await decodeTextureFile(buffer);
+    self.postMessage({ id, file }, [file.data.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
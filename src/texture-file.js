@@ -0,0 +1,275 @@
+// File format of the precomputed transmittance, scattering and irradiance
+// textures of https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+//
+// A texture file starts with a fixed size header (all integers are stored
+// with the endianness given at offset 4):
+//
+//  offset  size  content
+//       0     4  magic number, 'ALUT' in ASCII
+//       4     1  endianness: 0 for little endian, 1 for big endian
+//       5     1  bytes per channel: 4 for fp32, 2 for fp16
+//       6     2  format version (uint16)
+//       8     4  channel layout, in ASCII, padded with 0 (e.g. 'RGBA')
+//      12    12  width, height and depth (uint32), in texels
+//      24     4  metadata size (uint32), in bytes
+//      28     4  stored texel data size (uint32), in bytes
+//      32     4  CRC-32 of the metadata and stored texel data (uint32)
+//      36     1  texel data compression: 0 for none, 1 for gzip, 2 for
+//                deflate (since version 2, 0 in version 1)
+//      37     3  reserved, 0
+//
+// followed by the metadata, a UTF-8 JSON object padded with spaces to a
+// multiple of 4 bytes (with the texture name and the AtmosphereParameters
+// used to compute it), and by the texel data, in row major order, possibly
+// compressed.
+//
+// The legacy .dat files only contain little endian fp32 RGBA texel data.
+import { DataUtils } from 'three'
+
+export const TEXTURE_FILE_MAGIC = 'ALUT';
+export const TEXTURE_FILE_VERSION = 2;
+
+const HEADER_SIZE = 40;
+const PRECISIONS = { fp32: 4, fp16: 2 };
+// The formats supported by CompressionStream and DecompressionStream in all
+// browsers. Brotli or zstd can still be used as an HTTP content encoding,
+// which is decoded by the browser before the file is parsed.
+const COMPRESSIONS = { none: 0, gzip: 1, deflate: 2 };
+
+const PLATFORM_LITTLE_ENDIAN =
+  new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+let crcTable = null;
+
+// Returns the CRC-32 (as in zlib and PNG) of the given bytes, continuing from
+// the given CRC of the previous bytes.
+export function crc32(bytes, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; ++i) {
+      let c = i;
+      for (let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[i] = c;
+    }
+  }
+  crc = ~crc;
+  for (let i = 0; i < bytes.length; ++i) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function toBytes(buffer) {
+  return buffer instanceof Uint8Array ? buffer :
+    ArrayBuffer.isView(buffer) ?
+      new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+      new Uint8Array(buffer);
+}
+
+// Compresses or decompresses the given bytes with a CompressionStream or a
+// DecompressionStream.
+async function transform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Whether the given ArrayBuffer (or typed array) starts with the magic number
+// of the texture files (otherwise it is assumed to be a legacy .dat file).
+export function isTextureFile(buffer) {
+  const bytes = toBytes(buffer);
+  return bytes.length >= 4 &&
+    String.fromCharCode(...bytes.subarray(0, 4)) === TEXTURE_FILE_MAGIC;
+}
+
+// Returns the given {width, height, depth, data} texture (with RGBA texel
+// data, in a Float32Array, or in a Uint16Array of half floats as returned by
+// decodeTextureFile()) as a texture file, in a Uint8Array. The metadata should
+// contain the texture name and the AtmosphereParameters used to compute it.
+export async function encodeTextureFile({ width, height, depth = 1, data },
+    metadata = {}, {
+      precision = 'fp32',
+      compression = 'none',
+      littleEndian = true
+    } = {}) {
+  const bytesPerChannel = PRECISIONS[precision];
+  if (!bytesPerChannel) {
+    throw new Error(`Unsupported texture file precision: ${precision}`);
+  }
+  if (COMPRESSIONS[compression] === undefined) {
+    throw new Error(`Unsupported texture file compression: ${compression}`);
+  }
+  if (data.length !== width * height * depth * 4) {
+    throw new Error(`Invalid texture data size: ${data.length} values for ` +
+      `${width}x${height}x${depth} RGBA texels`);
+  }
+  const halfFloatData = data instanceof Uint16Array;
+  let texels = new Uint8Array(data.length * bytesPerChannel);
+  const texelView = new DataView(texels.buffer);
+  for (let i = 0; i < data.length; ++i) {
+    if (bytesPerChannel === 4) {
+      texelView.setFloat32(i * 4,
+        halfFloatData ? DataUtils.fromHalfFloat(data[i]) : data[i],
+        littleEndian);
+    } else {
+      texelView.setUint16(i * 2,
+        halfFloatData ? data[i] : DataUtils.toHalfFloat(data[i]),
+        littleEndian);
+    }
+  }
+  if (compression !== 'none') {
+    texels = await transform(texels, new CompressionStream(compression));
+  }
+
+  const encoder = new TextEncoder();
+  const json = encoder.encode(JSON.stringify(metadata));
+  const metadataBytes = new Uint8Array(Math.ceil(json.length / 4) * 4).fill(0x20);
+  metadataBytes.set(json);
+
+  const bytes = new Uint8Array(HEADER_SIZE + metadataBytes.length + texels.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set(encoder.encode(TEXTURE_FILE_MAGIC), 0);
+  view.setUint8(4, littleEndian ? 0 : 1);
+  view.setUint8(5, bytesPerChannel);
+  view.setUint16(6, TEXTURE_FILE_VERSION, littleEndian);
+  bytes.set(encoder.encode('RGBA'), 8);
+  view.setUint32(12, width, littleEndian);
+  view.setUint32(16, height, littleEndian);
+  view.setUint32(20, depth, littleEndian);
+  view.setUint32(24, metadataBytes.length, littleEndian);
+  view.setUint32(28, texels.length, littleEndian);
+  view.setUint8(36, COMPRESSIONS[compression]);
+  bytes.set(metadataBytes, HEADER_SIZE);
+  bytes.set(texels, HEADER_SIZE + metadataBytes.length);
+  view.setUint32(32, crc32(bytes.subarray(HEADER_SIZE)), littleEndian);
+  return bytes;
+}
+
+// Parses a texture file from an ArrayBuffer (or typed array). Returns its
+// header fields and metadata, and its decompressed texel data, as a {version,
+// littleEndian, precision, compression, channels, width, height, depth,
+// metadata, data} object. The data is a Float32Array for fp32 files, and a
+// Uint16Array of half floats for fp16 files (usable as is with
+// THREE.HalfFloatType textures). Throws an error if the file is not a valid
+// texture file (wrong magic number, unsupported version, truncated file,
+// wrong checksum, etc.).
+export async function decodeTextureFile(buffer) {
+  const bytes = toBytes(buffer);
+  const fail = (message) => {
+    throw new Error(`Invalid texture file: ${message}`);
+  };
+  if (!isTextureFile(bytes)) {
+    fail('wrong magic number');
+  }
+  if (bytes.length < HEADER_SIZE) {
+    fail('truncated header');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endianness = view.getUint8(4);
+  if (endianness > 1) {
+    fail(`unknown endianness ${endianness}`);
+  }
+  const littleEndian = endianness === 0;
+  const version = view.getUint16(6, littleEndian);
+  if (version > TEXTURE_FILE_VERSION) {
+    throw new Error(`Unsupported texture file version: ${version} (this ` +
+      `version only supports files up to version ${TEXTURE_FILE_VERSION})`);
+  }
+  const bytesPerChannel = view.getUint8(5);
+  const precision = Object.keys(PRECISIONS).find(
+    (key) => PRECISIONS[key] === bytesPerChannel);
+  if (!precision) {
+    fail(`unsupported ${bytesPerChannel} bytes per channel`);
+  }
+  const compression = Object.keys(COMPRESSIONS).find(
+    (key) => COMPRESSIONS[key] === view.getUint8(36));
+  if (!compression) {
+    fail(`unsupported compression ${view.getUint8(36)}`);
+  }
+  const channels = String.fromCharCode(...bytes.subarray(8, 12))
+    .replace(/\0+$/, '');
+  const width = view.getUint32(12, littleEndian);
+  const height = view.getUint32(16, littleEndian);
+  const depth = view.getUint32(20, littleEndian);
+  const metadataSize = view.getUint32(24, littleEndian);
+  const storedSize = view.getUint32(28, littleEndian);
+  const dataOffset = HEADER_SIZE + metadataSize;
+  if (bytes.length !== dataOffset + storedSize) {
+    fail(`${bytes.length} bytes instead of ${dataOffset + storedSize}`);
+  }
+  const numValues = width * height * depth * channels.length;
+  const dataSize = numValues * bytesPerChannel;
+  if (channels.length === 0 ||
+      (compression === 'none' && storedSize !== dataSize)) {
+    fail(`${storedSize} data bytes for ${width}x${height}x${depth} ` +
+      `${channels} ${precision} texels`);
+  }
+  if (crc32(bytes.subarray(HEADER_SIZE)) !== view.getUint32(32, littleEndian)) {
+    fail('checksum mismatch');
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(
+      new TextDecoder().decode(bytes.subarray(HEADER_SIZE, dataOffset)));
+  } catch (error) {
+    fail(`malformed metadata (${error.message})`);
+  }
+  let texels = bytes.subarray(dataOffset);
+  if (compression !== 'none') {
+    try {
+      texels = await transform(texels, new DecompressionStream(compression));
+    } catch (error) {
+      fail(`corrupted ${compression} data (${error.message})`);
+    }
+    if (texels.length !== dataSize) {
+      fail(`${texels.length} decompressed data bytes for ` +
+        `${width}x${height}x${depth} ${channels} ${precision} texels`);
+    }
+  }
+
+  const ArrayType = bytesPerChannel === 4 ? Float32Array : Uint16Array;
+  let data;
+  if (littleEndian === PLATFORM_LITTLE_ENDIAN) {
+    // Copy the uncompressed texels, to align them and to not keep the whole
+    // file alive (with the Uint8Array slice(), which returns a view for a
+    // Node.js Buffer).
+    data = new ArrayType(compression === 'none' ?
+      Uint8Array.prototype.slice.call(texels).buffer : texels.buffer);
+  } else {
+    const texelView =
+      new DataView(texels.buffer, texels.byteOffset, texels.byteLength);
+    data = new ArrayType(numValues);
+    for (let i = 0; i < numValues; ++i) {
+      data[i] = bytesPerChannel === 4 ?
+        texelView.getFloat32(i * 4, littleEndian) :
+        texelView.getUint16(i * 2, littleEndian);
+    }
+  }
+  return {
+    version,
+    littleEndian,
+    precision,
+    compression,
+    channels,
+    width,
+    height,
+    depth,
+    metadata,
+    data
+  };
+}
+
+// Returns the texel data of a legacy headerless .dat file, i.e. little endian
+// fp32 values, as a Float32Array.
+export function decodeLegacyTextureFile(buffer) {
+  const bytes = toBytes(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const data = new Float32Array(Math.floor(bytes.length / 4));
+  for (let i = 0; i < data.length; ++i) {
+    data[i] = view.getFloat32(i * 4, true);
+  }
+  return data;
+}
@@ -0,0 +1,109 @@
+// HTML controls for a TimeOfDay animation
+// See shaders.js for license
+import { TimeOfDay } from './time-of-day.js'
+
+const SPEEDS = [1, 60, 600, 3600];
+
+function formatTime(time) {
+  const minutes = Math.floor(time * 60) % (24 * 60);
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+}
+
+// A play/pause button, a speed selector, a timeline to scrub the time of day,
+// sunrise and sunset buttons and an exposure keyframes toggle, in a <div>
+// appended to the given container. 'onChange' is called after each change made
+// with the controls, and update() must be called when the time changes
+// otherwise (e.g. when playing).
+export class TimeOfDayControls {
+  constructor(container, timeOfDay, onChange = () => {}) {
+    if (!(timeOfDay instanceof TimeOfDay)) {
+      throw new Error('TimeOfDayControls needs a TimeOfDay');
+    }
+    this.timeOfDay = timeOfDay;
+    this.onChange = onChange;
+    this.exposureKeyframes = timeOfDay.exposureKeyframes;
+
+    this.domElement = document.createElement('div');
+    this.domElement.id = 'time-of-day';
+
+    this.playButton = this.createButton('', () => timeOfDay.toggle());
+    this.speedSelect = document.createElement('select');
+    for (const speed of SPEEDS) {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      option.selected = speed == timeOfDay.speed;
+      this.speedSelect.appendChild(option);
+    }
+    this.speedSelect.addEventListener('change', () => {
+      timeOfDay.setSpeed(Number(this.speedSelect.value));
+      this.changed();
+    });
+    this.domElement.appendChild(this.speedSelect);
+
+    this.timeline = document.createElement('input');
+    this.timeline.type = 'range';
+    this.timeline.min = 0;
+    this.timeline.max = 24 * 60 - 1;
+    this.timeline.step = 1;
+    this.timeline.addEventListener('input', () => {
+      timeOfDay.setTime(Number(this.timeline.value) / 60);
+      this.changed();
+    });
+    this.domElement.appendChild(this.timeline);
+    this.timeLabel = document.createElement('span');
+    this.domElement.appendChild(this.timeLabel);
+
+    this.createButton('sunrise', () => timeOfDay.jumpToSunrise());
+    this.createButton('sunset', () => timeOfDay.jumpToSunset());
+
+    const label = document.createElement('label');
+    this.exposureCheckbox = document.createElement('input');
+    this.exposureCheckbox.type = 'checkbox';
+    this.exposureCheckbox.checked = this.exposureKeyframes !== null;
+    this.exposureCheckbox.disabled = this.exposureKeyframes === null;
+    this.exposureCheckbox.addEventListener('change', () => {
+      timeOfDay.setExposureKeyframes(
+        this.exposureCheckbox.checked ? this.exposureKeyframes : null);
+      this.changed();
+    });
+    label.append(this.exposureCheckbox, 'exposure keyframes');
+    this.domElement.appendChild(label);
+
+    container.appendChild(this.domElement);
+    this.update();
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', () => {
+      // Don't keep the focus, so that the keyboard shortcuts of the page
+      // (e.g. space) don't click the button again.
+      button.blur();
+      onClick();
+      this.changed();
+    });
+    this.domElement.appendChild(button);
+    return button;
+  }
+
+  changed() {
+    this.update();
+    this.onChange(this.timeOfDay);
+  }
+
+  // Updates the controls from the TimeOfDay state.
+  update() {
+    const timeOfDay = this.timeOfDay;
+    this.playButton.textContent = timeOfDay.playing ? 'pause' : 'play';
+    this.timeline.value = Math.floor(timeOfDay.time * 60);
+    this.timeLabel.textContent = formatTime(timeOfDay.time);
+  }
+
+  dispose() {
+    this.domElement.remove();
+  }
+}
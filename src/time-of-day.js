@@ -0,0 +1,216 @@
+// Time of day animation of the sun of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import {
+  getLocalSiderealTime,
+  getSunPosition,
+  getSunriseAndSunset
+} from './sun-position.js'
+import { getMoonPosition } from './moon-position.js'
+
+const HOUR = 3600000;
+
+function mod(x, y) {
+  return ((x % y) + y) % y;
+}
+
+// The time of day at a geographic location, which can be animated with update()
+// and gives the corresponding sun and moon angles and (optionally) exposure.
+//
+// The time is the number of hours since midnight of the current day, in the
+// local time zone given by 'timeZoneOffset' (in hours from UTC, by default the
+// one of the location longitude). When playing, the time advances 'speed'
+// times faster than real time, and wraps around at the end of the day (so that
+// the animation loops on the same day).
+//
+// 'exposureKeyframes' is an optional list of {time, exposure} objects (time in
+// hours, exposure as in AtmosphereSky.setExposure), between which the exposure
+// is interpolated logarithmically, with a wrap around at midnight.
+export class TimeOfDay {
+  constructor({
+    date = new Date(),
+    latitude = 0,
+    longitude = 0,
+    altitude = 0,
+    timeZoneOffset = Math.round(longitude / 15),
+    speed = 600,
+    exposureKeyframes = null
+  } = {}) {
+    this.latitude = latitude;
+    this.longitude = longitude;
+    this.altitude = altitude;
+    this.timeZoneOffset = timeZoneOffset;
+    this.speed = speed;
+    this.playing = false;
+    this.exposureKeyframes = null;
+    this.setDate(date);
+    this.setExposureKeyframes(exposureKeyframes);
+  }
+
+  // The current date and time (as a UTC timestamp).
+  get date() {
+    return new Date(this.dayStart + this.time * HOUR);
+  }
+
+  // Sets the current day and time from the given date.
+  setDate(date) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+    const offset = this.timeZoneOffset * HOUR;
+    const local = date.getTime() + offset;
+    const localMidnight = local - mod(local, 24 * HOUR);
+    this.dayStart = localMidnight - offset;
+    this.time = (local - localMidnight) / HOUR;
+    this.sunriseAndSunset = null;
+    return this;
+  }
+
+  // Sets the time, in hours since midnight in the local time zone (wrapped to
+  // [0, 24)).
+  setTime(time) {
+    this.time = mod(time, 24);
+    return this;
+  }
+
+  // Sets the ratio between the animation and the real time.
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Invalid speed: ${speed}`);
+    }
+    this.speed = speed;
+    return this;
+  }
+
+  setExposureKeyframes(exposureKeyframes) {
+    if (exposureKeyframes) {
+      for (const { time, exposure } of exposureKeyframes) {
+        if (!(time >= 0 && time <= 24) || !(exposure > 0)) {
+          throw new Error(`Invalid exposure keyframe: ${time}, ${exposure}`);
+        }
+      }
+      this.exposureKeyframes =
+        [...exposureKeyframes].sort((a, b) => a.time - b.time);
+    } else {
+      this.exposureKeyframes = null;
+    }
+    return this;
+  }
+
+  play() {
+    this.playing = true;
+    return this;
+  }
+
+  pause() {
+    this.playing = false;
+    return this;
+  }
+
+  toggle() {
+    this.playing = !this.playing;
+    return this;
+  }
+
+  // Advances the time by the given real time interval (in seconds) if playing.
+  // Returns whether the time changed.
+  update(deltaSeconds) {
+    if (!this.playing || !(deltaSeconds > 0)) {
+      return false;
+    }
+    this.setTime(this.time + deltaSeconds * this.speed / 3600);
+    return true;
+  }
+
+  // The sunrise and sunset times of the current day, in hours since midnight
+  // (or null if the sun does not rise or set on this day).
+  getSunriseAndSunset() {
+    if (!this.sunriseAndSunset) {
+      const { sunrise, sunset } = getSunriseAndSunset(
+        new Date(this.dayStart), this.latitude, this.longitude);
+      const toTime = (date) => date && (date.getTime() - this.dayStart) / HOUR;
+      this.sunriseAndSunset = { sunrise: toTime(sunrise), sunset: toTime(sunset) };
+    }
+    return this.sunriseAndSunset;
+  }
+
+  // Jumps to the sunrise of the current day, if any. Returns whether it did.
+  jumpToSunrise() {
+    const { sunrise } = this.getSunriseAndSunset();
+    if (sunrise === null) {
+      return false;
+    }
+    this.setTime(sunrise);
+    return true;
+  }
+
+  // Jumps to the sunset of the current day, if any. Returns whether it did.
+  jumpToSunset() {
+    const { sunset } = this.getSunriseAndSunset();
+    if (sunset === null) {
+      return false;
+    }
+    this.setTime(sunset);
+    return true;
+  }
+
+  // The sun zenith angle and azimuth angle at the current time, in radians,
+  // with the azimuth measured from the x axis (east) towards the y axis
+  // (north), as in AtmosphereSky.setSunAngles().
+  getSunAngles() {
+    const { zenithAngle, azimuthAngle } = getSunPosition(
+      this.date, this.latitude, this.longitude, this.altitude);
+    return {
+      zenithAngle,
+      azimuthAngle: mod(Math.PI / 2 - azimuthAngle, 2 * Math.PI)
+    };
+  }
+
+  // The moon zenith angle and azimuth angle at the current time, with the same
+  // conventions as getSunAngles().
+  getMoonAngles() {
+    const { zenithAngle, azimuthAngle } = getMoonPosition(
+      this.date, this.latitude, this.longitude, this.altitude);
+    return {
+      zenithAngle,
+      azimuthAngle: mod(Math.PI / 2 - azimuthAngle, 2 * Math.PI)
+    };
+  }
+
+  // The exposure at the current time, interpolated from the keyframes, or null
+  // if there are no keyframes.
+  getExposure() {
+    const keyframes = this.exposureKeyframes;
+    if (!keyframes || keyframes.length == 0) {
+      return null;
+    }
+    let next = keyframes.findIndex((keyframe) => keyframe.time > this.time);
+    if (next == -1) {
+      next = 0;
+    }
+    const previous = mod(next - 1, keyframes.length);
+    const k0 = keyframes[previous];
+    const k1 = keyframes[next];
+    const duration = mod(k1.time - k0.time, 24) || 24;
+    const t = mod(this.time - k0.time, 24) / duration;
+    return Math.exp(
+      Math.log(k0.exposure) * (1 - t) + Math.log(k1.exposure) * t);
+  }
+
+  // Sets the sun and moon directions, the orientation of the stars and, if
+  // there are exposure keyframes, the exposure of the given AtmosphereSky for
+  // the current time.
+  apply(sky) {
+    const sun = this.getSunAngles();
+    sky.setSunAngles(sun.zenithAngle, sun.azimuthAngle);
+    const moon = this.getMoonAngles();
+    sky.setMoonAngles(moon.zenithAngle, moon.azimuthAngle);
+    sky.setSiderealTime(getLocalSiderealTime(this.date, this.longitude),
+      this.latitude * Math.PI / 180);
+    const exposure = this.getExposure();
+    if (exposure !== null) {
+      sky.setExposure(exposure);
+    }
+    return this;
+  }
+}
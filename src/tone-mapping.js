@@ -0,0 +1,81 @@
+// Tone mapping options of the atmosphere of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+
+// The supported tone mapping operators, with their ATMOSPHERE_TONE_MAPPING
+// define value (see toneMappingShader in shaders.js). 'exponential' is the
+// operator of the original demo, and 'none' outputs the exposed radiance
+// without any tone mapping (i.e. linear HDR values, if the output color space
+// is linear). The 'renderer' tone mapping option, which is not in this list,
+// uses the operator and the output color space of the renderer instead (see
+// getRendererToneMapping()).
+export const TONE_MAPPINGS = {
+  exponential: 0,
+  none: 1,
+  reinhard: 2,
+  aces: 3,
+  agx: 4,
+  neutral: 5
+};
+
+// The supported output color spaces, with their ATMOSPHERE_OUTPUT_COLOR_SPACE
+// define value.
+export const OUTPUT_COLOR_SPACES = {
+  [THREE.LinearSRGBColorSpace]: 0,
+  [THREE.SRGBColorSpace]: 1,
+  'display-p3': 2
+};
+
+const RENDERER_TONE_MAPPINGS = {
+  [THREE.NoToneMapping]: 'none',
+  [THREE.LinearToneMapping]: 'none',
+  [THREE.ReinhardToneMapping]: 'reinhard',
+  [THREE.ACESFilmicToneMapping]: 'aces',
+  [THREE.AgXToneMapping]: 'agx',
+  [THREE.NeutralToneMapping]: 'neutral'
+};
+
+export function checkToneMapping(toneMapping, outputColorSpace) {
+  if (TONE_MAPPINGS[toneMapping] === undefined && toneMapping != 'renderer') {
+    throw new Error(`Unsupported tone mapping: ${toneMapping}`);
+  }
+  if (OUTPUT_COLOR_SPACES[outputColorSpace] === undefined) {
+    throw new Error(`Unsupported output color space: ${outputColorSpace}`);
+  }
+}
+
+// Returns the tone mapping and output color space used by three.js materials
+// with the given renderer, for its current render target: those of the
+// renderer when rendering to the canvas, and no tone mapping with a linear
+// output otherwise (e.g. to let an OutputPass do the tone mapping). The three.js
+// operators without an equivalent here (Cineon and custom) are replaced with
+// 'none'.
+export function getRendererToneMapping(renderer) {
+  if (renderer.getRenderTarget() !== null) {
+    return {
+      toneMapping: 'none',
+      outputColorSpace: THREE.LinearSRGBColorSpace
+    };
+  }
+  const outputColorSpace = renderer.outputColorSpace;
+  return {
+    toneMapping: RENDERER_TONE_MAPPINGS[renderer.toneMapping] || 'none',
+    outputColorSpace: OUTPUT_COLOR_SPACES[outputColorSpace] !== undefined ?
+      outputColorSpace : THREE.SRGBColorSpace
+  };
+}
+
+// Returns the defines of toneMappingShader for the given tone mapping and
+// output color space, which must not be 'renderer' (see
+// getRendererToneMapping()).
+export function getToneMappingDefines(toneMapping, outputColorSpace) {
+  checkToneMapping(toneMapping, outputColorSpace);
+  if (toneMapping == 'renderer') {
+    throw new Error('The renderer tone mapping must be resolved first');
+  }
+  return {
+    ATMOSPHERE_TONE_MAPPING: TONE_MAPPINGS[toneMapping],
+    ATMOSPHERE_OUTPUT_COLOR_SPACE: OUTPUT_COLOR_SPACES[outputColorSpace]
+  };
+}
@@ -2,8 +2,20 @@
 <p>The <code>Utils</code> class used above provides 4 methods, to load shader
 and texture data using XML http requests, and to create WebGL shader and
 texture objects from them:
+<p>The texture files are parsed with the functions of
+<code>texture-file.js</code>, which also support the legacy headerless files
+(the callback then gets a null header). The texel data of the fp16 files is
+given as half floats, in a <code>Uint16Array</code>. The loading, parsing and
+callback errors (e.g. an invalid file, or a texture size mismatch) are reported
+in the console:
 */
 
+import {
+  decodeLegacyTextureFile,
+  decodeTextureFile,
+  isTextureFile
+} from './texture-file.js';
+
 export class Utils {
 
   static loadShaderSource(shaderName, callback) {
@@ -25,15 +37,16 @@ export class Utils {
     const xhr = new XMLHttpRequest();
     xhr.open('GET', `/public/${textureName}`);
     xhr.responseType = 'arraybuffer';
+    const onError = (error) =>
+        console.error(`Failed to load ${textureName}:`, error);
     xhr.onload = (event) => {
-      const data = new DataView(xhr.response);
-      const array =
-          new Float32Array(data.byteLength / Float32Array.BYTES_PER_ELEMENT);
-      for (var i = 0; i < array.length; ++i) {
-        array[i] = data.getFloat32(i * Float32Array.BYTES_PER_ELEMENT, true);
-      }
-      callback(array);
+      const file = isTextureFile(xhr.response) ?
+          decodeTextureFile(xhr.response) : Promise.resolve(null);
+      file.then((file) => callback(
+          file ? file.data : decodeLegacyTextureFile(xhr.response), file))
+          .catch(onError);
     };
+    xhr.onerror = (event) => onError(new Error('network error'));
     xhr.send();
   }
 
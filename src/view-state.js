@@ -0,0 +1,162 @@
+// View state (camera, sun and exposure) of the demo of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering, serialized
+// to and from JSON and the URL hash, to share a view with a link.
+// See shaders.js for license
+
+// The view state properties, with their name in the URL hash (the name in
+// JSON being the property name). The view is given by its distance to the
+// origin, in meters, and by its zenith and azimuth angles around it, and the
+// sun by its zenith and azimuth angles.
+export const VIEW_STATE_KEYS = {
+  viewDistanceMeters: 'd',
+  viewZenithAngleRadians: 'vz',
+  viewAzimuthAngleRadians: 'va',
+  sunZenithAngleRadians: 'sz',
+  sunAzimuthAngleRadians: 'sa',
+  exposure: 'e'
+};
+
+// The properties which must be strictly positive.
+const POSITIVE_KEYS = ['viewDistanceMeters', 'exposure'];
+
+// The number of significant digits of the serialized values (enough for
+// angles to about 0.001 degree, and short enough for the URL).
+const PRECISION = 6;
+
+function checkValue(key, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`Invalid view state ${key}: ${value} (expected a number)`);
+  }
+  if (POSITIVE_KEYS.includes(key) && value <= 0) {
+    throw new Error(`Invalid view state ${key}: ${value} (expected a ` +
+      'positive number)');
+  }
+  return value;
+}
+
+// Returns the view state properties of the given object, rounded to a few
+// significant digits, as a plain object (for JSON.stringify()).
+export function viewStateToJSON(state) {
+  const json = {};
+  for (const key of Object.keys(VIEW_STATE_KEYS)) {
+    if (state[key] !== undefined) {
+      json[key] = Number(checkValue(key, state[key]).toPrecision(PRECISION));
+    }
+  }
+  return json;
+}
+
+// Returns the view state given by the result of viewStateToJSON(), or by its
+// JSON string. Unknown properties are ignored, and missing ones are left
+// undefined (so that the result can be merged with a current or default
+// state). Throws an error if a property is not a valid number.
+export function viewStateFromJSON(json) {
+  if (typeof json === 'string') {
+    json = JSON.parse(json);
+  }
+  if (typeof json !== 'object' || json === null) {
+    throw new Error(`Invalid view state: ${JSON.stringify(json)}`);
+  }
+  const state = {};
+  for (const key of Object.keys(VIEW_STATE_KEYS)) {
+    if (json[key] !== undefined) {
+      state[key] = checkValue(key, json[key]);
+    }
+  }
+  return state;
+}
+
+// Returns the given view state as a URL hash, e.g.
+// '#d=9000&vz=1.47&va=0&sz=1.3&sa=3&e=10'.
+export function viewStateToHash(state) {
+  const json = viewStateToJSON(state);
+  const params = new URLSearchParams();
+  for (const [key, name] of Object.entries(VIEW_STATE_KEYS)) {
+    if (json[key] !== undefined) {
+      params.set(name, json[key]);
+    }
+  }
+  return `#${params}`;
+}
+
+// Returns the view state given by a URL hash (as returned by
+// viewStateToHash()), or null if the hash does not contain any view state
+// property. Throws an error if a property is not a valid number.
+export function viewStateFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const json = {};
+  for (const [key, name] of Object.entries(VIEW_STATE_KEYS)) {
+    if (params.has(name)) {
+      const value = params.get(name);
+      json[key] = value.trim() === '' ? NaN : Number(value);
+    }
+  }
+  return Object.keys(json).length > 0 ? viewStateFromJSON(json) : null;
+}
+
+// Keeps the URL hash of the page in sync with a view state: update() must be
+// called when the state may have changed (e.g. at each frame), and replaces
+// the URL hash 'delay' milliseconds after the last change (with
+// history.replaceState(), so that the browser history is not filled with
+// intermediate views). Conversely, the state is set from the URL hash with
+// restore(), and when the hash is changed by the user.
+//
+// 'getState' must return the current view state, and 'setState' must set it
+// from a possibly partial view state (see viewStateFromJSON()).
+export class ViewStateHistory {
+  constructor(getState, setState, { delay = 500 } = {}) {
+    this.getState = getState;
+    this.setState = setState;
+    this.delay = delay;
+    // The hash of the last state, written or to be written in the URL.
+    this.hash = window.location.hash;
+    this.timeout = null;
+    this.onHashChange = () => this.restore();
+    window.addEventListener('hashchange', this.onHashChange);
+  }
+
+  // Sets the view state from the URL hash. Returns false if the hash does not
+  // contain a valid view state.
+  restore() {
+    let state;
+    try {
+      state = viewStateFromHash(window.location.hash);
+    } catch (error) {
+      console.warn(`Ignoring the view state in the URL: ${error.message}`);
+      return false;
+    }
+    if (!state) {
+      return false;
+    }
+    this.cancel();
+    this.setState(state);
+    this.hash = viewStateToHash(this.getState());
+    return true;
+  }
+
+  update() {
+    const hash = viewStateToHash(this.getState());
+    if (hash === this.hash) {
+      return;
+    }
+    this.hash = hash;
+    this.cancel();
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      window.history.replaceState(window.history.state, '', hash);
+    }, this.delay);
+  }
+
+  // Cancels the pending URL update, if any.
+  cancel() {
+    if (this.timeout !== null) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+  }
+
+  dispose() {
+    this.cancel();
+    window.removeEventListener('hashchange', this.onHashChange);
+  }
+}
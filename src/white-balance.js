@@ -0,0 +1,127 @@
+// White balance of the sky of
+// https://ebruneton.github.io/precomputed_atmospheric_scattering
+// See shaders.js for license
+import * as THREE from 'three'
+import { readAtmosphereTextureData } from './atmosphere-textures.js'
+import {
+  createAtmosphere,
+  getIrradiance,
+  getTransmittanceToSun
+} from './cpu-model.js'
+import { RGB_WAVELENGTHS } from './spectrum.js'
+
+// Relative spectral power distribution of the CIE standard illuminant D65,
+// from 380 to 780 nm every 10 nm.
+const D65 = [
+  49.9755, 54.6482, 82.7549, 91.486, 93.4318, 86.6823, 104.865, 117.008,
+  117.812, 114.861, 115.923, 108.811, 109.354, 107.802, 104.79, 107.689,
+  104.405, 104.046, 100, 96.3342, 95.788, 88.6856, 90.0062, 89.5991, 87.6987,
+  83.2886, 83.6992, 80.0268, 80.2146, 82.2778, 78.2842, 69.7213, 71.6091,
+  74.349, 61.604, 69.8856, 75.087, 63.5927, 46.4182, 66.8054, 63.3828
+];
+
+function getD65(wavelength) {
+  const x = Math.min(Math.max((wavelength - 380) / 10, 0), D65.length - 1);
+  const i = Math.min(Math.floor(x), D65.length - 2);
+  return D65[i] + (D65[i + 1] - D65[i]) * (x - i);
+}
+
+const WHITE_BALANCE_MODES = ['none', 'daylight', 'adaptive'];
+
+// Cosine of the sun zenith angle at the end of the civil twilight.
+const CIVIL_TWILIGHT_MU_S = -Math.sin(6 / 180 * Math.PI);
+
+const _point = new THREE.Vector3();
+const _adaptiveWhitePoint = new THREE.Vector3();
+const _sunTransmittance = [0, 0, 0, 0];
+const _skyIrradiance = [0, 0, 0, 0];
+
+// Returns the white point of the given AtmosphereSky for which the D65
+// illuminant (i.e. average daylight) is white: its spectral samples at the
+// model wavelengths, normalized to an average of 1, or (1, 1, 1) if the sky
+// outputs luminance values (which are in linear sRGB, whose white is D65).
+export function getDaylightWhitePoint(sky, out = new THREE.Vector3()) {
+  if ('USE_LUMINANCE' in sky.material.defines) {
+    return out.set(1, 1, 1);
+  }
+  const values = RGB_WAVELENGTHS.map(getD65);
+  return out.fromArray(values)
+    .divideScalar((values[0] + values[1] + values[2]) / 3);
+}
+
+// Sets the white point of the given AtmosphereSky, like the white balance of
+// the original demo (which normalized the colors by the solar irradiance), with
+// one of the following modes:
+// - 'none': the white point is (1, 1, 1),
+// - 'daylight': the white point is locked to the D65 daylight illuminant (see
+//   getDaylightWhitePoint()),
+// - 'adaptive': the white point is the color of the sun and sky irradiance on
+//   the ground, computed on the CPU from the transmittance and irradiance
+//   textures for the current sun direction, so that the ground lit by the sun
+//   and the sky is always white (as with the auto white balance of a camera).
+//   It fades to the daylight white point when the sun goes below the horizon,
+//   until the end of the civil twilight (where the sky irradiance becomes too
+//   dark to be meaningful).
+//
+// update() must be called when the sun direction changes (or every frame).
+export class WhiteBalance {
+  constructor(sky, renderer, { mode = 'adaptive' } = {}) {
+    this.sky = sky;
+    this.atmosphere = createAtmosphere(sky.parameters);
+    this.transmittanceData =
+      readAtmosphereTextureData(renderer, sky.transmittanceTexture);
+    this.irradianceData =
+      readAtmosphereTextureData(renderer, sky.irradianceTexture);
+    this.setMode(mode);
+  }
+
+  setMode(mode) {
+    if (!WHITE_BALANCE_MODES.includes(mode)) {
+      throw new Error(`Unsupported white balance mode: ${mode}`);
+    }
+    this.mode = mode;
+    return this;
+  }
+
+  // Updates the white point of the sky for its current sun direction, and for
+  // an observer at the given position (in world space).
+  update(center = new THREE.Vector3()) {
+    const whitePoint = this.sky.uniforms.white_point.value;
+    if (this.mode == 'none') {
+      whitePoint.set(1, 1, 1);
+      return this;
+    }
+    getDaylightWhitePoint(this.sky, whitePoint);
+    if (this.mode == 'daylight') {
+      return this;
+    }
+
+    const atmosphere = this.atmosphere;
+    const sunDirection = this.sky.uniforms.sun_direction.value;
+    const p = _point.copy(center).sub(this.sky.uniforms.earth_center.value);
+    const r = Math.max(p.length(), atmosphere.bottomRadius);
+    const mu_s = p.dot(sunDirection) / p.length();
+    getTransmittanceToSun(
+      atmosphere, this.transmittanceData, r, mu_s, _sunTransmittance);
+    getIrradiance(atmosphere, this.irradianceData, r, mu_s, _skyIrradiance);
+    const luminance = 'USE_LUMINANCE' in this.sky.material.defines;
+    const irradiance = [0, 0, 0];
+    for (let i = 0; i < 3; ++i) {
+      let sun = atmosphere.solarIrradiance[i] * _sunTransmittance[i] *
+        Math.max(mu_s, 0);
+      let sky = _skyIrradiance[i];
+      if (luminance) {
+        sun *= this.sky.parameters.sunSpectralRadianceToLuminance[i];
+        sky *= this.sky.parameters.skySpectralRadianceToLuminance[i];
+      }
+      irradiance[i] = sun + sky;
+    }
+    const average = (irradiance[0] + irradiance[1] + irradiance[2]) / 3;
+    const t = Math.min(Math.max(1 - mu_s / CIVIL_TWILIGHT_MU_S, 0), 1);
+    if (t > 0 && average > 0) {
+      whitePoint.lerp(_adaptiveWhitePoint.fromArray(irradiance)
+        .divideScalar(average), t);
+    }
+    return this;
+  }
+}
@@ -0,0 +1,106 @@
+// Tests of the sun position module against published reference values (run
+// with 'npm test').
+// See shaders.js for license
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  getAtmosphericRefraction,
+  getSunPosition,
+  getSunriseAndSunset
+} from '../src/sun-position.js'
+
+const DEG = Math.PI / 180;
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance,
+    `${message}: ${actual} instead of ${expected} (± ${tolerance})`);
+}
+
+// Asserts that the given Date is within 'toleranceMinutes' of the given ISO
+// date string.
+function assertTime(actual, expected, toleranceMinutes, message) {
+  assert.ok(actual instanceof Date, `${message}: ${actual} instead of a Date`);
+  assertClose(actual.getTime() / 60000, new Date(expected).getTime() / 60000,
+    toleranceMinutes, message);
+}
+
+describe('getSunPosition', () => {
+  it('matches the NREL SPA reference case', () => {
+    // Reda and Andreas, "Solar Position Algorithm for Solar Radiation
+    // Applications", NREL/TP-560-34302 (2008), table A4.1: Golden, Colorado,
+    // 2003-10-17 12:30:30 local time (UTC-7), at 1830.14 m.
+    const { zenithAngle, azimuthAngle } = getSunPosition(
+      new Date('2003-10-17T19:30:30Z'), 39.742476, -105.1786, 1830.14);
+    assertClose(zenithAngle / DEG, 50.11162, 0.01, 'zenith angle');
+    assertClose(azimuthAngle / DEG, 194.34024, 0.01, 'azimuth angle');
+  });
+
+  it('matches the NOAA declination and equation of time', () => {
+    // June solstice 2024 (20:51 UTC), where the declination is the obliquity
+    // of the ecliptic.
+    const solstice = getSunPosition(new Date('2024-06-20T20:51:00Z'), 0, 0);
+    assertClose(solstice.declination / DEG, 23.4387, 0.01, 'declination');
+    // Extrema of the equation of time, in minutes.
+    const november = getSunPosition(new Date('2024-11-03T12:00:00Z'), 0, 0);
+    assertClose(november.equationOfTime, 16.44, 0.1, 'equation of time');
+    const february = getSunPosition(new Date('2024-02-11T12:00:00Z'), 0, 0);
+    assertClose(february.equationOfTime, -14.21, 0.1, 'equation of time');
+  });
+
+  it('rejects invalid dates and locations', () => {
+    assert.throws(() => getSunPosition(new Date(NaN), 0, 0), /Invalid date/);
+    assert.throws(() => getSunPosition(new Date(), 91, 0), /Invalid location/);
+    assert.throws(() => getSunPosition(new Date(), 0, 181), /Invalid location/);
+  });
+});
+
+describe('getSunriseAndSunset', () => {
+  it('matches the NOAA solar calculator', () => {
+    // London, June solstice: sunrise 04:43 and sunset 21:21 (UTC+1).
+    const london = getSunriseAndSunset(
+      new Date('2024-06-21T00:00:00Z'), 51.5074, -0.1278);
+    assertTime(london.sunrise, '2024-06-21T03:43:00Z', 1.5, 'London sunrise');
+    assertTime(london.sunset, '2024-06-21T20:21:00Z', 1.5, 'London sunset');
+  });
+
+  it('returns null during the polar day', () => {
+    // Tromsø, June solstice: the sun stays above the horizon, even at midnight.
+    const start = new Date('2024-06-21T00:00:00Z');
+    assert.deepEqual(getSunriseAndSunset(start, 69.6492, 18.9553),
+      { sunrise: null, sunset: null });
+    assert.ok(getSunPosition(start, 69.6492, 18.9553).zenithAngle < 90 * DEG);
+  });
+
+  it('returns null during the polar night', () => {
+    // Tromsø, December solstice: the sun stays below the horizon, even at noon.
+    const start = new Date('2024-12-21T00:00:00Z');
+    assert.deepEqual(getSunriseAndSunset(start, 69.6492, 18.9553),
+      { sunrise: null, sunset: null });
+    const noon = new Date('2024-12-21T11:00:00Z');
+    assert.ok(getSunPosition(noon, 69.6492, 18.9553).zenithAngle > 90 * DEG);
+  });
+});
+
+describe('getAtmosphericRefraction', () => {
+  it('matches the standard refraction table', () => {
+    // Standard refraction at sea level: 5.3' at 10°, 58" at 45° (and the
+    // 1735" of the NOAA formula at the horizon).
+    assertClose(getAtmosphericRefraction(0), 1735 / 3600, 1e-6, 'at 0°');
+    assertClose(getAtmosphericRefraction(10), 5.3 / 60, 0.001, 'at 10°');
+    assertClose(getAtmosphericRefraction(45), 58 / 3600, 0.0005, 'at 45°');
+    assert.equal(getAtmosphericRefraction(90), 0);
+  });
+
+  it('is continuous between the formula ranges', () => {
+    for (const e of [-0.575, 5, 85]) {
+      assertClose(getAtmosphericRefraction(e - 1e-6),
+        getAtmosphericRefraction(e + 1e-6), 0.002, `at ${e}°`);
+    }
+  });
+
+  it('decreases with the altitude', () => {
+    // About half the sea level pressure at 5500 m.
+    assertClose(getAtmosphericRefraction(10, 5500) / getAtmosphericRefraction(10),
+      0.5, 0.02, 'pressure ratio at 5500 m');
+  });
+});
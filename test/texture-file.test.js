@@ -0,0 +1,126 @@
+// Round trip tests of the lookup texture files, baked with scripts/bake.js,
+// converted with scripts/convert.js and read back from the disk (run with
+// 'npm test').
+// See shaders.js for license
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { fileURLToPath } from 'node:url'
+import { DataUtils } from 'three'
+import {
+  decodeLegacyTextureFile,
+  decodeTextureFile
+} from '../src/texture-file.js'
+
+// Small textures, to bake them in about a second.
+const PARAMETERS = {
+  transmittanceTextureWidth: 16,
+  transmittanceTextureHeight: 8,
+  scatteringTextureRSize: 4,
+  scatteringTextureMuSize: 8,
+  scatteringTextureMuSSize: 4,
+  scatteringTextureNuSize: 2,
+  irradianceTextureWidth: 8,
+  irradianceTextureHeight: 4
+};
+
+const SIZES = {
+  transmittance: [16, 8, 1],
+  scattering: [8, 8, 4],
+  irradiance: [8, 4, 1]
+};
+
+const SCRIPTS_DIR = fileURLToPath(new URL('../scripts', import.meta.url));
+
+function run(script, ...args) {
+  execFileSync(process.execPath, [join(SCRIPTS_DIR, script), ...args],
+    { stdio: 'pipe' });
+}
+
+// Reads and decodes the given texture file, as the scripts do.
+function readTextureFile(dir, name) {
+  return decodeTextureFile(readFileSync(join(dir, `${name}.dat`)));
+}
+
+// The smallest normal half float (below which the half floats have a fixed
+// absolute precision).
+const MIN_HALF_FLOAT = 2 ** -14;
+
+function assertSameData(actual, expected, relativeTolerance, message) {
+  assert.equal(actual.length, expected.length, `${message}: length`);
+  for (let i = 0; i < expected.length; ++i) {
+    const tolerance =
+      relativeTolerance * Math.max(Math.abs(expected[i]), MIN_HALF_FLOAT);
+    assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance,
+      `${message}: ${actual[i]} instead of ${expected[i]} at ${i}`);
+  }
+}
+
+describe('texture files', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'texture-file-test-'));
+    writeFileSync(join(dir, 'parameters.json'), JSON.stringify(PARAMETERS));
+    run('bake.js', join(dir, 'parameters.json'), '--output',
+      join(dir, 'baked'), '--orders', '2');
+    run('bake.js', join(dir, 'parameters.json'), '--output',
+      join(dir, 'legacy'), '--orders', '2', '--legacy');
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads the baked files', async () => {
+    for (const [name, [width, height, depth]] of Object.entries(SIZES)) {
+      const file = await readTextureFile(join(dir, 'baked'), name);
+      assert.deepEqual([file.width, file.height, file.depth],
+        [width, height, depth], name);
+      assert.ok(file.data instanceof Float32Array, name);
+      assert.equal(file.data.length, width * height * depth * 4, name);
+      assert.equal(file.metadata.texture, name);
+      assert.equal(file.metadata.scatteringOrders, 2);
+      assertSameData(file.data, decodeLegacyTextureFile(
+        readFileSync(join(dir, 'legacy', `${name}.dat`))), 0, name);
+    }
+  });
+
+  for (const [precision, compression, relativeTolerance] of [
+    ['fp32', 'none', 0],
+    ['fp32', 'gzip', 0],
+    ['fp16', 'deflate', 1e-3]
+  ]) {
+    it(`converts the baked files to ${precision} ${compression}`, async () => {
+      const output = join(dir, `${precision}-${compression}`);
+      const names = Object.keys(SIZES);
+      const inputs = names.map((name) => join(dir, 'baked', `${name}.dat`));
+      run('convert.js', ...inputs, '--output', output, '--precision', precision,
+        '--compression', compression);
+      for (const name of names) {
+        const expected = await readTextureFile(join(dir, 'baked'), name);
+        const file = await readTextureFile(output, name);
+        assert.equal(file.precision, precision, name);
+        assert.equal(file.compression, compression, name);
+        assert.deepEqual(file.metadata, expected.metadata, name);
+        const data = precision === 'fp16' ?
+          Float32Array.from(file.data, DataUtils.fromHalfFloat) : file.data;
+        assertSameData(data, expected.data, relativeTolerance, name);
+      }
+    });
+  }
+
+  it('converts the legacy files', async () => {
+    const output = join(dir, 'converted-legacy');
+    run('convert.js', join(dir, 'legacy', 'irradiance.dat'), '--parameters',
+      join(dir, 'parameters.json'), '--output', output, '--precision', 'fp32');
+    const file = await readTextureFile(output, 'irradiance');
+    assert.deepEqual([file.width, file.height, file.depth], SIZES.irradiance);
+    assert.equal(file.metadata.texture, 'irradiance');
+    assertSameData(file.data, decodeLegacyTextureFile(
+      readFileSync(join(dir, 'legacy', 'irradiance.dat'))), 0, 'irradiance');
+  });
+});
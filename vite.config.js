@@ -1,12 +1,26 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
-export default defineConfig({
+// 'vite build --mode lib' builds the library entry point (src/lib.js) instead
+// of the demo app, with three.js as an external dependency.
+const libraryBuild = {
+  outDir: 'dist-lib',
+  lib: {
+    entry: resolve(__dirname, 'src/lib.js'),
+    formats: ['es'],
+    fileName: 'atmosphere',
+  },
+  rollupOptions: {
+    external: ['three', /^three\/addons\//],
+  },
+};
+
+export default defineConfig(({ mode }) => ({
   // Base public path when served in production
   base: '/threejs_precomputed_atmospheric_scattering/',
 
   // Configure the build
-  build: {
+  build: mode === 'lib' ? libraryBuild : {
     // Output directory for the build
     outDir: 'dist',
 
@@ -28,5 +42,5 @@ export default defineConfig({
   assetsInclude: ['**/*.dat'], // Ensure .dat files are treated as assets
 
   // Configure public directory (where static assets are stored)
-  publicDir: 'public',
-});
+  publicDir: mode === 'lib' ? false : 'public',
+}));